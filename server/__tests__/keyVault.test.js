@@ -0,0 +1,24 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { encryptApiKey, decryptApiKey } from '../keyVault';
+
+const SECRET = 'test-secret';
+
+describe('keyVault', () => {
+  it('decrypts a key for the base URL it was saved for', () => {
+    const stored = encryptApiKey('sk-live-123', SECRET, 'https://api.openai.com/v1');
+    expect(stored.startsWith('v2:')).toBe(true);
+    expect(decryptApiKey(stored, SECRET, 'https://api.openai.com/v1')).toBe('sk-live-123');
+    expect(decryptApiKey(stored, SECRET, 'https://API.openai.com/v1/')).toBe('sk-live-123');
+  });
+
+  it('does not hand out the old key after the base URL changes', () => {
+    const stored = encryptApiKey('sk-live-123', SECRET, 'https://api.openai.com/v1');
+    expect(decryptApiKey(stored, SECRET, 'https://attacker.example.com/v1')).toBeNull();
+  });
+
+  it('still reads empty and plaintext legacy values', () => {
+    expect(decryptApiKey(null, SECRET, 'https://api.openai.com/v1')).toBeNull();
+    expect(decryptApiKey('sk-plain', SECRET, 'https://api.openai.com/v1')).toBe('sk-plain');
+  });
+});
@@ -0,0 +1,272 @@
+/**
+ * AI Proxy Server
+ *
+ * Small Node server that owns AI provider API keys. The browser sends
+ * provider requests here with its Supabase session token; the proxy
+ * checks the caller belongs to the provider's organization, decrypts
+ * the stored key and forwards the request to the provider unchanged.
+ *
+ * Run locally with `npm run ai-proxy` (Vite proxies /api/ai to it).
+ */
+
+import http from 'node:http';
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { encryptApiKey, decryptApiKey } from './keyVault.js';
+
+dotenv.config();
+
+const PORT = Number(process.env.AI_PROXY_PORT) || 8787;
+const SUPABASE_URL = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL;
+const SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+const ENCRYPTION_SECRET = process.env.AI_KEY_ENCRYPTION_SECRET;
+const ALLOWED_ORIGINS = (process.env.AI_PROXY_ALLOWED_ORIGINS || 'http://localhost:3000')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
+// Only these provider endpoints can be reached through the proxy
+const ALLOWED_PATHS = ['/chat/completions', '/messages', '/models'];
+
+if (!SUPABASE_URL || !SERVICE_ROLE_KEY || !ENCRYPTION_SECRET) {
+  console.error(
+    'AI proxy requires SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY and AI_KEY_ENCRYPTION_SECRET'
+  );
+  process.exit(1);
+}
+
+const supabase = createClient(SUPABASE_URL, SERVICE_ROLE_KEY, {
+  auth: { autoRefreshToken: false, persistSession: false },
+});
+
+class ProxyError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * CORS headers for the requesting origin
+ */
+function corsHeaders(req) {
+  const origin = req.headers.origin;
+  if (!origin || !ALLOWED_ORIGINS.includes(origin)) return {};
+
+  return {
+    'Access-Control-Allow-Origin': origin,
+    'Access-Control-Allow-Methods': 'POST, PUT, OPTIONS',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+    Vary: 'Origin',
+  };
+}
+
+/**
+ * Send a JSON response (errors use the same shape as provider APIs)
+ */
+function sendJson(req, res, status, payload) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...corsHeaders(req) });
+  res.end(JSON.stringify(payload));
+}
+
+/**
+ * Read and parse a JSON request body
+ */
+async function readJsonBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+  } catch {
+    throw new ProxyError('Invalid JSON body', 400);
+  }
+}
+
+/**
+ * Resolve the caller's organization from their Supabase access token
+ */
+async function getCallerOrganization(req) {
+  const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  if (!token) throw new ProxyError('Not signed in', 401);
+
+  const { data: { user } = {}, error } = await supabase.auth.getUser(token);
+  if (error || !user) throw new ProxyError('Session expired. Please sign in again.', 401);
+
+  const { data: profile, error: profileError } = await supabase
+    .from('users')
+    .select('organization_id')
+    .eq('id', user.id)
+    .single();
+
+  if (profileError || !profile?.organization_id) {
+    throw new ProxyError('No organization found for this user', 403);
+  }
+
+  return profile.organization_id;
+}
+
+/**
+ * Load a provider row, scoped to the caller's organization
+ */
+async function getProvider(providerId, organizationId) {
+  const { data, error } = await supabase
+    .from('ai_providers')
+    .select('id, provider_name, api_base_url, api_key_encrypted')
+    .eq('id', providerId)
+    .eq('organization_id', organizationId)
+    .single();
+
+  if (error || !data) throw new ProxyError('AI provider not found', 404);
+  return data;
+}
+
+/**
+ * Build auth headers for a provider
+ */
+function buildProviderHeaders(provider, apiKey, req) {
+  const headers = { 'Content-Type': 'application/json' };
+
+  if (provider.api_base_url.includes('anthropic.com')) {
+    headers['x-api-key'] = apiKey;
+    headers['anthropic-version'] = '2023-06-01';
+  } else {
+    headers.Authorization = `Bearer ${apiKey}`;
+  }
+
+  if (provider.api_base_url.includes('openrouter.ai')) {
+    headers['HTTP-Referer'] = req.headers.origin || 'http://localhost:3000';
+    headers['X-Title'] = 'Maximus Engagimus';
+  }
+
+  return headers;
+}
+
+// ============================================
+// ROUTES
+// ============================================
+
+/**
+ * POST /forward
+ * Body: { provider_id, path, method?, body? }
+ */
+async function handleForward(req, res) {
+  const organizationId = await getCallerOrganization(req);
+  const { provider_id, path, method = 'POST', body } = await readJsonBody(req);
+
+  if (!provider_id) throw new ProxyError('provider_id is required', 400);
+  if (!ALLOWED_PATHS.includes(path)) throw new ProxyError(`Path not allowed: ${path}`, 400);
+  if (!['GET', 'POST'].includes(method)) throw new ProxyError(`Method not allowed: ${method}`, 400);
+
+  const provider = await getProvider(provider_id, organizationId);
+  if (!provider.api_key_encrypted) {
+    throw new ProxyError(`${provider.provider_name} has no API key configured`, 400);
+  }
+
+  // Keys only ever go to the base URL they were saved for
+  const apiKey = decryptApiKey(provider.api_key_encrypted, ENCRYPTION_SECRET, provider.api_base_url);
+  if (!apiKey) {
+    throw new ProxyError(
+      `${provider.provider_name}'s API key was saved for a different base URL. Re-enter the key.`,
+      400
+    );
+  }
+
+  // Stop the upstream request if the browser goes away (e.g. user cancelled)
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  const upstream = await fetch(`${provider.api_base_url.replace(/\/$/, '')}${path}`, {
+    method,
+    headers: buildProviderHeaders(provider, apiKey, req),
+    body: method === 'POST' ? JSON.stringify(body || {}) : undefined,
+    signal: controller.signal,
+  });
+
+  const headers = {
+    'Content-Type': upstream.headers.get('content-type') || 'application/json',
+    'Cache-Control': 'no-cache',
+    ...corsHeaders(req),
+  };
+  const retryAfter = upstream.headers.get('retry-after');
+  if (retryAfter) headers['Retry-After'] = retryAfter;
+
+  res.writeHead(upstream.status, headers);
+
+  // Pipe the body through as it arrives so streamed responses keep streaming
+  if (upstream.body) {
+    for await (const chunk of upstream.body) {
+      res.write(chunk);
+    }
+  }
+  res.end();
+}
+
+/**
+ * PUT /providers/:id/key
+ * Body: { api_key } (empty clears the key)
+ */
+async function handleSaveKey(req, res, providerId) {
+  const organizationId = await getCallerOrganization(req);
+  const { api_key } = await readJsonBody(req);
+
+  const provider = await getProvider(providerId, organizationId);
+
+  const value = api_key?.trim()
+    ? encryptApiKey(api_key.trim(), ENCRYPTION_SECRET, provider.api_base_url)
+    : null;
+  const { error } = await supabase
+    .from('ai_providers')
+    .update({ api_key_encrypted: value })
+    .eq('id', providerId)
+    .eq('organization_id', organizationId);
+
+  if (error) throw new ProxyError(error.message, 500);
+
+  sendJson(req, res, 200, { has_api_key: !!value });
+}
+
+const server = http.createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+  // Vite forwards the /api/ai prefix as-is
+  const route = pathname.replace(/^\/api\/ai/, '') || '/';
+
+  try {
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, corsHeaders(req));
+      return res.end();
+    }
+
+    if (req.method === 'POST' && route === '/forward') {
+      return await handleForward(req, res);
+    }
+
+    const keyMatch = route.match(/^\/providers\/([^/]+)\/key$/);
+    if (req.method === 'PUT' && keyMatch) {
+      return await handleSaveKey(req, res, keyMatch[1]);
+    }
+
+    throw new ProxyError('Not found', 404);
+  } catch (err) {
+    if (res.headersSent) {
+      // Upstream failed mid-stream; all we can do is close the connection
+      return res.destroy(err);
+    }
+
+    const status = err.status || 502;
+    if (status >= 500) console.error('[AI Proxy]', err);
+    sendJson(req, res, status, { error: { message: err.message } });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`AI proxy listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,82 @@
+/**
+ * API Key Vault
+ *
+ * Encrypts and decrypts provider API keys with AES-256-GCM.
+ * Only the AI proxy holds the secret, so keys stored in
+ * `ai_providers.api_key_encrypted` are unreadable anywhere else.
+ *
+ * Each key is bound to the base URL it was saved for (as GCM associated
+ * data), so pointing a provider at another host cannot send the key there.
+ */
+
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'node:crypto';
+
+const VERSION = 'v2';
+const LEGACY_VERSION = 'v1';
+
+/**
+ * Derive a 32-byte key from the configured secret
+ */
+function deriveKey(secret) {
+  if (!secret) {
+    throw new Error('AI_KEY_ENCRYPTION_SECRET is not configured');
+  }
+  return createHash('sha256').update(secret).digest();
+}
+
+/**
+ * Normalize a base URL so trailing slashes and letter case don't matter
+ */
+function normalizeBaseUrl(baseUrl) {
+  return String(baseUrl || '').trim().replace(/\/+$/, '').toLowerCase();
+}
+
+/**
+ * Encrypt an API key for the provider base URL it will be sent to
+ * @returns {string} "v2:<iv>:<tag>:<ciphertext>" (base64 parts)
+ */
+export function encryptApiKey(apiKey, secret, baseUrl) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', deriveKey(secret), iv);
+  cipher.setAAD(Buffer.from(normalizeBaseUrl(baseUrl), 'utf8'));
+  const ciphertext = Buffer.concat([cipher.update(apiKey, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return [VERSION, iv.toString('base64'), tag.toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+/**
+ * Decrypt a stored API key for the base URL it is about to be sent to
+ * Returns null when the key was saved for a different base URL.
+ * Values saved before encryption was introduced are returned as-is, and
+ * v1 values (saved before keys were bound to a URL) decrypt for any URL.
+ */
+export function decryptApiKey(stored, secret, baseUrl) {
+  if (!stored) return null;
+
+  const parts = stored.split(':');
+  if (parts.length !== 4 || ![VERSION, LEGACY_VERSION].includes(parts[0])) {
+    return stored; // Legacy plaintext value
+  }
+
+  const [version, iv, tag, ciphertext] = parts;
+  const decipher = createDecipheriv('aes-256-gcm', deriveKey(secret), Buffer.from(iv, 'base64'));
+  if (version === VERSION) {
+    decipher.setAAD(Buffer.from(normalizeBaseUrl(baseUrl), 'utf8'));
+  }
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+  try {
+    return Buffer.concat([
+      decipher.update(Buffer.from(ciphertext, 'base64')),
+      decipher.final(),
+    ]).toString('utf8');
+  } catch {
+    return null; // Saved for another base URL (or tampered with)
+  }
+}
+
+export default {
+  encryptApiKey,
+  decryptApiKey,
+};
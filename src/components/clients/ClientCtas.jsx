@@ -0,0 +1,194 @@
+/**
+ * Client CTAs Component
+ *
+ * The client's default call-to-action, its named alternatives (picked per
+ * generation in the Generator) and the voice prompt used whenever a CTA is
+ * included.
+ */
+
+import { useState } from 'react';
+import { Megaphone, Edit, Plus, X } from 'lucide-react';
+import { Button, Card, Badge, Modal, Input, TextArea, toast } from '../ui';
+
+const EMPTY_CTA_FORM = { name: '', cta_text: '' };
+
+export default function ClientCtas({ client, onUpdate, onEditDefault, onSaveCta, onRemoveCta }) {
+  const [showCtaModal, setShowCtaModal] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [ctaForm, setCtaForm] = useState(EMPTY_CTA_FORM);
+  const [showVoiceModal, setShowVoiceModal] = useState(false);
+  const [editVoice, setEditVoice] = useState('');
+
+  const ctas = client.ctas || [];
+
+  const handleOpenCtaModal = (existing = null) => {
+    setEditingId(existing?.id || null);
+    setCtaForm(existing ? { name: existing.name, cta_text: existing.cta_text } : EMPTY_CTA_FORM);
+    setShowCtaModal(true);
+  };
+
+  const handleSaveCta = async () => {
+    const name = ctaForm.name.trim();
+    if (!name || !ctaForm.cta_text.trim()) {
+      toast.error('Please enter a name and the call-to-action text');
+      return;
+    }
+    if (ctas.some(c => c.id !== editingId && c.name.toLowerCase() === name.toLowerCase())) {
+      toast.error(`A call-to-action named "${name}" already exists`);
+      return;
+    }
+
+    const { error } = await onSaveCta(editingId, { name, cta_text: ctaForm.cta_text.trim() });
+    if (!error) {
+      setShowCtaModal(false);
+    }
+  };
+
+  const handleOpenVoiceModal = () => {
+    setEditVoice(client.voice_prompt_with_cta || '');
+    setShowVoiceModal(true);
+  };
+
+  const handleSaveVoice = async () => {
+    const { error } = await onUpdate({ voice_prompt_with_cta: editVoice.trim() || null });
+    if (!error) {
+      setShowVoiceModal(false);
+    }
+  };
+
+  return (
+    <>
+      <Card>
+        <Card.Header
+          actions={
+            <Button variant="ghost" size="sm" leftIcon={Plus} onClick={() => handleOpenCtaModal()}>
+              Add
+            </Button>
+          }
+        >
+          <Card.Title className="flex items-center gap-2">
+            <Megaphone className="h-5 w-5" />
+            Calls-to-Action
+          </Card.Title>
+          <Card.Description>Pick one per generation in the Generator</Card.Description>
+        </Card.Header>
+
+        <div className="space-y-4">
+          {/* Default CTA */}
+          <div className="flex items-start gap-3">
+            <div className="flex-1">
+              <div className="flex items-center gap-2">
+                <p className="text-sm font-medium text-gray-900">Default</p>
+                <Badge variant="secondary" size="xs">Default</Badge>
+              </div>
+              <p className="text-sm text-gray-600">{client.default_cta || 'No default call-to-action set.'}</p>
+            </div>
+            <Button variant="ghost" size="sm" leftIcon={Edit} onClick={onEditDefault}>
+              Edit
+            </Button>
+          </div>
+
+          {/* Named CTAs */}
+          {ctas.length > 0 && (
+            <div className="space-y-2">
+              {ctas.map((cta) => (
+                <div
+                  key={cta.id}
+                  className="flex items-start gap-3 p-3 bg-gray-50 dark:bg-[var(--bg)] rounded-md"
+                >
+                  <button
+                    type="button"
+                    onClick={() => handleOpenCtaModal(cta)}
+                    className="flex-1 text-left"
+                  >
+                    <p className="text-sm font-medium text-gray-900">{cta.name}</p>
+                    <p className="text-sm text-gray-600 line-clamp-2">{cta.cta_text}</p>
+                  </button>
+                  <button
+                    onClick={() => onRemoveCta(cta.id)}
+                    className="p-1 text-gray-400 hover:text-error-500"
+                    aria-label={`Remove ${cta.name}`}
+                  >
+                    <X className="h-4 w-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* CTA voice */}
+          <div className="pt-3 border-t border-gray-100 dark:border-gray-700">
+            <div className="flex items-center justify-between mb-2">
+              <p className="text-sm font-medium text-gray-900">Voice with Call-to-Action</p>
+              <Button variant="ghost" size="sm" leftIcon={Edit} onClick={handleOpenVoiceModal}>
+                Edit
+              </Button>
+            </div>
+            <p className="text-sm text-gray-600 whitespace-pre-wrap">
+              {client.voice_prompt_with_cta || 'Uses the regular voice prompt.'}
+            </p>
+          </div>
+        </div>
+      </Card>
+
+      {/* Named CTA Modal */}
+      <Modal
+        isOpen={showCtaModal}
+        onClose={() => setShowCtaModal(false)}
+        title={editingId ? 'Edit Call-to-Action' : 'Add Call-to-Action'}
+        size="lg"
+        footer={
+          <>
+            <Button variant="secondary" onClick={() => setShowCtaModal(false)}>
+              Cancel
+            </Button>
+            <Button onClick={handleSaveCta}>Save</Button>
+          </>
+        }
+      >
+        <div className="space-y-4">
+          <Input
+            label="Name"
+            placeholder="e.g., Free consult"
+            value={ctaForm.name}
+            onChange={(e) => setCtaForm(f => ({ ...f, name: e.target.value }))}
+            required
+          />
+          <TextArea
+            label="Call-to-Action"
+            placeholder="e.g., Book a free 30-minute consultation at acmeconstruction.com"
+            value={ctaForm.cta_text}
+            onChange={(e) => setCtaForm(f => ({ ...f, cta_text: e.target.value }))}
+            rows={3}
+            required
+          />
+        </div>
+      </Modal>
+
+      {/* CTA Voice Modal */}
+      <Modal
+        isOpen={showVoiceModal}
+        onClose={() => setShowVoiceModal(false)}
+        title="Voice with Call-to-Action"
+        size="lg"
+        footer={
+          <>
+            <Button variant="secondary" onClick={() => setShowVoiceModal(false)}>
+              Cancel
+            </Button>
+            <Button onClick={handleSaveVoice}>Save Changes</Button>
+          </>
+        }
+      >
+        <TextArea
+          label="Voice Prompt"
+          placeholder="How this client sounds when the comment includes a call-to-action..."
+          value={editVoice}
+          onChange={(e) => setEditVoice(e.target.value)}
+          rows={6}
+          helper="Replaces the regular voice prompt whenever a call-to-action is included. Leave empty to use the regular one."
+        />
+      </Modal>
+    </>
+  );
+}
@@ -6,6 +6,7 @@
 
 import { useState } from 'react';
 import { Button, Input, TextArea, Dropdown } from '../ui';
+import { AUTO_LANGUAGE, LANGUAGES } from '../../lib/language';
 
 // Common industries
 const INDUSTRIES = [
@@ -33,6 +34,11 @@ const INDUSTRIES = [
 
 const industryOptions = INDUSTRIES.map(i => ({ value: i, label: i }));
 
+const languageOptions = [
+  { value: AUTO_LANGUAGE, label: 'Match the post' },
+  ...Object.entries(LANGUAGES).map(([value, info]) => ({ value, label: info.name })),
+];
+
 export default function ClientForm({
   initialData,
   onSubmit,
@@ -45,6 +51,8 @@ export default function ClientForm({
     description: initialData?.description || '',
     voice_prompt: initialData?.voice_prompt || '',
     default_cta: initialData?.default_cta || '',
+    voice_prompt_with_cta: initialData?.voice_prompt_with_cta || '',
+    default_language: initialData?.default_language || AUTO_LANGUAGE,
     target_audience: initialData?.target_audience || '',
   });
 
@@ -166,6 +174,23 @@ export default function ClientForm({
           onChange={(e) => updateField('default_cta', e.target.value)}
           helper="Optional: The soft pitch to include when CTA mode is on"
         />
+
+        <TextArea
+          label="Voice Prompt with Call-to-Action"
+          placeholder="e.g., Same voice, but close by mentioning the consultation naturally, as a neighbor would - never as an ad."
+          value={formData.voice_prompt_with_cta}
+          onChange={(e) => updateField('voice_prompt_with_cta', e.target.value)}
+          rows={4}
+          helper="Optional: Replaces the voice prompt whenever a call-to-action is included"
+        />
+
+        <Dropdown
+          label="Default Language"
+          options={languageOptions}
+          value={formData.default_language}
+          onChange={(value) => updateField('default_language', value)}
+          helper="Language preselected in the Generator. Match the post detects it, falling back to English."
+        />
       </div>
 
       {/* Tips Section */}
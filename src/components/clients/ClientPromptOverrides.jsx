@@ -0,0 +1,272 @@
+/**
+ * Client Prompt Overrides Component
+ *
+ * Optional prompt template and platform prompts for a single client. When
+ * set they replace the organization's versions for this client only.
+ */
+
+import { useState } from 'react';
+import { FileText, Edit, Plus, X } from 'lucide-react';
+import { Button, Card, Badge, Modal, Input, TextArea, Dropdown, toast } from '../ui';
+import { useAuth } from '../../contexts/AuthContext';
+import { getSystemPromptTemplate } from '../../lib/supabase';
+import {
+  DEFAULT_PROMPT_TEMPLATE,
+  PLATFORM_PROMPTS,
+  buildTemplateContext,
+  renderPromptTemplate,
+} from '../../lib/prompts';
+import { getPlatformInfo, PLATFORMS } from '../../lib/utils';
+
+const PLATFORM_OPTIONS = Object.entries(PLATFORMS).map(([value, info]) => ({
+  value,
+  label: info.name,
+}));
+
+const EMPTY_PLATFORM_FORM = { platform: '', style_prompt: '', max_length: '' };
+
+export default function ClientPromptOverrides({
+  client,
+  onUpdate,
+  onSavePlatformPrompt,
+  onRemovePlatformPrompt,
+}) {
+  const { organization } = useAuth();
+  const [showTemplateModal, setShowTemplateModal] = useState(false);
+  const [editTemplate, setEditTemplate] = useState('');
+  const [showPlatformModal, setShowPlatformModal] = useState(false);
+  const [platformForm, setPlatformForm] = useState(EMPTY_PLATFORM_FORM);
+
+  const platformPrompts = client.platform_prompts || [];
+
+  const handleOpenTemplateModal = () => {
+    setEditTemplate(client.prompt_template || '');
+    setShowTemplateModal(true);
+  };
+
+  // Start from the organization template (or the built-in one)
+  const handleCopyOrgTemplate = async () => {
+    let orgTemplate = null;
+    if (organization?.id) {
+      orgTemplate = await getSystemPromptTemplate(organization.id);
+    }
+    setEditTemplate(orgTemplate || DEFAULT_PROMPT_TEMPLATE);
+  };
+
+  const handleSaveTemplate = async () => {
+    if (!editTemplate.trim()) {
+      toast.error('Template cannot be empty');
+      return;
+    }
+
+    // Refuse templates that would fail at generation time
+    try {
+      renderPromptTemplate(editTemplate, buildTemplateContext({ client, platform: 'other' }));
+    } catch (err) {
+      toast.error(`Template error: ${err.message}`);
+      return;
+    }
+
+    const { error } = await onUpdate({ prompt_template: editTemplate });
+    if (!error) {
+      setShowTemplateModal(false);
+    }
+  };
+
+  const handleRemoveTemplate = async () => {
+    if (confirm(`Stop using a custom template for ${client.name}?`)) {
+      await onUpdate({ prompt_template: null });
+    }
+  };
+
+  const handleOpenPlatformModal = (existing = null) => {
+    setPlatformForm(existing
+      ? {
+          platform: existing.platform,
+          style_prompt: existing.style_prompt,
+          max_length: existing.max_length || '',
+        }
+      : EMPTY_PLATFORM_FORM);
+    setShowPlatformModal(true);
+  };
+
+  // Prefill the style prompt from the platform default when picking a platform
+  const handlePlatformChange = (platform) => {
+    setPlatformForm(f => ({
+      ...f,
+      platform,
+      style_prompt: f.style_prompt || PLATFORM_PROMPTS[platform]?.style_prompt || '',
+    }));
+  };
+
+  const handleSavePlatformPrompt = async () => {
+    if (!platformForm.platform || !platformForm.style_prompt.trim()) {
+      toast.error('Please choose a platform and enter a style prompt');
+      return;
+    }
+
+    const { error } = await onSavePlatformPrompt(platformForm.platform, {
+      style_prompt: platformForm.style_prompt,
+      max_length: platformForm.max_length ? parseInt(platformForm.max_length) : null,
+    });
+    if (!error) {
+      setShowPlatformModal(false);
+    }
+  };
+
+  return (
+    <>
+      <Card>
+        <Card.Header>
+          <Card.Title className="flex items-center gap-2">
+            <FileText className="h-5 w-5" />
+            Prompt Overrides
+          </Card.Title>
+          <Card.Description>Replace the organization's prompts for this client only</Card.Description>
+        </Card.Header>
+
+        <div className="space-y-4">
+          {/* Template */}
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <div className="flex items-center gap-2">
+                <p className="text-sm font-medium text-gray-900">Prompt Template</p>
+                <Badge variant={client.prompt_template ? 'primary' : 'secondary'} size="xs">
+                  {client.prompt_template ? 'Custom' : 'Organization'}
+                </Badge>
+              </div>
+              <div className="flex gap-1">
+                {client.prompt_template && (
+                  <Button variant="ghost" size="sm" onClick={handleRemoveTemplate}>
+                    Remove
+                  </Button>
+                )}
+                <Button variant="ghost" size="sm" leftIcon={Edit} onClick={handleOpenTemplateModal}>
+                  {client.prompt_template ? 'Edit' : 'Customize'}
+                </Button>
+              </div>
+            </div>
+            {client.prompt_template ? (
+              <pre className="text-xs font-mono whitespace-pre-wrap bg-gray-50 dark:bg-[var(--bg)] rounded-md p-3 max-h-40 overflow-y-auto text-gray-700 dark:text-gray-200">
+                {client.prompt_template}
+              </pre>
+            ) : (
+              <p className="text-gray-500 text-sm">Uses the organization template from Settings.</p>
+            )}
+          </div>
+
+          {/* Platform prompts */}
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <p className="text-sm font-medium text-gray-900">Platform Prompts</p>
+              <Button variant="ghost" size="sm" leftIcon={Plus} onClick={() => handleOpenPlatformModal()}>
+                Add
+              </Button>
+            </div>
+            {platformPrompts.length > 0 ? (
+              <div className="space-y-2">
+                {platformPrompts.map((prompt) => (
+                  <div
+                    key={prompt.id}
+                    className="flex items-start gap-3 p-3 bg-gray-50 dark:bg-[var(--bg)] rounded-md"
+                  >
+                    <button
+                      type="button"
+                      onClick={() => handleOpenPlatformModal(prompt)}
+                      className="flex-1 text-left"
+                    >
+                      <p className="text-sm font-medium text-gray-900">{getPlatformInfo(prompt.platform).name}</p>
+                      <p className="text-sm text-gray-600 line-clamp-2">{prompt.style_prompt}</p>
+                      {prompt.max_length && (
+                        <p className="text-xs text-gray-500 mt-1">Max length: {prompt.max_length} characters</p>
+                      )}
+                    </button>
+                    <button
+                      onClick={() => onRemovePlatformPrompt(prompt.id)}
+                      className="p-1 text-gray-400 hover:text-error-500"
+                      aria-label={`Remove ${getPlatformInfo(prompt.platform).name} override`}
+                    >
+                      <X className="h-4 w-4" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <p className="text-gray-500 text-sm">Uses the organization's platform prompts.</p>
+            )}
+          </div>
+        </div>
+      </Card>
+
+      {/* Template Modal */}
+      <Modal
+        isOpen={showTemplateModal}
+        onClose={() => setShowTemplateModal(false)}
+        title={`Prompt Template for ${client.name}`}
+        size="xl"
+        footer={
+          <>
+            <Button variant="secondary" onClick={handleCopyOrgTemplate}>
+              Start from Organization Template
+            </Button>
+            <div className="flex-1" />
+            <Button variant="secondary" onClick={() => setShowTemplateModal(false)}>
+              Cancel
+            </Button>
+            <Button onClick={handleSaveTemplate}>Save Template</Button>
+          </>
+        }
+      >
+        <TextArea
+          label="Template (system --- user)"
+          value={editTemplate}
+          onChange={(e) => setEditTemplate(e.target.value)}
+          rows={20}
+          className="font-mono text-sm"
+          helper="Same variables, blocks and filters as the organization template in Settings"
+        />
+      </Modal>
+
+      {/* Platform Prompt Modal */}
+      <Modal
+        isOpen={showPlatformModal}
+        onClose={() => setShowPlatformModal(false)}
+        title="Platform Prompt Override"
+        size="lg"
+        footer={
+          <>
+            <Button variant="secondary" onClick={() => setShowPlatformModal(false)}>
+              Cancel
+            </Button>
+            <Button onClick={handleSavePlatformPrompt}>Save Override</Button>
+          </>
+        }
+      >
+        <div className="space-y-4">
+          <Dropdown
+            label="Platform"
+            placeholder="Select platform"
+            options={PLATFORM_OPTIONS}
+            value={platformForm.platform}
+            onChange={handlePlatformChange}
+          />
+          <TextArea
+            label="Style Prompt"
+            value={platformForm.style_prompt}
+            onChange={(e) => setPlatformForm(f => ({ ...f, style_prompt: e.target.value }))}
+            rows={5}
+            helper="How this client's comments should be written on this platform"
+          />
+          <Input
+            label="Max Character Length"
+            type="number"
+            value={platformForm.max_length}
+            onChange={(e) => setPlatformForm(f => ({ ...f, max_length: e.target.value }))}
+            placeholder="e.g., 150"
+            helper="Optional: leave empty to keep the organization's limit"
+          />
+        </div>
+      </Modal>
+    </>
+  );
+}
@@ -0,0 +1,175 @@
+/**
+ * Voice Suggestion Modal
+ *
+ * Suggests a voice prompt, target audience and keywords from a client's
+ * sample comments (and optional website copy), shown next to the current
+ * values so each one can be accepted on its own.
+ */
+
+import { useState, useMemo, useEffect } from 'react';
+import { Sparkles } from 'lucide-react';
+import { Button, Modal, TextArea, Spinner } from '../ui';
+import { useVoiceSuggestion } from '../../hooks/useVoiceSuggestion';
+import { diffVoiceSuggestion } from '../../lib/voiceSuggestion';
+import { cn } from '../../lib/utils';
+
+const FIELD_LABELS = {
+  voice_prompt: 'Voice Prompt',
+  target_audience: 'Target Audience',
+};
+
+export default function VoiceSuggestionModal({ isOpen, onClose, client, onUpdate, onAddKeywords }) {
+  const { loading, error, suggestion, suggest, clear } = useVoiceSuggestion();
+  const [websiteCopy, setWebsiteCopy] = useState('');
+  const [acceptedFields, setAcceptedFields] = useState({});
+  const [acceptedKeywords, setAcceptedKeywords] = useState({});
+  const [applying, setApplying] = useState(false);
+
+  const diff = useMemo(
+    () => (suggestion ? diffVoiceSuggestion(client, suggestion) : null),
+    [client, suggestion]
+  );
+
+  // Accept everything by default; the user unticks what they don't want
+  useEffect(() => {
+    if (!diff) return;
+    setAcceptedFields(Object.fromEntries(diff.fields.map(f => [f.field, true])));
+    setAcceptedKeywords(Object.fromEntries(diff.keywords.map(k => [k, true])));
+  }, [diff]);
+
+  const handleClose = () => {
+    clear();
+    setWebsiteCopy('');
+    onClose();
+  };
+
+  const handleApply = async () => {
+    const updates = Object.fromEntries(
+      diff.fields.filter(f => acceptedFields[f.field]).map(f => [f.field, f.suggested])
+    );
+    const keywords = diff.keywords.filter(k => acceptedKeywords[k]);
+
+    setApplying(true);
+    try {
+      if (Object.keys(updates).length > 0) {
+        const { error: updateError } = await onUpdate(updates);
+        if (updateError) return;
+      }
+      if (keywords.length > 0) {
+        const { error: keywordError } = await onAddKeywords(keywords);
+        if (keywordError) return;
+      }
+      handleClose();
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  const selectedCount = diff
+    ? diff.fields.filter(f => acceptedFields[f.field]).length + diff.keywords.filter(k => acceptedKeywords[k]).length
+    : 0;
+  const sampleCount = client.sample_comments?.length || 0;
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={handleClose}
+      title="Suggest Voice from Samples"
+      size="xl"
+      footer={
+        <>
+          <Button variant="secondary" onClick={handleClose}>
+            Cancel
+          </Button>
+          {diff ? (
+            <Button onClick={handleApply} loading={applying} disabled={selectedCount === 0}>
+              Apply Selected ({selectedCount})
+            </Button>
+          ) : (
+            <Button leftIcon={Sparkles} onClick={() => suggest(client, websiteCopy)} loading={loading}>
+              Suggest
+            </Button>
+          )}
+        </>
+      }
+    >
+      {!suggestion ? (
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600">
+            Uses {sampleCount} sample comment{sampleCount !== 1 ? 's' : ''} to propose a voice prompt,
+            target audience and keywords. Nothing is saved until you apply it.
+          </p>
+          <TextArea
+            label="Website copy (optional)"
+            placeholder="Paste text from the client's homepage or about page..."
+            value={websiteCopy}
+            onChange={(e) => setWebsiteCopy(e.target.value)}
+            rows={8}
+            disabled={loading}
+          />
+          {loading && (
+            <div className="flex justify-center py-4">
+              <Spinner />
+            </div>
+          )}
+          {error && <p className="text-sm text-error-600">{error}</p>}
+        </div>
+      ) : diff.fields.length === 0 && diff.keywords.length === 0 ? (
+        <p className="text-sm text-gray-600">
+          The suggestion matches what {client.name} already has.
+        </p>
+      ) : (
+        <div className="space-y-5">
+          {diff.fields.map(({ field, current, suggested }) => (
+            <div key={field}>
+              <label className="flex items-center gap-2 mb-2 text-sm font-medium text-gray-900">
+                <input
+                  type="checkbox"
+                  checked={!!acceptedFields[field]}
+                  onChange={(e) => setAcceptedFields(a => ({ ...a, [field]: e.target.checked }))}
+                />
+                {FIELD_LABELS[field]}
+              </label>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3 text-sm">
+                <div className="rounded-md p-3 bg-error-50 text-error-800 whitespace-pre-wrap">
+                  <p className="text-xs font-medium uppercase mb-1">Current</p>
+                  {current || <span className="italic">Not set</span>}
+                </div>
+                <div className="rounded-md p-3 bg-success-50 text-success-800 whitespace-pre-wrap">
+                  <p className="text-xs font-medium uppercase mb-1">Suggested</p>
+                  {suggested}
+                </div>
+              </div>
+            </div>
+          ))}
+
+          {diff.keywords.length > 0 && (
+            <div>
+              <p className="text-sm font-medium text-gray-900 mb-2">New Keywords</p>
+              <div className="flex flex-wrap gap-2">
+                {diff.keywords.map(keyword => (
+                  <label
+                    key={keyword}
+                    className={cn(
+                      'flex items-center gap-1.5 px-2.5 py-1 rounded-full border text-sm cursor-pointer',
+                      acceptedKeywords[keyword]
+                        ? 'border-primary-300 bg-primary-50 text-primary-800'
+                        : 'border-gray-200 text-gray-500'
+                    )}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={!!acceptedKeywords[keyword]}
+                      onChange={(e) => setAcceptedKeywords(a => ({ ...a, [keyword]: e.target.checked }))}
+                    />
+                    {keyword}
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </Modal>
+  );
+}
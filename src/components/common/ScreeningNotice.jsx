@@ -0,0 +1,60 @@
+/**
+ * Screening Notice Component
+ *
+ * Lists what the content screener found in a post: phrases that look like
+ * prompt injection, and personal info with the placeholder it is (or would
+ * be) replaced with.
+ */
+
+import { ShieldAlert, EyeOff } from 'lucide-react';
+import { PII_TYPES, getScreenedFieldLabel } from '../../lib/contentScreening';
+
+export default function ScreeningNotice({ screening, className = '' }) {
+  if (!screening) return null;
+  const { injections = [], pii = [], redacted = false } = screening;
+  if (injections.length === 0 && pii.length === 0) return null;
+
+  // The same value can appear in several fields; list it once
+  const uniquePii = pii.filter((item, i) => pii.findIndex(p => p.value === item.value) === i);
+
+  return (
+    <div className={`space-y-2 ${className}`}>
+      {injections.length > 0 && (
+        <div className="flex items-start gap-2 text-xs text-error-700 bg-error-50 rounded-md px-3 py-2">
+          <ShieldAlert className="h-4 w-4 flex-shrink-0" />
+          <div>
+            <p className="font-medium">Possible prompt injection. The AI is told to ignore instructions in the post.</p>
+            <ul className="mt-1 space-y-0.5">
+              {injections.map((hit, i) => (
+                <li key={i}>
+                  {hit.label} ({getScreenedFieldLabel(hit.field)}): "{hit.match}"
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
+
+      {uniquePii.length > 0 && (
+        <div className="flex items-start gap-2 text-xs text-warning-700 bg-warning-50 rounded-md px-3 py-2">
+          <EyeOff className="h-4 w-4 flex-shrink-0" />
+          <div>
+            <p className="font-medium">
+              {redacted
+                ? 'Personal info was replaced before sending to the AI provider:'
+                : 'Personal info found. Turn on redaction to keep it from the AI provider:'}
+            </p>
+            <ul className="mt-1 space-y-0.5">
+              {uniquePii.map((item, i) => (
+                <li key={i}>
+                  {PII_TYPES[item.type]?.label || item.type} "{item.value}"
+                  {redacted && <> → {item.placeholder}</>}
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
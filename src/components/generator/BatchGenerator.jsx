@@ -0,0 +1,330 @@
+/**
+ * Batch Generator Component
+ *
+ * Upload a CSV or JSON list of posts, generate comments for every row a few
+ * at a time, and review the results in a table. Each row is saved to
+ * history as soon as it finishes. Language, translation, auto-fix and
+ * redaction are shared with the single-post form.
+ */
+
+import { Fragment, useState } from 'react';
+import {
+  Upload,
+  FileText,
+  Play,
+  Square,
+  AlertCircle,
+  ChevronDown,
+  ChevronUp,
+  Copy,
+  CheckCircle,
+} from 'lucide-react';
+import { Card, Button, Badge, Dropdown, Toggle, Spinner, toast } from '../ui';
+import { useBatchGenerator } from '../../hooks/useGenerator';
+import { parseBatchFile, resolveBatchRows, BATCH_COLUMNS, MAX_BATCH_ROWS } from '../../lib/batch';
+import { copyToClipboard, getPlatformInfo, truncate } from '../../lib/utils';
+import { DEFAULT_LANGUAGE } from '../../lib/language';
+import { LANGUAGE_OPTIONS } from './GeneratorForm';
+
+const NUM_OPTIONS = [
+  { value: 1, label: '1 option' },
+  { value: 2, label: '2 options' },
+  { value: 3, label: '3 options' },
+];
+
+const STATUS_BADGES = {
+  pending: { label: 'Queued', variant: 'secondary' },
+  generating: { label: 'Generating', variant: 'info' },
+  done: { label: 'Done', variant: 'success' },
+  error: { label: 'Failed', variant: 'error' },
+  cancelled: { label: 'Cancelled', variant: 'secondary' },
+};
+
+export default function BatchGenerator({ clients, providerId, settings, onSettingsChange, onFinished }) {
+  const { running, items, progress, run, cancel, markAsUsed, clear } = useBatchGenerator();
+
+  const [fileName, setFileName] = useState('');
+  const [rows, setRows] = useState([]);
+  const [parseError, setParseError] = useState(null);
+  const [numOptions, setNumOptions] = useState(2);
+  const [includeCta, setIncludeCta] = useState(false);
+  const [expandedRow, setExpandedRow] = useState(null);
+
+  const validRows = rows.filter(r => r.errors.length === 0);
+  const invalidRows = rows.filter(r => r.errors.length > 0);
+
+  // Read and validate the selected file
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setFileName(file.name);
+    setParseError(null);
+    clear();
+
+    try {
+      const parsed = parseBatchFile(await file.text(), file.name);
+      if (parsed.length === 0) {
+        throw new Error('The file has no rows');
+      }
+      if (parsed.length > MAX_BATCH_ROWS) {
+        throw new Error(`Batches are limited to ${MAX_BATCH_ROWS} posts (file has ${parsed.length})`);
+      }
+      setRows(resolveBatchRows(parsed, clients));
+    } catch (err) {
+      setRows([]);
+      setParseError(err.message);
+    }
+  };
+
+  const handleRun = async () => {
+    await run(validRows, {
+      numOptions,
+      includeCta,
+      providerId,
+      language: settings.language,
+      includeTranslation: settings.includeTranslation,
+      autoFixGuardrails: settings.autoFixGuardrails,
+      redactPii: settings.redactPii,
+    });
+    onFinished?.();
+  };
+
+  const handleCopy = async (text) => {
+    const success = await copyToClipboard(text);
+    if (success) toast.success('Copied to clipboard');
+  };
+
+  const handleMarkUsed = async (item, option, index) => {
+    await markAsUsed(item.rowNumber, index, option.style);
+    await copyToClipboard(option.text);
+  };
+
+  const percent = progress.total ? Math.round((progress.finished / progress.total) * 100) : 0;
+
+  return (
+    <div className="space-y-4">
+      <Card>
+        <Card.Header>
+          <Card.Title>Batch Generation</Card.Title>
+          <Card.Description>
+            Upload a CSV or JSON file with columns: {BATCH_COLUMNS.join(', ')}
+          </Card.Description>
+        </Card.Header>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+          {/* File picker */}
+          <label className="flex items-center gap-2 px-4 py-2 border border-dashed border-gray-300 dark:border-gray-600 rounded-md cursor-pointer hover:bg-gray-50 dark:hover:bg-[var(--card-soft)]">
+            <Upload className="h-4 w-4 text-gray-500" />
+            <span className="text-sm text-gray-700 dark:text-gray-300 truncate">
+              {fileName || 'Choose CSV or JSON file'}
+            </span>
+            <input
+              type="file"
+              accept=".csv,.json,text/csv,application/json"
+              className="sr-only"
+              onChange={handleFileChange}
+              disabled={running}
+            />
+          </label>
+
+          <Dropdown
+            label="Options per post"
+            options={NUM_OPTIONS}
+            value={numOptions}
+            onChange={setNumOptions}
+          />
+
+          <div className="flex items-center justify-between py-2">
+            <p className="text-sm font-medium text-gray-700">Include Call-to-Action</p>
+            <Toggle checked={includeCta} onChange={setIncludeCta} />
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end mt-4">
+          <Dropdown
+            label="Language"
+            options={LANGUAGE_OPTIONS}
+            value={settings.language}
+            onChange={(value) => onSettingsChange('language', value)}
+            helper="Auto-detect follows each post, then the client's default"
+          />
+
+          <div className="flex items-center justify-between py-2">
+            <p className="text-sm font-medium text-gray-700">Auto-fix Rule Violations</p>
+            <Toggle
+              checked={settings.autoFixGuardrails}
+              onChange={(checked) => onSettingsChange('autoFixGuardrails', checked)}
+            />
+          </div>
+
+          <div className="flex items-center justify-between py-2">
+            <p className="text-sm font-medium text-gray-700">Redact Personal Info</p>
+            <Toggle
+              checked={settings.redactPii}
+              onChange={(checked) => onSettingsChange('redactPii', checked)}
+            />
+          </div>
+
+          {settings.language !== DEFAULT_LANGUAGE && (
+            <div className="flex items-center justify-between py-2">
+              <p className="text-sm font-medium text-gray-700">Show English Translation</p>
+              <Toggle
+                checked={settings.includeTranslation}
+                onChange={(checked) => onSettingsChange('includeTranslation', checked)}
+              />
+            </div>
+          )}
+        </div>
+
+        {parseError && (
+          <p className="text-sm text-error-600 mt-3 flex items-center gap-1">
+            <AlertCircle className="h-4 w-4" />
+            {parseError}
+          </p>
+        )}
+
+        {rows.length > 0 && (
+          <div className="mt-4 space-y-3">
+            <div className="flex items-center gap-2 text-sm text-gray-600">
+              <FileText className="h-4 w-4" />
+              <span>{validRows.length} ready</span>
+              {invalidRows.length > 0 && (
+                <span className="text-warning-700">• {invalidRows.length} skipped</span>
+              )}
+            </div>
+
+            {invalidRows.length > 0 && (
+              <ul className="text-xs text-warning-700 bg-warning-50 rounded-md p-3 space-y-1 max-h-32 overflow-y-auto">
+                {invalidRows.map(row => (
+                  <li key={row.rowNumber}>Row {row.rowNumber}: {row.errors.join(', ')}</li>
+                ))}
+              </ul>
+            )}
+
+            <div className="flex items-center gap-2">
+              {running ? (
+                <Button variant="secondary" onClick={cancel} leftIcon={Square}>
+                  Stop
+                </Button>
+              ) : (
+                <Button onClick={handleRun} disabled={validRows.length === 0} leftIcon={Play}>
+                  Generate {validRows.length} post{validRows.length !== 1 ? 's' : ''}
+                </Button>
+              )}
+            </div>
+          </div>
+        )}
+      </Card>
+
+      {/* Progress */}
+      {items.length > 0 && (
+        <Card>
+          <div className="flex items-center justify-between text-sm text-gray-600 mb-2">
+            <span className="flex items-center gap-2">
+              {running && <Spinner size="sm" />}
+              {progress.finished} of {progress.total} posts
+            </span>
+            <span>
+              {progress.succeeded} done
+              {progress.failed > 0 && <span className="text-error-600"> • {progress.failed} failed</span>}
+            </span>
+          </div>
+          <div className="h-2 bg-gray-100 dark:bg-gray-700 rounded-full overflow-hidden">
+            <div
+              className="h-full bg-primary-500 transition-all"
+              style={{ width: `${percent}%` }}
+              role="progressbar"
+              aria-valuenow={percent}
+              aria-valuemin={0}
+              aria-valuemax={100}
+            />
+          </div>
+        </Card>
+      )}
+
+      {/* Results table */}
+      {items.length > 0 && (
+        <Card padding="none" className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50 dark:bg-[var(--card-soft)] text-left text-xs font-medium text-gray-500 uppercase">
+              <tr>
+                <th className="px-4 py-2">#</th>
+                <th className="px-4 py-2">Client</th>
+                <th className="px-4 py-2">Platform</th>
+                <th className="px-4 py-2">Post</th>
+                <th className="px-4 py-2">Status</th>
+                <th className="px-4 py-2" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+              {items.map(item => {
+                const status = STATUS_BADGES[item.status] || STATUS_BADGES.pending;
+                const expanded = expandedRow === item.rowNumber;
+
+                return (
+                  <Fragment key={item.rowNumber}>
+                    <tr>
+                      <td className="px-4 py-2 text-gray-500">{item.rowNumber}</td>
+                      <td className="px-4 py-2 text-gray-900">{item.client.name}</td>
+                      <td className="px-4 py-2 text-gray-600">{getPlatformInfo(item.platform).name}</td>
+                      <td className="px-4 py-2 text-gray-600">{truncate(item.content, 80)}</td>
+                      <td className="px-4 py-2">
+                        <Badge variant={status.variant} size="xs" title={item.error || undefined}>
+                          {status.label}
+                        </Badge>
+                      </td>
+                      <td className="px-4 py-2 text-right">
+                        {(item.options.length > 0 || item.error) && (
+                          <button
+                            type="button"
+                            onClick={() => setExpandedRow(expanded ? null : item.rowNumber)}
+                            className="p-1 text-gray-400 hover:text-gray-600"
+                            aria-label={expanded ? 'Hide comments' : 'Show comments'}
+                          >
+                            {expanded ? <ChevronUp className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                    {expanded && (
+                      <tr>
+                        <td colSpan={6} className="px-4 py-3 bg-gray-50 dark:bg-[var(--card-soft)]">
+                          {item.error && <p className="text-sm text-error-700">{item.error}</p>}
+                          <div className="space-y-2">
+                            {item.options.map((option, index) => (
+                              <div key={index} className="flex items-start gap-3">
+                                <Badge variant="secondary" size="xs">{option.style}</Badge>
+                                <p className="flex-1 text-gray-800 dark:text-gray-100 whitespace-pre-wrap">{option.text}</p>
+                                <button
+                                  type="button"
+                                  onClick={() => handleCopy(option.text)}
+                                  className="p-1 text-gray-400 hover:text-gray-600"
+                                  title="Copy"
+                                >
+                                  <Copy className="h-4 w-4" />
+                                </button>
+                                {option.isUsed ? (
+                                  <CheckCircle className="h-4 w-4 text-success-600 m-1" aria-label="Used" />
+                                ) : (
+                                  <Button variant="ghost" size="xs" onClick={() => handleMarkUsed(item, option, index)}>
+                                    Use & Copy
+                                  </Button>
+                                )}
+                              </div>
+                            ))}
+                          </div>
+                        </td>
+                      </tr>
+                    )}
+                  </Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+        </Card>
+      )}
+    </div>
+  );
+}
@@ -2,9 +2,18 @@
  * Comment Option Component
  * 
  * Displays a single generated comment option with copy and use actions.
+ * While a generation is still streaming, actions are hidden because the
+ * generation has not been saved yet. Options can be refined one at a time
+ * (shorter, more casual, ...) without regenerating the rest. Options written
+ * in another language can carry an English translation. Options that break
+ * a platform rule (see guardrails.js) list their violations, with a one-click
+ * fix. Options cut to the platform's max length can be rewritten to fit
+ * instead. Options close to a comment the client already used link to that
+ * generation in History.
  */
 
 import { useState } from 'react';
+import { Link } from 'react-router-dom';
 import {
   Copy,
   Check,
@@ -15,9 +24,19 @@ import {
   Lightbulb,
   Zap,
   Plus,
+  Wand2,
+  Send,
+  History as HistoryIcon,
+  Languages,
+  AlertTriangle,
+  ShieldCheck,
+  Scissors,
+  Repeat,
 } from 'lucide-react';
-import { Card, Badge, Button } from '../ui';
-import { COMMENT_STYLE_INFO } from '../../lib/prompts';
+import { Card, Badge, Button, Input } from '../ui';
+import { COMMENT_STYLE_INFO, REFINE_ACTIONS } from '../../lib/prompts';
+import { buildGuardrailFixInstruction } from '../../lib/guardrails';
+import { formatRelativeTime } from '../../lib/utils';
 
 // Style icons mapping
 const STYLE_ICONS = {
@@ -43,8 +62,17 @@ export default function CommentOption({
   onCopy,
   onMarkUsed,
   onSave,
+  onRefine,
+  onShorten,
+  isRefining = false,
+  isStreaming = false,
 }) {
   const [copied, setCopied] = useState(false);
+  const [showRefine, setShowRefine] = useState(false);
+  const [instruction, setInstruction] = useState('');
+  const [showTranslation, setShowTranslation] = useState(true);
+  const revisionCount = option.revisions?.length || 0;
+  const violations = option.guardrails?.violations || [];
 
   // Get style info
   const styleInfo = COMMENT_STYLE_INFO[option.style] || {
@@ -61,6 +89,14 @@ export default function CommentOption({
     setTimeout(() => setCopied(false), 2000);
   };
 
+  // Handle a refine action or free-text instruction
+  const handleRefine = async (refinement) => {
+    const result = await onRefine(refinement);
+    if (result?.success) {
+      setInstruction('');
+    }
+  };
+
   return (
     <Card
       padding="none"
@@ -82,6 +118,39 @@ export default function CommentOption({
               Used
             </Badge>
           )}
+          {revisionCount > 0 && (
+            <Badge variant="secondary" size="xs" title={option.refinement?.instruction}>
+              <HistoryIcon className="h-3 w-3 mr-1" />
+              Revised{revisionCount > 1 ? ` ×${revisionCount}` : ''}
+            </Badge>
+          )}
+          {violations.length > 0 && (
+            <Badge variant="warning" size="xs" title={`Score ${option.guardrails.score}/100`}>
+              <AlertTriangle className="h-3 w-3 mr-1" />
+              {violations.length} issue{violations.length !== 1 ? 's' : ''}
+            </Badge>
+          )}
+          {option.guardrails?.autoFixed && violations.length === 0 && (
+            <Badge
+              variant="success"
+              size="xs"
+              title={option.guardrails.autoFixed.map(v => v.message).join('\n')}
+            >
+              <ShieldCheck className="h-3 w-3 mr-1" />
+              Auto-fixed
+            </Badge>
+          )}
+          {option.duplicate && (
+            <Link
+              to={`/history?generation=${option.duplicate.generationId}`}
+              title={`Used ${formatRelativeTime(option.duplicate.usedAt)}: "${option.duplicate.text}"`}
+            >
+              <Badge variant="error" size="xs">
+                <Repeat className="h-3 w-3 mr-1" />
+                {Math.round(option.duplicate.score * 100)}% like a used comment
+              </Badge>
+            </Link>
+          )}
         </div>
         <span className="text-xs text-gray-500 dark:text-gray-400">
           {option.charCount || option.text?.length || 0} chars
@@ -93,39 +162,140 @@ export default function CommentOption({
         <p className="text-gray-800 dark:text-gray-100 whitespace-pre-wrap leading-relaxed">
           {option.text}
         </p>
+        {option.translation && (
+          <div className="mt-3">
+            <button
+              type="button"
+              onClick={() => setShowTranslation(!showTranslation)}
+              className="flex items-center gap-1 text-xs text-gray-500 hover:text-gray-700 dark:hover:text-gray-300"
+            >
+              <Languages className="h-3 w-3" />
+              {showTranslation ? 'Hide English translation' : 'Show English translation'}
+            </button>
+            {showTranslation && (
+              <p className="mt-1 text-sm italic text-gray-500 dark:text-gray-400 whitespace-pre-wrap">
+                {option.translation}
+              </p>
+            )}
+          </div>
+        )}
+        {!isStreaming && option.truncated && (
+          <div className="mt-3 flex items-center gap-2 text-xs text-gray-500 dark:text-gray-400">
+            <Scissors className="h-3 w-3 flex-shrink-0" />
+            <span className="flex-1" title={option.originalText}>
+              Cut to fit the platform's character limit
+            </span>
+            {onShorten && (
+              <Button variant="ghost" size="xs" disabled={isRefining} onClick={onShorten}>
+                Ask AI to shorten
+              </Button>
+            )}
+          </div>
+        )}
+        {!isStreaming && violations.length > 0 && (
+          <div className="mt-3 flex items-start gap-2 rounded-md bg-warning-50 px-3 py-2 text-xs text-warning-700">
+            <AlertTriangle className="h-4 w-4 flex-shrink-0" />
+            <ul className="flex-1 space-y-0.5">
+              {violations.map((violation) => (
+                <li key={violation.rule}>{violation.message}</li>
+              ))}
+            </ul>
+            {onRefine && (
+              <Button
+                variant="ghost"
+                size="xs"
+                disabled={isRefining}
+                onClick={() => handleRefine({ instruction: buildGuardrailFixInstruction(violations) })}
+              >
+                Fix
+              </Button>
+            )}
+          </div>
+        )}
       </div>
 
+      {/* Refine panel */}
+      {!isStreaming && onRefine && showRefine && (
+        <div className="px-4 pb-3 space-y-2">
+          <div className="flex flex-wrap gap-2">
+            {Object.entries(REFINE_ACTIONS).map(([action, { label }]) => (
+              <Button
+                key={action}
+                variant="secondary"
+                size="xs"
+                disabled={isRefining}
+                onClick={() => handleRefine({ action })}
+              >
+                {label}
+              </Button>
+            ))}
+          </div>
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              if (instruction.trim()) handleRefine({ instruction });
+            }}
+          >
+            <Input
+              value={instruction}
+              onChange={(e) => setInstruction(e.target.value)}
+              placeholder="Or describe the change, e.g. mention the weekend sale"
+              disabled={isRefining}
+              rightIcon={Send}
+              onRightIconClick={() => instruction.trim() && handleRefine({ instruction })}
+              aria-label="Refinement instruction"
+            />
+          </form>
+        </div>
+      )}
+
       {/* Actions */}
-      <div className="flex items-center justify-end gap-2 px-4 py-3 bg-gray-50 dark:bg-[var(--card-soft)] border-t border-gray-100 dark:border-gray-700">
-        <Button
-          variant="ghost"
-          size="sm"
-          onClick={handleCopy}
-          leftIcon={copied ? Check : Copy}
-          className={copied ? 'text-success-600' : ''}
-        >
-          {copied ? 'Copied!' : 'Copy'}
-        </Button>
-        
-        <Button
-          variant="ghost"
-          size="sm"
-          onClick={onSave}
-          leftIcon={Plus}
-        >
-          Save sample comment
-        </Button>
-        {!option.isUsed && (
+      {!isStreaming && (
+        <div className="flex items-center justify-end gap-2 px-4 py-3 bg-gray-50 dark:bg-[var(--card-soft)] border-t border-gray-100 dark:border-gray-700">
+          {onRefine && (
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={() => setShowRefine(!showRefine)}
+              leftIcon={Wand2}
+              loading={isRefining}
+              className="mr-auto"
+            >
+              {isRefining ? 'Refining...' : 'Refine'}
+            </Button>
+          )}
           <Button
-            variant="primary"
+            variant="ghost"
             size="sm"
-            onClick={onMarkUsed}
-            leftIcon={CheckCircle}
+            onClick={handleCopy}
+            leftIcon={copied ? Check : Copy}
+            className={copied ? 'text-success-600' : ''}
           >
-            Use & Copy
+            {copied ? 'Copied!' : 'Copy'}
           </Button>
-        )}
-      </div>
+        
+          {onSave && (
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={onSave}
+              leftIcon={Plus}
+            >
+              Save sample comment
+            </Button>
+          )}
+          {!option.isUsed && (
+            <Button
+              variant="primary"
+              size="sm"
+              onClick={onMarkUsed}
+              leftIcon={CheckCircle}
+            >
+              Use & Copy
+            </Button>
+          )}
+        </div>
+      )}
     </Card>
   );
 }
@@ -164,6 +334,7 @@ CommentOption.Skeleton = function CommentOptionSkeleton() {
 CommentOption.Compact = function CommentOptionCompact({ option, onCopy }) {
   const styleInfo = COMMENT_STYLE_INFO[option.style] || { name: option.style };
   const StyleIcon = STYLE_ICONS[option.style] || MessageSquare;
+  const revisions = option.revisions || [];
 
   return (
     <div className="flex items-start gap-3 p-3 bg-gray-50 dark:bg-[var(--card-soft)] rounded-lg">
@@ -176,7 +347,31 @@ CommentOption.Compact = function CommentOptionCompact({ option, onCopy }) {
           <span className="text-xs text-gray-500 dark:text-gray-400">{styleInfo.name}</span>
           <span className="text-xs text-gray-400 dark:text-gray-500">•</span>
           <span className="text-xs text-gray-500 dark:text-gray-400">{option.charCount || option.text?.length} chars</span>
+          {revisions.length > 0 && (
+            <>
+              <span className="text-xs text-gray-400 dark:text-gray-500">•</span>
+              <span className="text-xs text-gray-500 dark:text-gray-400">
+                {revisions.length} revision{revisions.length !== 1 ? 's' : ''}
+              </span>
+            </>
+          )}
         </div>
+        {revisions.length > 0 && (
+          <details className="mt-2">
+            <summary className="text-xs text-primary-600 cursor-pointer">Revision history</summary>
+            <ol className="mt-1 space-y-1">
+              {[...revisions, option].map((version, idx) => (
+                <li key={idx} className="text-xs text-gray-600 dark:text-gray-400">
+                  <span className="font-medium">v{idx + 1}</span>
+                  {version.refinement && (
+                    <span className="italic"> ({REFINE_ACTIONS[version.refinement.action]?.label || version.refinement.instruction})</span>
+                  )}
+                  : {version.text}
+                </li>
+              ))}
+            </ol>
+          </details>
+        )}
       </div>
       <button
         onClick={onCopy}
@@ -0,0 +1,100 @@
+/**
+ * Fan-out Results Component
+ *
+ * Shows comments generated for several clients on the same post, grouped
+ * by client, with a warning when two clients' options read too much alike
+ * to post in the same thread.
+ */
+
+import { AlertTriangle, AlertCircle, CheckCircle } from 'lucide-react';
+import { Card, Badge, Spinner } from '../ui';
+import CommentOption from './CommentOption';
+
+const STATUS_BADGES = {
+  pending: { label: 'Queued', variant: 'secondary' },
+  generating: { label: 'Generating', variant: 'info' },
+  done: { label: 'Done', variant: 'success' },
+  error: { label: 'Failed', variant: 'error' },
+  cancelled: { label: 'Cancelled', variant: 'secondary' },
+};
+
+export default function FanOutResults({
+  results,
+  similarities = [],
+  onCopy,
+  onMarkUsed,
+}) {
+  return (
+    <div className="space-y-4">
+      {/* Similarity warning */}
+      {similarities.length > 0 && (
+        <Card className="bg-warning-50 border-warning-200">
+          <div className="flex items-start gap-3">
+            <AlertTriangle className="h-5 w-5 text-warning-600 mt-0.5" />
+            <div>
+              <h3 className="font-medium text-warning-800">Similar comments across clients</h3>
+              <p className="text-sm text-warning-700 mt-1">
+                These options read alike. Avoid posting them in the same thread.
+              </p>
+              <ul className="text-sm text-warning-700 mt-2 space-y-1">
+                {similarities.slice(0, 5).map((pair, idx) => (
+                  <li key={idx}>
+                    • {pair.a.clientName} option {pair.a.optionIndex + 1} and{' '}
+                    {pair.b.clientName} option {pair.b.optionIndex + 1} ({Math.round(pair.score * 100)}% similar)
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+        </Card>
+      )}
+
+      {results.map((result) => {
+        const status = STATUS_BADGES[result.status] || STATUS_BADGES.pending;
+
+        return (
+          <div key={result.clientId} className="space-y-3">
+            {/* Client header */}
+            <div className="flex items-center justify-between">
+              <h3 className="font-semibold text-gray-900">
+                {result.clientName || 'Loading client...'}
+              </h3>
+              <Badge variant={status.variant} size="xs" dot={result.status === 'generating'}>
+                {result.status === 'done' && <CheckCircle className="h-3 w-3 mr-1" />}
+                {status.label}
+              </Badge>
+            </div>
+
+            {result.status === 'generating' && (
+              <Card className="py-6">
+                <div className="flex items-center justify-center gap-2 text-sm text-gray-600">
+                  <Spinner size="sm" />
+                  Generating comments...
+                </div>
+              </Card>
+            )}
+
+            {result.status === 'error' && (
+              <Card className="bg-error-50 border-error-200">
+                <div className="flex items-start gap-3">
+                  <AlertCircle className="h-5 w-5 text-error-600 mt-0.5" />
+                  <p className="text-sm text-error-700">{result.error}</p>
+                </div>
+              </Card>
+            )}
+
+            {result.options.map((option, index) => (
+              <CommentOption
+                key={index}
+                option={option}
+                index={index}
+                onCopy={() => onCopy(option)}
+                onMarkUsed={() => onMarkUsed(result.clientId, option, index)}
+              />
+            ))}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
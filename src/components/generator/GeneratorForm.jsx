@@ -4,7 +4,7 @@
  * Input form for comment generation with all configuration options.
  */
 
-import { useState } from 'react';
+import { useState, useMemo } from 'react';
 import {
   Sparkles,
   Copy,
@@ -13,7 +13,11 @@ import {
   ChevronUp,
 } from 'lucide-react';
 import { Button, Input, TextArea, Dropdown, Toggle } from '../ui';
-import { PLATFORMS } from '../../lib/utils';
+import { PLATFORMS, truncate } from '../../lib/utils';
+import { AUTO_LANGUAGE, DEFAULT_LANGUAGE, LANGUAGES, detectLanguage, getLanguageName } from '../../lib/language';
+import { isProviderUsable } from '../../lib/ai';
+import { screenPost } from '../../lib/contentScreening';
+import ScreeningNotice from '../common/ScreeningNotice';
 
 // Platform options for dropdown
 const PLATFORM_OPTIONS = Object.entries(PLATFORMS).map(([value, info]) => ({
@@ -30,10 +34,23 @@ const NUM_OPTIONS = [
   { value: 5, label: '5 options' },
 ];
 
+// Language options, auto-detect first
+export const LANGUAGE_OPTIONS = [
+  { value: AUTO_LANGUAGE, label: 'Auto-detect from post' },
+  ...Object.entries(LANGUAGES).map(([value, info]) => ({
+    value,
+    label: info.name === info.nativeName ? info.name : `${info.name} (${info.nativeName})`,
+  })),
+];
+
+const NO_CTA = 'none';
+const DEFAULT_CTA = 'default';
+
 export default function GeneratorForm({
   formData,
   onChange,
   clientOptions,
+  client,
   providers,
   onGenerate,
   loading,
@@ -53,12 +70,41 @@ export default function GeneratorForm({
     onChange(field, value);
   };
 
+  // Call-to-action options: none, the client's default, or one of its named CTAs
+  const ctaOptions = [
+    { value: NO_CTA, label: 'No call-to-action' },
+    { value: DEFAULT_CTA, label: 'Default', description: client?.default_cta },
+    ...(client?.ctas || []).map(cta => ({
+      value: cta.id,
+      label: cta.name,
+      description: cta.cta_text,
+    })),
+  ];
+  const ctaValue = formData.includeCta ? formData.ctaId || DEFAULT_CTA : NO_CTA;
+
+  const handleCtaChange = (value) => {
+    onChange('includeCta', value !== NO_CTA);
+    onChange('ctaId', value === NO_CTA || value === DEFAULT_CTA ? '' : value);
+  };
+
+  // Language the post appears to be in, shown while auto-detect is selected
+  const detectedLanguage = formData.language === AUTO_LANGUAGE ? detectLanguage(formData.content) : null;
+
+  // Injection attempts and personal info in what will be sent to the AI
+  const screening = useMemo(
+    () => screenPost(
+      { content: formData.content, existingComments: formData.existingComments, posterInfo: formData.posterInfo },
+      { redactPii: formData.redactPii }
+    ),
+    [formData.content, formData.existingComments, formData.posterInfo, formData.redactPii]
+  );
+
   // Provider options for dropdown
   const providerOptions = providers
-    ?.filter(p => p.is_active && p.api_key_encrypted)
+    ?.filter(isProviderUsable)
     .map(p => ({
       value: p.id,
-      label: `${p.provider_name} - ${p.model_name}${p.is_default ? ' (Default)' : ''}`,
+      label: `${p.provider_name} - ${p.model_name}${p.is_local ? ' (Local)' : ''}${p.is_default ? ' (Default)' : ''}`,
       isDefault: p.is_default,
     })) || [];
 
@@ -101,6 +147,7 @@ export default function GeneratorForm({
         required
         helper="This is the content you're responding to (not your comment)"
       />
+      <ScreeningNotice screening={screening} />
 
       {/* Number of options */}
       <Dropdown
@@ -110,15 +157,70 @@ export default function GeneratorForm({
         onChange={handleChange('numOptions')}
       />
 
-      {/* Include CTA toggle */}
+      {/* Language */}
+      <Dropdown
+        label="Language"
+        options={LANGUAGE_OPTIONS}
+        value={formData.language}
+        onChange={handleChange('language')}
+        helper={detectedLanguage
+          ? `Post looks like ${getLanguageName(detectedLanguage)}`
+          : formData.language === AUTO_LANGUAGE
+            ? "Uses the client's default when the post's language is unclear"
+            : undefined}
+      />
+
+      {formData.language !== DEFAULT_LANGUAGE && (
+        <div className="flex items-center justify-between py-2">
+          <div>
+            <p className="text-sm font-medium text-gray-700">Show English Translation</p>
+            <p className="text-xs text-gray-500">Add a translation under each non-English option</p>
+          </div>
+          <Toggle
+            checked={formData.includeTranslation}
+            onChange={handleChange('includeTranslation')}
+          />
+        </div>
+      )}
+
+      {/* Call-to-action */}
+      <Dropdown
+        label="Call-to-Action"
+        options={ctaOptions}
+        value={ctaValue}
+        onChange={handleCtaChange}
+        helper="Add a soft promotional pitch"
+        renderOption={(option) => (
+          <div>
+            <div className="font-medium">{option.label}</div>
+            {option.description && (
+              <div className="text-xs text-gray-500">{truncate(option.description, 60)}</div>
+            )}
+          </div>
+        )}
+      />
+
+      {/* Guardrails */}
+      <div className="flex items-center justify-between py-2">
+        <div>
+          <p className="text-sm font-medium text-gray-700">Auto-fix Rule Violations</p>
+          <p className="text-xs text-gray-500">Rewrite options with hashtags, emojis, repeats or sales language</p>
+        </div>
+        <Toggle
+          checked={formData.autoFixGuardrails}
+          onChange={handleChange('autoFixGuardrails')}
+        />
+      </div>
+
+      {/* Personal info */}
       <div className="flex items-center justify-between py-2">
         <div>
-          <p className="text-sm font-medium text-gray-700">Include Call-to-Action</p>
-          <p className="text-xs text-gray-500">Add a soft promotional pitch</p>
+          <p className="text-sm font-medium text-gray-700">Redact Personal Info</p>
+          <p className="text-xs text-gray-500">Replace emails, phone and card numbers with placeholders before sending</p>
         </div>
         <Toggle
-          checked={formData.includeCta}
-          onChange={handleChange('includeCta')}
+          checked={formData.redactPii}
+          onChange={handleChange('redactPii')}
         />
       </div>
 
@@ -170,6 +272,15 @@ export default function GeneratorForm({
             helper="Optional: Context about who posted the content"
           />
 
+          {/* Post URL */}
+          <Input
+            label="Post URL"
+            placeholder="e.g., https://www.reddit.com/r/homeimprovement/..."
+            value={formData.sourceUrl}
+            onChange={handleChange('sourceUrl')}
+            helper="Optional: Checked against do-not-engage communities and accounts"
+          />
+
           {/* Hashtags */}
           <Input
             label="Hashtags"
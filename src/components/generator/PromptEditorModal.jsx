@@ -36,6 +36,10 @@ export default function PromptEditorModal({
           hashtags: formData.hashtags,
           numOptions: formData.numOptions,
           includeCta: formData.includeCta,
+          ctaId: formData.ctaId || null,
+          language: formData.language,
+          includeTranslation: formData.includeTranslation,
+          redactPii: formData.redactPii,
         });
         if (freshPrompt) {
           setEditedPrompt(freshPrompt);
@@ -18,6 +18,14 @@ import {
   Zap,
 } from 'lucide-react';
 import { Badge, Toggle } from '../ui';
+import { getProviderStatus } from '../../lib/providerHealth';
+
+// Health badge per circuit breaker status
+const HEALTH_BADGES = {
+  healthy: { variant: 'success', label: 'Healthy' },
+  degraded: { variant: 'warning', label: 'Degraded' },
+  tripped: { variant: 'error', label: 'Paused' },
+};
 
 export default function AIProviderCard({
   provider,
@@ -44,7 +52,12 @@ export default function AIProviderCard({
   };
 
   // Check if provider has API key configured
-  const hasApiKey = !!provider.api_key_encrypted;
+  const hasApiKey = !!provider.has_api_key;
+  const canTest = hasApiKey || provider.is_local;
+
+  // Re-read on every render so a test result updates the badge
+  const health = getProviderStatus(provider.id);
+  const healthBadge = HEALTH_BADGES[health.status];
 
   return (
     <div
@@ -68,9 +81,22 @@ export default function AIProviderCard({
             {provider.is_free && (
               <Badge variant="success" size="xs">Free</Badge>
             )}
-            {!hasApiKey && (
+            {provider.is_local && (
+              <Badge variant="info" size="xs">Local</Badge>
+            )}
+            {!hasApiKey && !provider.is_local && (
               <Badge variant="warning" size="xs">No API Key</Badge>
             )}
+            {healthBadge && (
+              <Badge
+                variant={healthBadge.variant}
+                size="xs"
+                dot
+                title={`${Math.round(health.failureRate * 100)}% of recent calls failed`}
+              >
+                {healthBadge.label}
+              </Badge>
+            )}
           </div>
 
           <p className="text-sm text-gray-500 dark:text-gray-400 mt-1 truncate">
@@ -81,6 +107,15 @@ export default function AIProviderCard({
             {provider.api_base_url}
           </p>
 
+          {health.status !== 'healthy' && health.lastErrorCode && (
+            <p className="text-xs text-error-600 dark:text-error-400 mt-1 truncate" title={health.lastErrorMessage || ''}>
+              {health.cooldownUntil
+                ? `Skipped until ${new Date(health.cooldownUntil).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}`
+                : 'Recent failures'}
+              {' '}· last error: {health.lastErrorCode.replace(/_/g, ' ').toLowerCase()}
+            </p>
+          )}
+
           {provider.notes && (
             <p className="text-xs text-gray-500 dark:text-gray-400 mt-2 line-clamp-2">
               {provider.notes}
@@ -110,13 +145,13 @@ export default function AIProviderCard({
           {/* Test button */}
           <button
             onClick={handleTest}
-            disabled={testing || !hasApiKey}
+            disabled={testing || !canTest}
             className={`
               p-2 rounded-md transition-colors
               ${testing ? 'text-gray-400 dark:text-gray-500' : 'text-gray-500 dark:text-gray-400 hover:text-primary-600 hover:bg-primary-50 dark:hover:bg-primary-900/20'}
               disabled:opacity-50 disabled:cursor-not-allowed
             `}
-            title={hasApiKey ? 'Test connection' : 'Add API key to test'}
+            title={canTest ? 'Test connection' : 'Add API key to test'}
           >
             {testing ? (
               <Loader2 className="h-5 w-5 animate-spin" />
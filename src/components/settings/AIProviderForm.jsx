@@ -4,10 +4,12 @@
  * Form for adding and editing AI provider configurations.
  */
 
-import { useState } from 'react';
-import { Eye, EyeOff, HelpCircle } from 'lucide-react';
+import { useState, useEffect, useCallback } from 'react';
+import { HelpCircle, RefreshCw } from 'lucide-react';
 import { Button, Input, TextArea, Toggle, Dropdown } from '../ui';
-import { DEFAULT_PROVIDERS, fetchOpenRouterModels, fetchGroqModels } from '../../lib/ai';
+import { DEFAULT_PROVIDERS, listModels } from '../../lib/ai';
+import { getModelPrice } from '../../lib/pricing';
+import { getContextLimit } from '../../lib/promptBudget';
 
 // Provider templates for quick setup
 const PROVIDER_TEMPLATES = DEFAULT_PROVIDERS.map(p => ({
@@ -25,19 +27,26 @@ export default function AIProviderForm({
   const [formData, setFormData] = useState({
     provider_name: initialData?.provider_name || '',
     api_base_url: initialData?.api_base_url || '',
-    api_key_encrypted: '', // Never pre-fill API key for security
+    api_key: '', // Keys are write-only; the stored key never reaches the browser
     model_name: initialData?.model_name || '',
     is_free: initialData?.is_free ?? false,
+    is_local: initialData?.is_local ?? false,
     is_active: initialData?.is_active ?? true,
     fallback_order: initialData?.fallback_order || 999,
+    daily_request_limit: initialData?.daily_request_limit ?? '',
+    daily_token_limit: initialData?.daily_token_limit ?? '',
+    context_window: initialData?.context_window ?? '',
+    // Price of the selected model, USD per 1M tokens
+    price_input: getModelPrice(initialData)?.input ?? '',
+    price_output: getModelPrice(initialData)?.output ?? '',
     notes: initialData?.notes || '',
   });
 
-  const [showApiKey, setShowApiKey] = useState(false);
   const [errors, setErrors] = useState({});
   const [loading, setLoading] = useState(false);
   const [availableModels, setAvailableModels] = useState([]);
   const [loadingModels, setLoadingModels] = useState(false);
+  const [modelsError, setModelsError] = useState(null);
 
   // Update field
   const updateField = (field, value) => {
@@ -57,51 +66,53 @@ export default function AIProviderForm({
         api_base_url: template.api_base_url,
         model_name: template.model_name,
         is_free: template.is_free,
+        is_local: !!template.is_local,
+        daily_request_limit: template.daily_request_limit ?? '',
+        daily_token_limit: template.daily_token_limit ?? '',
+        price_input: getModelPrice(template)?.input ?? '',
+        price_output: getModelPrice(template)?.output ?? '',
         notes: template.notes,
       }));
       
-      // Load models if OpenRouter
-      if (template.provider_name === 'OpenRouter' && formData.api_key_encrypted) {
-        loadOpenRouterModels(formData.api_key_encrypted);
-      }
-      // Load models if Groq
-      if (template.provider_name === 'Groq') {
-        loadGroqModels();
-      }
+      loadModels({ ...template, is_local: !!template.is_local });
     }
   };
 
-  // Load OpenRouter models
-  const loadOpenRouterModels = async (apiKey) => {
-    if (!apiKey || formData.provider_name !== 'OpenRouter') return;
-    
+  // Load the model list for the given provider settings
+  const loadModels = useCallback(async (fields, { force = false } = {}) => {
+    if (!fields.api_base_url) return;
+
     setLoadingModels(true);
+    setModelsError(null);
     try {
-      const models = await fetchOpenRouterModels(apiKey);
+      // The proxy lists models from the saved URL, so an edited URL is listed as unsaved
+      const isSavedUrl = !!initialData?.id && fields.api_base_url === initialData.api_base_url;
+      const models = await listModels({
+        id: isSavedUrl ? initialData.id : null,
+        has_api_key: isSavedUrl && initialData.has_api_key,
+        api_base_url: fields.api_base_url,
+        is_free: fields.is_free,
+        is_local: fields.is_local,
+      }, { force });
       setAvailableModels(models);
+      if (!models.length) {
+        setModelsError(fields.is_local ? 'No models found. Pull or load a model first.' : 'No models found');
+      }
     } catch (error) {
-      console.error('Failed to load OpenRouter models:', error);
-      // Keep existing models or show error
+      console.error('Failed to load models:', error);
+      setAvailableModels([]);
+      setModelsError(fields.is_local ? 'Could not reach the server. Is it running?' : error.message);
     } finally {
       setLoadingModels(false);
     }
-  };
+  }, [initialData?.id, initialData?.api_base_url, initialData?.has_api_key]);
 
-  // Load Groq models
-  const loadGroqModels = async () => {
-    if (formData.provider_name !== 'Groq') return;
-    
-    setLoadingModels(true);
-    try {
-      const models = await fetchGroqModels();
-      setAvailableModels(models);
-    } catch (error) {
-      console.error('Failed to load Groq models:', error);
-      // Keep existing models or show error
-    } finally {
-      setLoadingModels(false);
+  // Saved providers can list their models straight away
+  useEffect(() => {
+    if (isEdit && initialData) {
+      loadModels(initialData);
     }
-  };
+  }, [isEdit, initialData, loadModels]);
 
   // Validate form
   const validate = () => {
@@ -121,15 +132,40 @@ export default function AIProviderForm({
       newErrors.model_name = 'Model name is required';
     }
 
-    // API key required for new providers
-    if (!isEdit && !formData.api_key_encrypted.trim()) {
-      newErrors.api_key_encrypted = 'API key is required';
+    // API key required for new hosted providers
+    if (!isEdit && !formData.is_local && !formData.api_key.trim()) {
+      newErrors.api_key = 'API key is required';
+    }
+
+    // The saved key is dropped when the base URL changes (it is never sent to a new host)
+    if (
+      isEdit &&
+      !formData.is_local &&
+      initialData?.has_api_key &&
+      formData.api_base_url.trim() !== initialData.api_base_url &&
+      !formData.api_key.trim()
+    ) {
+      newErrors.api_key = 'Re-enter the API key when changing the base URL';
     }
 
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
 
+  // Merge the selected model's price into the provider's price table
+  const buildModelPricing = (input, output) => {
+    const pricing = { ...(initialData?.model_pricing || {}) };
+    if (input === '' && output === '') {
+      delete pricing[formData.model_name];
+    } else {
+      pricing[formData.model_name] = {
+        input: parseFloat(input) || 0,
+        output: parseFloat(output) || 0,
+      };
+    }
+    return pricing;
+  };
+
   // Handle submit
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -139,9 +175,18 @@ export default function AIProviderForm({
     setLoading(true);
     try {
       // Only include API key if it was changed
-      const submitData = { ...formData };
-      if (!submitData.api_key_encrypted) {
-        delete submitData.api_key_encrypted;
+      const { price_input, price_output, ...fields } = formData;
+      const submitData = {
+        ...fields,
+        // Empty limits mean unlimited
+        daily_request_limit: parseInt(fields.daily_request_limit) || null,
+        daily_token_limit: parseInt(fields.daily_token_limit) || null,
+        // Empty uses the known limit for the model
+        context_window: parseInt(fields.context_window) || null,
+        model_pricing: buildModelPricing(price_input, price_output),
+      };
+      if (!submitData.api_key || submitData.is_local) {
+        delete submitData.api_key;
       }
       await onSubmit(submitData);
     } catch (error) {
@@ -190,59 +235,49 @@ export default function AIProviderForm({
           required
         />
 
-        <div>
-          <Input
-            label="API Key"
-            type={showApiKey ? 'text' : 'password'}
-            placeholder={isEdit ? '••••••••••••••••' : 'Enter your API key'}
-            value={formData.api_key_encrypted}
-            onChange={(e) => {
-              updateField('api_key_encrypted', e.target.value);
-              // Load models if OpenRouter and key changed
-              if (formData.provider_name === 'OpenRouter') {
-                loadOpenRouterModels(e.target.value);
-              }
-              // Load models if Groq
-              if (formData.provider_name === 'Groq') {
-                loadGroqModels();
-              }
-            }}
-            error={errors.api_key_encrypted}
-            rightIcon={showApiKey ? EyeOff : Eye}
-            onRightIconClick={() => setShowApiKey(!showApiKey)}
-            helper={isEdit ? 'Leave blank to keep existing key' : 'Your API key will be encrypted'}
-            required={!isEdit}
-          />
-        </div>
-
-        {(formData.provider_name === 'OpenRouter' || formData.provider_name === 'Groq') ? (
+        {formData.is_local ? (
+          <p className="rounded-lg bg-gray-50 dark:bg-[#3b4cca52] p-3 text-sm text-gray-600 dark:text-gray-300">
+            Local providers need no API key. Requests go straight from this browser to the server.
+          </p>
+        ) : (
           <div>
-            <Dropdown
-              label="Model Name"
-              placeholder={loadingModels ? 'Loading models...' : 'Select a model'}
-              options={availableModels}
-              value={formData.model_name}
-              onChange={(value) => updateField('model_name', value)}
-              error={errors.model_name}
-              helper="Choose from available models"
-              required
-              disabled={loadingModels}
+            <Input
+              label="API Key"
+              type="password"
+              autoComplete="new-password"
+              placeholder={isEdit && initialData?.has_api_key ? 'Key saved - enter a new one to replace it' : 'Enter your API key'}
+              value={formData.api_key}
+              onChange={(e) => updateField('api_key', e.target.value)}
+              error={errors.api_key}
+              helper={isEdit
+                ? 'Leave blank to keep the existing key. Saved keys cannot be viewed.'
+                : 'Encrypted by the AI proxy. It cannot be viewed after saving.'}
+              required={!isEdit}
             />
-            {loadingModels && (
-              <p className="mt-1 text-sm text-gray-500">Fetching available models...</p>
-            )}
           </div>
-        ) : (
+        )}
+
+        <div>
           <Input
             label="Model Name"
-            placeholder="e.g., llama-3.3-70b-versatile"
+            placeholder={loadingModels ? 'Loading models...' : 'e.g., llama-3.3-70b-versatile'}
             value={formData.model_name}
             onChange={(e) => updateField('model_name', e.target.value)}
+            list="ai-provider-models"
             error={errors.model_name}
-            helper="The specific model to use for completions"
+            helper={modelsError || (availableModels.length
+              ? `${availableModels.length} models available (${availableModels.filter(m => m.isFree).length} free)`
+              : 'The specific model to use for completions')}
+            rightIcon={RefreshCw}
+            onRightIconClick={() => loadModels(formData, { force: true })}
             required
           />
-        )}
+          <datalist id="ai-provider-models">
+            {availableModels.map(model => (
+              <option key={model.value} value={model.value}>{model.label}</option>
+            ))}
+          </datalist>
+        </div>
       </div>
 
       {/* Options */}
@@ -260,6 +295,20 @@ export default function AIProviderForm({
           />
         </div>
 
+        <div className="flex items-center justify-between">
+          <div>
+            <p className="text-sm font-medium text-gray-700">Local Provider</p>
+            <p className="text-xs text-gray-500">Self-hosted server (Ollama, LM Studio, llama.cpp). Data never leaves this machine</p>
+          </div>
+          <Toggle
+            checked={formData.is_local}
+            onChange={(checked) => {
+              updateField('is_local', checked);
+              if (checked) loadModels({ ...formData, is_local: true });
+            }}
+          />
+        </div>
+
         <div className="flex items-center justify-between">
           <div>
             <p className="text-sm font-medium text-gray-700">Free Tier</p>
@@ -280,6 +329,62 @@ export default function AIProviderForm({
           helper="Lower numbers are tried first when the default provider fails"
         />
 
+        <div className="grid grid-cols-2 gap-4">
+          <Input
+            label="Daily Request Limit"
+            type="number"
+            min="1"
+            placeholder="Unlimited"
+            value={formData.daily_request_limit}
+            onChange={(e) => updateField('daily_request_limit', e.target.value)}
+          />
+          <Input
+            label="Daily Token Limit"
+            type="number"
+            min="1"
+            placeholder="Unlimited"
+            value={formData.daily_token_limit}
+            onChange={(e) => updateField('daily_token_limit', e.target.value)}
+          />
+        </div>
+        <p className="text-xs text-gray-500 -mt-2">
+          Free-tier budgets. Near the limit, generation switches to the next provider.
+        </p>
+
+        <div className="grid grid-cols-2 gap-4">
+          <Input
+            label="Input Price ($ / 1M tokens)"
+            type="number"
+            min="0"
+            step="any"
+            placeholder={formData.is_free || formData.is_local ? 'Free' : 'Unknown'}
+            value={formData.price_input}
+            onChange={(e) => updateField('price_input', e.target.value)}
+          />
+          <Input
+            label="Output Price ($ / 1M tokens)"
+            type="number"
+            min="0"
+            step="any"
+            placeholder={formData.is_free || formData.is_local ? 'Free' : 'Unknown'}
+            value={formData.price_output}
+            onChange={(e) => updateField('price_output', e.target.value)}
+          />
+        </div>
+        <p className="text-xs text-gray-500 -mt-2">
+          Used to estimate the cost of each generation for client billing. Applies to the model above.
+        </p>
+
+        <Input
+          label="Context Window (tokens)"
+          type="number"
+          min="1"
+          placeholder={`${getContextLimit({ model_name: formData.model_name }).toLocaleString()} (detected)`}
+          value={formData.context_window}
+          onChange={(e) => updateField('context_window', e.target.value)}
+          helper="Long prompts are trimmed to fit. Leave empty to use the known limit for the model."
+        />
+
         <TextArea
           label="Notes"
           placeholder="e.g., Rate limits, pricing info, etc."
@@ -304,6 +409,7 @@ export default function AIProviderForm({
               <li>• <strong>DeepSeek:</strong> platform.deepseek.com/api_keys</li>
               <li>• <strong>OpenAI:</strong> platform.openai.com/api-keys</li>
               <li>• <strong>Anthropic:</strong> console.anthropic.com</li>
+              <li>• <strong>Ollama / LM Studio / llama.cpp:</strong> no key needed, runs locally</li>
             </ul>
           </div>
         </div>
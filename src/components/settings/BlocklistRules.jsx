@@ -0,0 +1,110 @@
+/**
+ * Blocklist Rules Component
+ *
+ * "Do not engage" accounts, communities and topics, for the whole
+ * organization or for a single client. The Analyzer suppresses matching
+ * clients and the Generator refuses to write comments for matching posts.
+ */
+
+import { useState } from 'react';
+import { Ban, Plus, X } from 'lucide-react';
+import { Button, Card, Badge, Dropdown, Input, Spinner } from '../ui';
+import { useBlocklist } from '../../hooks/useBlocklist';
+import { BLOCK_RULE_TYPES } from '../../lib/blocklist';
+
+const RULE_TYPE_OPTIONS = Object.entries(BLOCK_RULE_TYPES).map(([value, { label, description }]) => ({
+  value,
+  label,
+  description,
+}));
+
+const EMPTY_FORM = { rule_type: 'account', value: '', reason: '' };
+
+export default function BlocklistRules({ clientId = null }) {
+  const { rules, loading, add, remove } = useBlocklist(clientId);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    const { error } = await add(form);
+    setSaving(false);
+    if (!error) {
+      setForm(f => ({ ...EMPTY_FORM, rule_type: f.rule_type }));
+    }
+  };
+
+  return (
+    <Card>
+      <Card.Header>
+        <Card.Title className="flex items-center gap-2">
+          <Ban className="h-5 w-5" />
+          Do Not Engage
+        </Card.Title>
+        <Card.Description>
+          {clientId
+            ? "Posts this client must never comment on. Organization-wide rules and the client's active competitors apply too."
+            : 'Posts no client may comment on. Each client can add its own rules on its page.'}
+        </Card.Description>
+      </Card.Header>
+
+      <form onSubmit={handleAdd} className="grid grid-cols-1 md:grid-cols-[10rem_1fr_1fr_auto] gap-3 items-end">
+        <Dropdown
+          label="Type"
+          options={RULE_TYPE_OPTIONS}
+          value={form.rule_type}
+          onChange={(value) => setForm(f => ({ ...f, rule_type: value }))}
+        />
+        <Input
+          label="Value"
+          placeholder={BLOCK_RULE_TYPES[form.rule_type].placeholder}
+          value={form.value}
+          onChange={(e) => setForm(f => ({ ...f, value: e.target.value }))}
+        />
+        <Input
+          label="Reason"
+          placeholder="Optional"
+          value={form.reason}
+          onChange={(e) => setForm(f => ({ ...f, reason: e.target.value }))}
+        />
+        <Button type="submit" leftIcon={Plus} loading={saving} disabled={!form.value.trim()}>
+          Add
+        </Button>
+      </form>
+      <p className="text-xs text-gray-500 mt-2">{BLOCK_RULE_TYPES[form.rule_type].description}</p>
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <Spinner />
+        </div>
+      ) : rules.length === 0 ? (
+        <p className="text-sm text-gray-500 mt-4">No rules yet.</p>
+      ) : (
+        <div className="mt-4 space-y-2">
+          {rules.map((rule) => (
+            <div
+              key={rule.id}
+              className="flex items-center gap-3 p-3 bg-gray-50 dark:bg-[var(--bg)] rounded-md"
+            >
+              <Badge variant="secondary" size="xs">
+                {BLOCK_RULE_TYPES[rule.rule_type]?.label || rule.rule_type}
+              </Badge>
+              <div className="flex-1 min-w-0">
+                <p className="text-sm font-medium text-gray-900 truncate">{rule.value}</p>
+                {rule.reason && <p className="text-xs text-gray-500 truncate">{rule.reason}</p>}
+              </div>
+              <button
+                onClick={() => remove(rule.id)}
+                className="p-1 text-gray-400 hover:text-error-500"
+                aria-label={`Remove ${rule.value}`}
+              >
+                <X className="h-4 w-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </Card>
+  );
+}
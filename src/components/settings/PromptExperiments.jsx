@@ -0,0 +1,355 @@
+/**
+ * Prompt Experiments Component
+ *
+ * Create A/B experiments between prompt template variants, start and stop
+ * them, and compare how often each variant's comments get used.
+ */
+
+import { useState } from 'react';
+import { FlaskConical, Plus, Play, Square, Trash2, X, RefreshCw } from 'lucide-react';
+import { Card, Button, Badge, Modal, Input, TextArea, Spinner, toast } from '../ui';
+import { useExperiments, useExperimentResults } from '../../hooks/useExperiments';
+import { validateExperiment } from '../../lib/experiments';
+import { SIGNIFICANCE_LEVEL, MIN_SAMPLE_SIZE } from '../../lib/stats';
+import { formatNumber, formatPercent, formatRelativeTime } from '../../lib/utils';
+
+const STATUS_BADGES = {
+  draft: { label: 'Draft', variant: 'secondary' },
+  running: { label: 'Running', variant: 'success' },
+  stopped: { label: 'Stopped', variant: 'warning' },
+};
+
+const EMPTY_VARIANT = { name: '', template: '', weight: 1 };
+
+const EMPTY_FORM = {
+  name: '',
+  description: '',
+  variants: [
+    { ...EMPTY_VARIANT, name: 'Control' },
+    { ...EMPTY_VARIANT, name: 'Variant B' },
+  ],
+};
+
+export default function PromptExperiments() {
+  const { experiments, loading, create, start, stop, remove } = useExperiments();
+  const [showCreateModal, setShowCreateModal] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [deleteId, setDeleteId] = useState(null);
+
+  const updateVariant = (index, field, value) => {
+    setForm(f => ({
+      ...f,
+      variants: f.variants.map((v, i) => (i === index ? { ...v, [field]: value } : v)),
+    }));
+  };
+
+  const handleCreate = async () => {
+    const errors = validateExperiment(form);
+    if (errors.length > 0) {
+      toast.error(errors[0]);
+      return;
+    }
+
+    setSaving(true);
+    const { error } = await create(form);
+    setSaving(false);
+    if (!error) {
+      setShowCreateModal(false);
+      setForm(EMPTY_FORM);
+    }
+  };
+
+  const handleDelete = async () => {
+    await remove(deleteId);
+    setDeleteId(null);
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <Spinner size="lg" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-start justify-between">
+        <div>
+          <h2 className="text-lg font-semibold">Prompt Experiments</h2>
+          <p className="text-sm text-gray-600 mt-1">
+            Split generations between prompt templates and compare how often their comments get used
+          </p>
+        </div>
+        <Button leftIcon={Plus} onClick={() => setShowCreateModal(true)}>
+          New Experiment
+        </Button>
+      </div>
+
+      {experiments.length === 0 ? (
+        <Card className="text-center py-12">
+          <FlaskConical className="h-10 w-10 text-gray-300 mx-auto" />
+          <p className="text-gray-500 dark:text-gray-400 mt-3">No experiments yet</p>
+        </Card>
+      ) : (
+        experiments.map(experiment => (
+          <ExperimentCard
+            key={experiment.id}
+            experiment={experiment}
+            onStart={() => start(experiment.id)}
+            onStop={() => stop(experiment.id)}
+            onDelete={() => setDeleteId(experiment.id)}
+          />
+        ))
+      )}
+
+      {/* Create Modal */}
+      <Modal
+        isOpen={showCreateModal}
+        onClose={() => setShowCreateModal(false)}
+        title="New Experiment"
+        size="xl"
+        footer={
+          <>
+            <Button variant="secondary" onClick={() => setShowCreateModal(false)}>
+              Cancel
+            </Button>
+            <Button onClick={handleCreate} loading={saving}>
+              Create Experiment
+            </Button>
+          </>
+        }
+      >
+        <div className="space-y-4">
+          <Input
+            label="Name"
+            value={form.name}
+            onChange={(e) => setForm(f => ({ ...f, name: e.target.value }))}
+            placeholder="e.g., Shorter instructions"
+            required
+          />
+          <Input
+            label="Description (optional)"
+            value={form.description}
+            onChange={(e) => setForm(f => ({ ...f, description: e.target.value }))}
+            placeholder="What are you testing?"
+          />
+
+          {form.variants.map((variant, index) => (
+            <Card key={index} padding="sm" className="space-y-3">
+              <div className="flex items-end gap-3">
+                <Input
+                  label={index === 0 ? 'Variant name (control)' : 'Variant name'}
+                  value={variant.name}
+                  onChange={(e) => updateVariant(index, 'name', e.target.value)}
+                  containerClassName="flex-1"
+                />
+                <Input
+                  label="Weight"
+                  type="number"
+                  min={1}
+                  value={variant.weight}
+                  onChange={(e) => updateVariant(index, 'weight', e.target.value)}
+                  fullWidth={false}
+                  containerClassName="w-24"
+                />
+                {form.variants.length > 2 && (
+                  <button
+                    type="button"
+                    onClick={() => setForm(f => ({ ...f, variants: f.variants.filter((_, i) => i !== index) }))}
+                    className="p-2 text-gray-400 hover:text-error-500"
+                    aria-label={`Remove ${variant.name || 'variant'}`}
+                  >
+                    <X className="h-4 w-4" />
+                  </button>
+                )}
+              </div>
+              <TextArea
+                label="Template"
+                value={variant.template}
+                onChange={(e) => updateVariant(index, 'template', e.target.value)}
+                rows={6}
+                className="font-mono text-sm"
+                helper="Leave empty to use the template that would otherwise apply"
+              />
+            </Card>
+          ))}
+
+          <Button
+            variant="secondary"
+            size="sm"
+            leftIcon={Plus}
+            onClick={() => setForm(f => ({
+              ...f,
+              variants: [...f.variants, { ...EMPTY_VARIANT, name: `Variant ${String.fromCharCode(65 + f.variants.length)}` }],
+            }))}
+          >
+            Add Variant
+          </Button>
+        </div>
+      </Modal>
+
+      {/* Delete Confirmation */}
+      <Modal.Confirm
+        isOpen={!!deleteId}
+        onClose={() => setDeleteId(null)}
+        onConfirm={handleDelete}
+        title="Delete Experiment"
+        message="Delete this experiment? Past generations keep their comments but lose their variant."
+        confirmText="Delete"
+        variant="danger"
+      />
+    </div>
+  );
+}
+
+/**
+ * One experiment with its per-variant results
+ */
+function ExperimentCard({ experiment, onStart, onStop, onDelete }) {
+  const status = STATUS_BADGES[experiment.status] || STATUS_BADGES.draft;
+  const hasResults = experiment.status !== 'draft';
+
+  return (
+    <Card>
+      <Card.Header
+        actions={
+          <div className="flex items-center gap-2">
+            {experiment.status === 'running' ? (
+              <Button variant="secondary" size="sm" leftIcon={Square} onClick={onStop}>
+                Stop
+              </Button>
+            ) : (
+              <Button variant="secondary" size="sm" leftIcon={Play} onClick={onStart}>
+                {experiment.status === 'stopped' ? 'Resume' : 'Start'}
+              </Button>
+            )}
+            {experiment.status !== 'running' && (
+              <Button variant="ghost" size="sm" leftIcon={Trash2} onClick={onDelete}>
+                Delete
+              </Button>
+            )}
+          </div>
+        }
+      >
+        <Card.Title className="flex items-center gap-2">
+          {experiment.name}
+          <Badge variant={status.variant} size="xs">{status.label}</Badge>
+        </Card.Title>
+        <Card.Description>
+          {experiment.description || `${experiment.variants.length} variants`}
+          {experiment.started_at && ` • started ${formatRelativeTime(experiment.started_at)}`}
+        </Card.Description>
+      </Card.Header>
+
+      {hasResults ? (
+        <ExperimentResults experiment={experiment} />
+      ) : (
+        <ul className="text-sm text-gray-600 space-y-1">
+          {experiment.variants.map(variant => (
+            <li key={variant.id}>
+              {variant.name}
+              <span className="text-gray-400"> • {variant.template ? 'custom template' : 'current template'} • weight {variant.weight}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </Card>
+  );
+}
+
+/**
+ * Per-variant used rate, preferred option and significance against control
+ */
+function ExperimentResults({ experiment }) {
+  const { summary, loading, error, refetch } = useExperimentResults(experiment);
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-6">
+        <Spinner />
+      </div>
+    );
+  }
+
+  if (error) {
+    return <p className="text-sm text-error-600">{error}</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead className="text-left text-xs font-medium text-gray-500 uppercase">
+            <tr>
+              <th className="py-2 pr-4">Variant</th>
+              <th className="py-2 pr-4 text-right">Generations</th>
+              <th className="py-2 pr-4 text-right">Used</th>
+              <th className="py-2 pr-4 text-right">Used rate</th>
+              <th className="py-2 pr-4 text-right">Preferred option</th>
+              <th className="py-2">vs. control</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+            {summary.map((row, index) => (
+              <tr key={row.variant.id}>
+                <td className="py-2 pr-4 text-gray-900">
+                  {row.variant.name}
+                  {index === 0 && <span className="text-xs text-gray-400"> (control)</span>}
+                </td>
+                <td className="py-2 pr-4 text-right">{formatNumber(row.generations)}</td>
+                <td className="py-2 pr-4 text-right">{formatNumber(row.used)}</td>
+                <td className="py-2 pr-4 text-right">{row.usedRate === null ? '—' : formatPercent(row.usedRate, 1)}</td>
+                <td className="py-2 pr-4 text-right">
+                  {row.preferredOptionIndex === null ? '—' : `#${row.preferredOptionIndex + 1}`}
+                </td>
+                <td className="py-2">
+                  <SignificanceBadge comparison={row.comparison} />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex items-center justify-between text-xs text-gray-500">
+        <span>
+          Two-proportion z-test on used rate, p &lt; {SIGNIFICANCE_LEVEL}; needs {MIN_SAMPLE_SIZE}+ generations per variant
+        </span>
+        <Button variant="ghost" size="xs" leftIcon={RefreshCw} onClick={refetch}>
+          Refresh
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+function SignificanceBadge({ comparison }) {
+  if (!comparison) return null;
+
+  const difference = comparison.difference === null
+    ? ''
+    : `${comparison.difference >= 0 ? '+' : ''}${(comparison.difference * 100).toFixed(1)} pts`;
+
+  if (comparison.status === 'insufficient') {
+    return (
+      <span className="text-xs text-gray-500">
+        {difference && `${difference} • `}Not enough data
+      </span>
+    );
+  }
+
+  return (
+    <span className="flex items-center gap-2 text-xs">
+      <span className="text-gray-700 dark:text-gray-300">{difference}</span>
+      <Badge
+        variant={comparison.status === 'significant' ? 'success' : 'secondary'}
+        size="xs"
+        title={`p = ${comparison.pValue.toFixed(3)}`}
+      >
+        {comparison.status === 'significant' ? 'Significant' : 'Not significant'}
+      </Badge>
+    </span>
+  );
+}
@@ -0,0 +1,157 @@
+/**
+ * Prompt Template Preview Component
+ *
+ * Renders the organization's prompt template against a chosen client and
+ * platform as it is edited, showing template errors inline.
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { AlertCircle } from 'lucide-react';
+import { Card, Dropdown, Toggle, Spinner } from '../ui';
+import { useClientSelect } from '../../hooks/useClients';
+import { getClient } from '../../lib/supabase';
+import { buildTemplateContext, renderPromptTemplate, getPlatformPromptDefaults } from '../../lib/prompts';
+import { PLATFORMS } from '../../lib/utils';
+
+const PLATFORM_OPTIONS = Object.entries(PLATFORMS).map(([value, info]) => ({
+  value,
+  label: info.name,
+}));
+
+// Stand-in post used for the preview
+const SAMPLE_POST = {
+  content: 'Just finished renovating our kitchen! Took three months but so worth it. Any tips for keeping the new countertops looking great?',
+  posterInfo: 'Homeowner, first renovation project',
+  hashtags: '#kitchenreno #homeimprovement',
+  existingComments: '',
+  numOptions: 3,
+};
+
+export default function PromptTemplatePreview({ template }) {
+  const { clientOptions, loading: clientsLoading } = useClientSelect();
+  const [clientId, setClientId] = useState('');
+  const [platform, setPlatform] = useState('linkedin');
+  const [includeCta, setIncludeCta] = useState(false);
+  const [client, setClient] = useState(null);
+  const [clientLoading, setClientLoading] = useState(false);
+
+  // Preview the first client by default
+  useEffect(() => {
+    if (!clientId && clientOptions.length > 0) {
+      setClientId(clientOptions[0].value);
+    }
+  }, [clientId, clientOptions]);
+
+  // Load keywords and sample comments for the chosen client
+  useEffect(() => {
+    if (!clientId) return;
+
+    let cancelled = false;
+    setClientLoading(true);
+    getClient(clientId)
+      .then(data => !cancelled && setClient(data))
+      .catch(err => {
+        console.error('Failed to load client for preview:', err);
+        if (!cancelled) setClient(null);
+      })
+      .finally(() => !cancelled && setClientLoading(false));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [clientId]);
+
+  const preview = useMemo(() => {
+    if (!client || !template?.trim()) return null;
+
+    try {
+      const context = buildTemplateContext({
+        ...SAMPLE_POST,
+        client,
+        platform,
+        platformPrompt: getPlatformPromptDefaults(platform),
+        includeCta,
+      });
+      return { ...renderPromptTemplate(template, context), error: null };
+    } catch (err) {
+      return { system: null, user: null, error: err.message };
+    }
+  }, [template, client, platform, includeCta]);
+
+  if (clientsLoading) {
+    return (
+      <Card>
+        <div className="flex justify-center py-6">
+          <Spinner />
+        </div>
+      </Card>
+    );
+  }
+
+  if (clientOptions.length === 0) {
+    return (
+      <Card>
+        <p className="text-sm text-gray-500">Add a client to preview the rendered prompt.</p>
+      </Card>
+    );
+  }
+
+  return (
+    <Card>
+      <Card.Header>
+        <Card.Title>Preview</Card.Title>
+        <Card.Description>The template rendered for a sample post</Card.Description>
+      </Card.Header>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end mb-4">
+        <Dropdown
+          label="Client"
+          options={clientOptions}
+          value={clientId}
+          onChange={setClientId}
+          searchable
+        />
+        <Dropdown
+          label="Platform"
+          options={PLATFORM_OPTIONS}
+          value={platform}
+          onChange={setPlatform}
+        />
+        <div className="flex items-center justify-between py-2">
+          <p className="text-sm font-medium text-gray-700 dark:text-gray-300">Include CTA</p>
+          <Toggle checked={includeCta} onChange={setIncludeCta} />
+        </div>
+      </div>
+
+      {clientLoading && (
+        <div className="flex justify-center py-6">
+          <Spinner />
+        </div>
+      )}
+
+      {!clientLoading && preview?.error && (
+        <div className="flex items-start gap-2 p-3 rounded-md bg-error-50 text-sm text-error-700">
+          <AlertCircle className="h-4 w-4 mt-0.5 flex-shrink-0" />
+          {preview.error}
+        </div>
+      )}
+
+      {!clientLoading && preview && !preview.error && (
+        <div className="space-y-4">
+          <div>
+            <h4 className="text-xs font-medium text-gray-500 dark:text-gray-300 uppercase mb-2">System prompt</h4>
+            <pre className="text-xs whitespace-pre-wrap font-mono bg-gray-50 dark:bg-[var(--card-soft)] dark:text-gray-200 rounded-md p-3 max-h-96 overflow-y-auto">
+              {preview.system}
+            </pre>
+          </div>
+          <div>
+            <h4 className="text-xs font-medium text-gray-500 dark:text-gray-300 uppercase mb-2">User prompt</h4>
+            <pre className="text-xs whitespace-pre-wrap font-mono bg-gray-50 dark:bg-[var(--card-soft)] dark:text-gray-200 rounded-md p-3 max-h-96 overflow-y-auto">
+              {preview.user ?? 'No "---" separator: the built-in user prompt is used.'}
+            </pre>
+          </div>
+        </div>
+      )}
+    </Card>
+  );
+}
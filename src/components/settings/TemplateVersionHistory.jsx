@@ -0,0 +1,201 @@
+/**
+ * Template Version History Component
+ *
+ * Lists the saved versions of the system prompt template or a platform
+ * prompt, shows what changed in each one, and rolls back to an earlier
+ * version by saving it again as the newest.
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { History, RotateCcw } from 'lucide-react';
+import { Card, Button, Badge, Spinner } from '../ui';
+import { getPromptTemplateVersions } from '../../lib/supabase';
+import { diffLines, summarizeDiff } from '../../lib/diff';
+import { cn, formatRelativeTime } from '../../lib/utils';
+
+const DIFF_LINE_STYLES = {
+  same: 'text-gray-600 dark:text-gray-300',
+  added: 'bg-success-50 text-success-800',
+  removed: 'bg-error-50 text-error-800',
+};
+
+const DIFF_LINE_PREFIXES = { same: ' ', added: '+', removed: '-' };
+
+export default function TemplateVersionHistory({
+  templateType,
+  platform = null,
+  currentContent,
+  refreshKey = 0,
+  onRestore,
+}) {
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedId, setSelectedId] = useState(null);
+  const [compareTo, setCompareTo] = useState('previous');
+  const [restoring, setRestoring] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+
+    getPromptTemplateVersions(templateType, platform)
+      .then(data => {
+        if (cancelled) return;
+        setVersions(data || []);
+        setSelectedId(data?.[0]?.id || null);
+      })
+      .catch(err => {
+        console.error('Error loading template versions:', err);
+        if (!cancelled) setVersions([]);
+      })
+      .finally(() => !cancelled && setLoading(false));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [templateType, platform, refreshKey]);
+
+  const selectedIndex = versions.findIndex(v => v.id === selectedId);
+  const selected = versions[selectedIndex] || null;
+  const previous = versions[selectedIndex + 1] || null;
+
+  const diff = useMemo(() => {
+    if (!selected) return [];
+    return compareTo === 'previous'
+      ? diffLines(previous?.content || '', selected.content)
+      : diffLines(selected.content, currentContent || '');
+  }, [selected, previous, compareTo, currentContent]);
+
+  const counts = summarizeDiff(diff);
+
+  const handleRestore = async () => {
+    if (!selected || !confirm(`Restore version ${selected.version_number}? It will be saved as a new version.`)) {
+      return;
+    }
+    setRestoring(true);
+    try {
+      await onRestore(selected);
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-6">
+        <Spinner />
+      </div>
+    );
+  }
+
+  if (versions.length === 0) {
+    return (
+      <p className="text-sm text-gray-500">
+        No saved versions yet. Each save from now on is kept here.
+      </p>
+    );
+  }
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+      {/* Version list */}
+      <ul className="space-y-1 max-h-96 overflow-y-auto">
+        {versions.map((version, index) => (
+          <li key={version.id}>
+            <button
+              type="button"
+              onClick={() => setSelectedId(version.id)}
+              className={cn(
+                'w-full text-left px-3 py-2 rounded-md text-sm',
+                version.id === selectedId
+                  ? 'bg-primary-50 text-primary-800'
+                  : 'hover:bg-gray-50 dark:hover:bg-[var(--card-soft)] text-gray-700 dark:text-gray-300'
+              )}
+            >
+              <div className="flex items-center gap-2">
+                <span className="font-medium">v{version.version_number}</span>
+                {index === 0 && <Badge variant="success" size="xs">Current</Badge>}
+                {version.restored_from && (
+                  <Badge variant="secondary" size="xs">Restored v{version.restored_from}</Badge>
+                )}
+              </div>
+              <p className="text-xs text-gray-500 mt-0.5">
+                {version.author?.full_name || version.author?.email || 'Unknown'} • {formatRelativeTime(version.created_at)}
+              </p>
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {/* Diff */}
+      <div className="md:col-span-2 space-y-3">
+        <div className="flex flex-wrap items-center gap-2">
+          <Button
+            variant={compareTo === 'previous' ? 'secondary' : 'ghost'}
+            size="xs"
+            onClick={() => setCompareTo('previous')}
+          >
+            Changes in v{selected?.version_number}
+          </Button>
+          <Button
+            variant={compareTo === 'current' ? 'secondary' : 'ghost'}
+            size="xs"
+            onClick={() => setCompareTo('current')}
+          >
+            Compare with editor
+          </Button>
+          <span className="text-xs text-gray-500">
+            <span className="text-success-700">+{counts.added}</span>{' '}
+            <span className="text-error-700">-{counts.removed}</span>
+          </span>
+          <div className="flex-1" />
+          {onRestore && selectedIndex > 0 && (
+            <Button
+              variant="secondary"
+              size="xs"
+              leftIcon={RotateCcw}
+              onClick={handleRestore}
+              loading={restoring}
+            >
+              Restore v{selected.version_number}
+            </Button>
+          )}
+        </div>
+
+        {selected?.max_length && (
+          <p className="text-xs text-gray-500">Max length: {selected.max_length} characters</p>
+        )}
+
+        <pre className="text-xs font-mono rounded-md border border-gray-200 dark:border-gray-700 max-h-96 overflow-auto">
+          {counts.added === 0 && counts.removed === 0 ? (
+            <div className="p-3 text-gray-500">No differences</div>
+          ) : (
+            diff.map((line, index) => (
+              <div key={index} className={cn('px-3 whitespace-pre-wrap', DIFF_LINE_STYLES[line.type])}>
+                {DIFF_LINE_PREFIXES[line.type]} {line.text}
+              </div>
+            ))
+          )}
+        </pre>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Card wrapper for the Settings tabs
+ */
+export function TemplateVersionHistoryCard(props) {
+  return (
+    <Card>
+      <Card.Header>
+        <Card.Title className="flex items-center gap-2">
+          <History className="h-4 w-4" />
+          Version History
+        </Card.Title>
+        <Card.Description>Every saved version, what changed, and one-click rollback</Card.Description>
+      </Card.Header>
+      <TemplateVersionHistory {...props} />
+    </Card>
+  );
+}
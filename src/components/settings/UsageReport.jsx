@@ -0,0 +1,150 @@
+/**
+ * Usage Report Component
+ *
+ * Token usage and estimated AI cost per month and per client, for billing.
+ */
+
+import { useState, useEffect } from 'react';
+import { BarChart3, AlertCircle } from 'lucide-react';
+import { Card, Dropdown, Spinner } from '../ui';
+import { useUsageReport } from '../../hooks/useHistory';
+import { formatMonthKey } from '../../lib/usageReport';
+import { formatCost } from '../../lib/pricing';
+import { formatNumber } from '../../lib/utils';
+
+export default function UsageReport() {
+  const { report, loading, error } = useUsageReport({ months: 12 });
+  const [selectedMonth, setSelectedMonth] = useState('');
+
+  // Default to the most recent month with activity
+  useEffect(() => {
+    if (!selectedMonth && report.length) {
+      setSelectedMonth(report[0].month);
+    }
+  }, [report, selectedMonth]);
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <Spinner size="lg" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <Card>
+        <p className="text-sm text-error-600">{error}</p>
+      </Card>
+    );
+  }
+
+  if (!report.length) {
+    return (
+      <Card className="text-center py-12">
+        <BarChart3 className="h-10 w-10 text-gray-300 mx-auto" />
+        <p className="text-gray-500 dark:text-gray-400 mt-3">No generations in the last 12 months</p>
+      </Card>
+    );
+  }
+
+  const month = report.find(m => m.month === selectedMonth) || report[0];
+  const monthOptions = report.map(m => ({ value: m.month, label: formatMonthKey(m.month) }));
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <Card.Header>
+          <div className="flex items-start justify-between gap-4">
+            <div>
+              <Card.Title>Usage &amp; Costs</Card.Title>
+              <Card.Description>
+                Tokens and estimated AI cost per client, based on each provider&apos;s model pricing
+              </Card.Description>
+            </div>
+            <Dropdown
+              options={monthOptions}
+              value={month.month}
+              onChange={setSelectedMonth}
+              fullWidth={false}
+              containerClassName="w-48"
+            />
+          </div>
+        </Card.Header>
+
+        {/* Month totals */}
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          <Stat label="Generations" value={formatNumber(month.totals.generations)} />
+          <Stat label="Prompt Tokens" value={formatNumber(month.totals.promptTokens)} />
+          <Stat label="Completion Tokens" value={formatNumber(month.totals.completionTokens)} />
+          <Stat label="Estimated Cost" value={formatCost(month.totals.cost)} />
+        </div>
+
+        {month.totals.unpricedGenerations > 0 && (
+          <div className="flex items-start gap-2 mt-4 text-sm text-warning-700 dark:text-warning-400">
+            <AlertCircle className="h-4 w-4 mt-0.5 flex-shrink-0" />
+            <span>
+              {month.totals.unpricedGenerations} generation{month.totals.unpricedGenerations === 1 ? '' : 's'} used
+              a model without pricing and are not included in the cost. Add prices in the AI Providers tab.
+            </span>
+          </div>
+        )}
+      </Card>
+
+      {/* Per-client breakdown */}
+      <Card padding="none">
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-200 dark:border-gray-700 text-left text-gray-500 dark:text-gray-400">
+                <th className="px-4 py-3 font-medium">Client</th>
+                <th className="px-4 py-3 font-medium text-right">Generations</th>
+                <th className="px-4 py-3 font-medium text-right">Prompt Tokens</th>
+                <th className="px-4 py-3 font-medium text-right">Completion Tokens</th>
+                <th className="px-4 py-3 font-medium text-right">Estimated Cost</th>
+              </tr>
+            </thead>
+            <tbody>
+              {month.clients.map(client => (
+                <tr key={client.clientId || 'none'} className="border-b border-gray-100 dark:border-gray-800 last:border-0">
+                  <td className="px-4 py-3 font-medium text-gray-900 dark:text-white">{client.clientName}</td>
+                  <td className="px-4 py-3 text-right">{formatNumber(client.totals.generations)}</td>
+                  <td className="px-4 py-3 text-right">{formatNumber(client.totals.promptTokens)}</td>
+                  <td className="px-4 py-3 text-right">{formatNumber(client.totals.completionTokens)}</td>
+                  <td className="px-4 py-3 text-right">{formatCost(client.totals.cost)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </Card>
+
+      {/* Monthly trend */}
+      <Card>
+        <Card.Header>
+          <Card.Title>By Month</Card.Title>
+        </Card.Header>
+        <div className="space-y-2">
+          {report.map(m => (
+            <div key={m.month} className="flex items-center justify-between text-sm">
+              <span className="text-gray-700 dark:text-gray-300">{formatMonthKey(m.month)}</span>
+              <span className="text-gray-500 dark:text-gray-400">
+                {formatNumber(m.totals.generations)} generations • {formatNumber(m.totals.totalTokens)} tokens •{' '}
+                <span className="font-medium text-gray-900 dark:text-white">{formatCost(m.totals.cost)}</span>
+              </span>
+            </div>
+          ))}
+        </div>
+      </Card>
+    </div>
+  );
+}
+
+function Stat({ label, value }) {
+  return (
+    <div className="rounded-lg bg-gray-50 dark:bg-[var(--card-soft)] p-3">
+      <p className="text-xs text-gray-500 dark:text-gray-400">{label}</p>
+      <p className="text-lg font-semibold text-gray-900 dark:text-white mt-1">{value}</p>
+    </div>
+  );
+}
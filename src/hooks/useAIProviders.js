@@ -4,7 +4,7 @@
  * Custom hook for managing AI provider configurations.
  */
 
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useMemo } from 'react';
 import {
   getAIProviders,
   getDefaultAIProvider,
@@ -15,8 +15,12 @@ import {
   getAIChatLinks,
   getPlatformPrompts,
   upsertPlatformPrompt,
+  getAIProviderUsageToday,
 } from '../lib/supabase';
-import { testProvider, DEFAULT_PROVIDERS } from '../lib/ai';
+import { testProvider, isProviderUsable, DEFAULT_PROVIDERS } from '../lib/ai';
+import { saveProviderApiKey } from '../lib/aiProxy';
+import { resetProviderHealth } from '../lib/providerHealth';
+import { getQuotaMap } from '../lib/providerQuota';
 import { toast } from '../components/ui/Toast';
 
 /**
@@ -51,9 +55,14 @@ export function useAIProviders(options = {}) {
   }, [autoFetch, fetchProviders]);
 
   // Create a new provider
-  const create = async (providerData) => {
+  const create = async ({ api_key, ...providerData }) => {
     try {
-      const newProvider = await createAIProvider(providerData);
+      let newProvider = await createAIProvider(providerData);
+      // The key is stored by the AI proxy, never written from the browser
+      if (api_key) {
+        const { has_api_key } = await saveProviderApiKey(newProvider.id, api_key);
+        newProvider = { ...newProvider, has_api_key };
+      }
       setProviders(prev => [...prev, newProvider]);
       toast.success('AI provider added successfully');
       return { data: newProvider, error: null };
@@ -64,10 +73,16 @@ export function useAIProviders(options = {}) {
     }
   };
 
-  // Update a provider
-  const update = async (providerId, updates) => {
+  // Update a provider (api_key is only sent when the user enters a new one)
+  const update = async (providerId, { api_key, ...updates }) => {
     try {
-      const updatedProvider = await updateAIProvider(providerId, updates);
+      let updatedProvider = await updateAIProvider(providerId, updates);
+      if (api_key !== undefined) {
+        const { has_api_key } = await saveProviderApiKey(providerId, api_key);
+        updatedProvider = { ...updatedProvider, has_api_key };
+        // Past failures (e.g. auth errors) no longer apply to the new key
+        resetProviderHealth(providerId);
+      }
       setProviders(prev =>
         prev.map(p => (p.id === providerId ? { ...p, ...updatedProvider } : p))
       );
@@ -190,9 +205,7 @@ export function useAIProviders(options = {}) {
   const defaultProvider = providers.find(p => p.is_default) || providers[0];
 
   // Check if any provider is configured
-  const hasConfiguredProvider = providers.some(
-    p => p.is_active && p.api_key_encrypted
-  );
+  const hasConfiguredProvider = providers.some(isProviderUsable);
 
   return {
     providers,
@@ -212,6 +225,30 @@ export function useAIProviders(options = {}) {
   };
 }
 
+/**
+ * Hook for today's free-tier quota usage per provider
+ */
+export function useProviderQuotas(providers) {
+  const [usage, setUsage] = useState([]);
+
+  const fetchUsage = useCallback(async () => {
+    try {
+      const data = await getAIProviderUsageToday();
+      setUsage(data || []);
+    } catch (err) {
+      console.error('Error fetching AI provider usage:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchUsage();
+  }, [fetchUsage]);
+
+  const quotas = useMemo(() => getQuotaMap(providers, usage), [providers, usage]);
+
+  return { quotas, refetch: fetchUsage };
+}
+
 /**
  * Hook for AI chat links (No API mode)
  */
@@ -260,9 +297,9 @@ export function usePlatformPrompts() {
     fetchPrompts();
   }, [fetchPrompts]);
 
-  const updatePrompt = async (platform, promptData) => {
+  const updatePrompt = async (platform, promptData, options = {}) => {
     try {
-      const updated = await upsertPlatformPrompt(platform, promptData);
+      const updated = await upsertPlatformPrompt(platform, promptData, options);
       setPrompts(prev => {
         const existing = prev.findIndex(
           p => p.platform === platform && !p.is_system
@@ -2,12 +2,17 @@
  * useAnalyzer Hook
  * 
  * Custom hook for analyzing content and matching to relevant clients.
+ * Clients with a do-not-engage rule matching the post are suppressed, and
+ * content sent to the AI is screened for prompt injection and personal info.
  */
 
 import { useState, useCallback } from 'react';
-import { generateCompletion, parseCommentOptions, AIError } from '../lib/ai';
-import { buildContentAnalysisPrompt } from '../lib/prompts';
+import { generateCompletion, getPromptBudget, parseCommentOptions, AIError } from '../lib/ai';
+import { fitContentAnalysisPrompt } from '../lib/prompts';
 import { analyzeContentForClients } from '../lib/supabase';
+import { findBlockMatches, rulesForClient, describeBlockMatch } from '../lib/blocklist';
+import { loadBlockRules } from './useBlocklist';
+import { screenPost } from '../lib/contentScreening';
 import { toast } from '../components/ui/Toast';
 
 /**
@@ -18,12 +23,17 @@ export function useAnalyzer() {
   const [error, setError] = useState(null);
   const [results, setResults] = useState([]);
   const [analyzedContent, setAnalyzedContent] = useState('');
+  // Parts of the prompt trimmed to fit the model's context window
+  const [promptCuts, setPromptCuts] = useState([]);
+  // Matching clients held back by do-not-engage rules, with the reasons
+  const [suppressed, setSuppressed] = useState([]);
 
   /**
    * Analyze content using database keyword matching
    * This is a fast, local analysis based on client keywords
+   * @param {{ sourceUrl?: string }} post - Where the content came from, for blocklist checks
    */
-  const analyzeLocal = useCallback(async (content, clients) => {
+  const analyzeLocal = useCallback(async (content, clients, { sourceUrl = '' } = {}) => {
     if (!content?.trim()) {
       toast.error('Please enter content to analyze');
       return { success: false };
@@ -38,6 +48,8 @@ export function useAnalyzer() {
     setError(null);
     setResults([]);
     setAnalyzedContent(content);
+    setPromptCuts([]);
+    setSuppressed([]);
 
     try {
       // Use the database function for keyword matching
@@ -69,15 +81,12 @@ export function useAnalyzer() {
         })
         .sort((a, b) => b.relevance_score - a.relevance_score);
 
-      setResults(relevantMatches);
+      const { kept, blocked } = await applyBlocklist(relevantMatches, { content, sourceUrl });
+      setResults(kept);
+      setSuppressed(blocked);
+      notifyMatches(kept, blocked, 'Found');
 
-      if (relevantMatches.length === 0) {
-        toast.info('No matching clients found for this content');
-      } else {
-        toast.success(`Found ${relevantMatches.length} matching client(s)`);
-      }
-
-      return { success: true, results: relevantMatches };
+      return { success: true, results: kept, suppressed: blocked };
 
     } catch (err) {
       console.error('Analysis error:', err);
@@ -94,8 +103,11 @@ export function useAnalyzer() {
   /**
    * Analyze content using AI for deeper analysis
    * This provides more nuanced matching and engagement suggestions
+   * @param {{ sourceUrl?: string, redactPii?: boolean }} post - Where the content
+   *   came from, for blocklist checks, and whether to redact personal info
+   *   before it is sent to the AI provider
    */
-  const analyzeWithAI = useCallback(async (content, clients) => {
+  const analyzeWithAI = useCallback(async (content, clients, post = {}) => {
     if (!content?.trim()) {
       toast.error('Please enter content to analyze');
       return { success: false };
@@ -110,15 +122,22 @@ export function useAnalyzer() {
     setError(null);
     setResults([]);
     setAnalyzedContent(content);
+    setPromptCuts([]);
+    setSuppressed([]);
 
     try {
-      // Build the analysis prompt
-      const prompt = buildContentAnalysisPrompt(content, clients);
+      const screening = screenPost({ content }, { redactPii: post.redactPii });
+
+      // Build the analysis prompt, trimming long content to fit the model
+      const maxTokens = 2000;
+      const budget = await getPromptBudget({ maxTokens }).catch(() => null);
+      const { prompt, cuts } = fitContentAnalysisPrompt(screening.fields.content, clients, budget);
+      setPromptCuts(cuts);
 
       // Call AI
       const result = await generateCompletion(
         [{ role: 'user', content: prompt }],
-        { temperature: 0.5, maxTokens: 2000 }
+        { temperature: 0.5, maxTokens }
       );
 
       // Parse the response
@@ -127,13 +146,15 @@ export function useAnalyzer() {
       if (parsed.length === 0) {
         // Fall back to local analysis
         toast.info('AI analysis found no matches, trying keyword matching...');
-        return analyzeLocal(content, clients);
+        return analyzeLocal(content, clients, post);
       }
 
-      setResults(parsed);
-      toast.success(`AI found ${parsed.length} relevant client(s)`);
+      const { kept, blocked } = await applyBlocklist(parsed, { content, sourceUrl: post.sourceUrl });
+      setResults(kept);
+      setSuppressed(blocked);
+      notifyMatches(kept, blocked, 'AI found');
 
-      return { success: true, results: parsed };
+      return { success: true, results: kept, suppressed: blocked, screening };
 
     } catch (err) {
       console.error('AI Analysis error:', err);
@@ -141,7 +162,7 @@ export function useAnalyzer() {
       // If AI fails, fall back to local analysis
       if (err instanceof AIError) {
         toast.warning('AI unavailable, using keyword matching instead');
-        return analyzeLocal(content, clients);
+        return analyzeLocal(content, clients, post);
       }
 
       const errorMessage = err.message || 'Failed to analyze content';
@@ -161,6 +182,8 @@ export function useAnalyzer() {
     setResults([]);
     setError(null);
     setAnalyzedContent('');
+    setPromptCuts([]);
+    setSuppressed([]);
   }, []);
 
   return {
@@ -168,12 +191,56 @@ export function useAnalyzer() {
     error,
     results,
     analyzedContent,
+    promptCuts,
+    suppressed,
     analyzeLocal,
     analyzeWithAI,
     clear,
   };
 }
 
+/**
+ * Split matches into clients to show and clients blocked by a do-not-engage
+ * rule for this post
+ * @returns {Promise<{ kept: Array, blocked: Array<{ client_id, client_name, reasons: string[] }> }>}
+ */
+async function applyBlocklist(matches, post) {
+  if (matches.length === 0) return { kept: [], blocked: [] };
+
+  const rules = await loadBlockRules();
+  const kept = [];
+  const blocked = [];
+
+  matches.forEach(match => {
+    const hits = findBlockMatches(rulesForClient(rules, match.client_id), post);
+    if (hits.length > 0) {
+      blocked.push({
+        client_id: match.client_id,
+        client_name: match.client_name,
+        reasons: hits.map(describeBlockMatch),
+      });
+    } else {
+      kept.push(match);
+    }
+  });
+
+  return { kept, blocked };
+}
+
+/**
+ * Toast summarizing an analysis
+ */
+function notifyMatches(kept, blocked, verb) {
+  const blockedNote = blocked.length > 0 ? ` (${blocked.length} blocked by do-not-engage rules)` : '';
+  if (kept.length > 0) {
+    toast.success(`${verb} ${kept.length} matching client(s)${blockedNote}`);
+  } else if (blocked.length > 0) {
+    toast.warning('Every matching client is blocked by do-not-engage rules');
+  } else {
+    toast.info('No matching clients found for this content');
+  }
+}
+
 /**
  * Build human-readable reasons for a match
  */
@@ -0,0 +1,116 @@
+/**
+ * useBlocklist Hook
+ *
+ * Custom hook for managing "do not engage" rules, plus the loader the
+ * Analyzer and Generator use to check posts against them.
+ */
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  getBlocklistRules,
+  createBlocklistRule,
+  deleteBlocklistRule,
+  getActiveCompetitors,
+} from '../lib/supabase';
+import { competitorRules, normalizeBlockValue } from '../lib/blocklist';
+import { toast } from '../components/ui/Toast';
+
+/**
+ * Every rule to check posts against: saved rules plus each client's active
+ * competitors. Throws when either fails to load, so nothing is generated
+ * without the check.
+ */
+export async function loadBlockRules() {
+  try {
+    const [rules, competitors] = await Promise.all([getBlocklistRules(), getActiveCompetitors()]);
+    return [...rules, ...competitorRules(competitors)];
+  } catch (err) {
+    console.error('Error loading blocklist rules:', err);
+    throw new Error(`Could not load do-not-engage rules (${err.message || 'unknown error'}). Try again once they load.`);
+  }
+}
+
+/**
+ * Hook for the organization's rules, or one client's when `clientId` is set
+ */
+export function useBlocklist(clientId = null) {
+  const [allRules, setAllRules] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const fetchRules = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await getBlocklistRules();
+      setAllRules(data || []);
+    } catch (err) {
+      console.error('Error fetching blocklist rules:', err);
+      toast.error('Failed to load do-not-engage rules');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRules();
+  }, [fetchRules]);
+
+  const rules = useMemo(
+    () => allRules.filter(rule => (rule.client_id || null) === clientId),
+    [allRules, clientId]
+  );
+
+  /**
+   * Add a rule
+   * @param {{ rule_type: string, value: string, reason?: string }} rule
+   */
+  const add = async ({ rule_type, value, reason }) => {
+    const normalized = normalizeBlockValue(rule_type, value);
+    if (!normalized) {
+      toast.error('Please enter a value to block');
+      return { data: null, error: new Error('Empty value') };
+    }
+    if (rules.some(r => r.rule_type === rule_type && r.value === normalized)) {
+      toast.error(`"${normalized}" is already blocked`);
+      return { data: null, error: new Error('Duplicate rule') };
+    }
+
+    try {
+      const created = await createBlocklistRule({
+        client_id: clientId,
+        rule_type,
+        value: normalized,
+        reason: reason?.trim() || null,
+      });
+      setAllRules(prev => [...prev, created]);
+      toast.success('Rule added');
+      return { data: created, error: null };
+    } catch (err) {
+      console.error('Error adding blocklist rule:', err);
+      toast.error('Failed to add rule');
+      return { data: null, error: err };
+    }
+  };
+
+  const remove = async (ruleId) => {
+    try {
+      await deleteBlocklistRule(ruleId);
+      setAllRules(prev => prev.filter(r => r.id !== ruleId));
+      toast.success('Rule removed');
+      return { error: null };
+    } catch (err) {
+      console.error('Error removing blocklist rule:', err);
+      toast.error('Failed to remove rule');
+      return { error: err };
+    }
+  };
+
+  return {
+    rules,
+    loading,
+    refetch: fetchRules,
+    add,
+    remove,
+  };
+}
+
+export default useBlocklist;
@@ -17,6 +17,11 @@ import {
   removeClientSampleComment,
   addClientIndustrySite,
   removeClientIndustrySite,
+  upsertClientPlatformPrompt,
+  removeClientPlatformPrompt,
+  addClientCta,
+  updateClientCta,
+  removeClientCta,
 } from '../lib/supabase';
 import { getCached, setCached, clearCache } from '../lib/cache';
 import { toast } from '../components/ui/Toast';
@@ -352,6 +357,77 @@ export function useClient(clientId) {
     }
   };
 
+  // Platform prompt overrides
+  const savePlatformPrompt = async (platform, promptData) => {
+    try {
+      const saved = await upsertClientPlatformPrompt(clientId, platform, promptData);
+      setClient(prev => ({
+        ...prev,
+        platform_prompts: [
+          ...(prev.platform_prompts || []).filter(p => p.platform !== platform),
+          saved,
+        ],
+      }));
+      toast.success('Platform prompt override saved');
+      return { data: saved, error: null };
+    } catch (err) {
+      console.error('Error saving platform prompt override:', err);
+      toast.error('Failed to save platform prompt override');
+      return { data: null, error: err };
+    }
+  };
+
+  const removePlatformPrompt = async (promptId) => {
+    try {
+      await removeClientPlatformPrompt(promptId);
+      setClient(prev => ({
+        ...prev,
+        platform_prompts: prev.platform_prompts.filter(p => p.id !== promptId),
+      }));
+      return { error: null };
+    } catch (err) {
+      console.error('Error removing platform prompt override:', err);
+      toast.error('Failed to remove platform prompt override');
+      return { error: err };
+    }
+  };
+
+  // Named calls-to-action
+  const saveCta = async (ctaId, ctaData) => {
+    try {
+      const saved = ctaId
+        ? await updateClientCta(ctaId, ctaData)
+        : await addClientCta(clientId, ctaData);
+      setClient(prev => ({
+        ...prev,
+        ctas: ctaId
+          ? prev.ctas.map(c => (c.id === ctaId ? saved : c))
+          : [...(prev.ctas || []), saved],
+      }));
+      toast.success('Call-to-action saved');
+      return { data: saved, error: null };
+    } catch (err) {
+      console.error('Error saving call-to-action:', err);
+      toast.error('Failed to save call-to-action');
+      return { data: null, error: err };
+    }
+  };
+
+  const removeCta = async (ctaId) => {
+    try {
+      await removeClientCta(ctaId);
+      setClient(prev => ({
+        ...prev,
+        ctas: prev.ctas.filter(c => c.id !== ctaId),
+      }));
+      return { error: null };
+    } catch (err) {
+      console.error('Error removing call-to-action:', err);
+      toast.error('Failed to remove call-to-action');
+      return { error: err };
+    }
+  };
+
   return {
     client,
     loading,
@@ -368,6 +444,12 @@ export function useClient(clientId) {
     // Industry sites
     addIndustrySite,
     removeIndustrySite,
+    // Platform prompt overrides
+    savePlatformPrompt,
+    removePlatformPrompt,
+    // Named CTAs
+    saveCta,
+    removeCta,
   };
 }
 
@@ -0,0 +1,164 @@
+/**
+ * useExperiments Hook
+ *
+ * Custom hook for managing prompt A/B experiments and their results.
+ */
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  getPromptExperiments,
+  createPromptExperiment,
+  updatePromptExperiment,
+  deletePromptExperiment,
+  getPromptExperimentResults,
+} from '../lib/supabase';
+import { summarizeExperiment } from '../lib/experiments';
+import { toast } from '../components/ui/Toast';
+
+/**
+ * Hook for listing, creating, starting and stopping experiments
+ */
+export function useExperiments() {
+  const [experiments, setExperiments] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const fetchExperiments = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await getPromptExperiments();
+      setExperiments(data || []);
+    } catch (err) {
+      console.error('Error fetching experiments:', err);
+      toast.error('Failed to load experiments');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchExperiments();
+  }, [fetchExperiments]);
+
+  const replaceExperiment = (updated) => {
+    setExperiments(prev => prev.map(e => (e.id === updated.id ? updated : e)));
+  };
+
+  const create = async (experimentData) => {
+    try {
+      const created = await createPromptExperiment(experimentData);
+      setExperiments(prev => [created, ...prev]);
+      toast.success('Experiment created');
+      return { data: created, error: null };
+    } catch (err) {
+      console.error('Error creating experiment:', err);
+      toast.error('Failed to create experiment');
+      return { data: null, error: err };
+    }
+  };
+
+  const start = async (experimentId) => {
+    const running = experiments.find(e => e.status === 'running');
+    if (running && running.id !== experimentId) {
+      toast.error(`Stop "${running.name}" before starting another experiment`);
+      return { data: null, error: new Error('Another experiment is running') };
+    }
+
+    try {
+      const updated = await updatePromptExperiment(experimentId, {
+        status: 'running',
+        started_at: new Date().toISOString(),
+        stopped_at: null,
+      });
+      replaceExperiment(updated);
+      toast.success('Experiment started');
+      return { data: updated, error: null };
+    } catch (err) {
+      console.error('Error starting experiment:', err);
+      toast.error('Failed to start experiment');
+      return { data: null, error: err };
+    }
+  };
+
+  const stop = async (experimentId) => {
+    try {
+      const updated = await updatePromptExperiment(experimentId, {
+        status: 'stopped',
+        stopped_at: new Date().toISOString(),
+      });
+      replaceExperiment(updated);
+      toast.success('Experiment stopped');
+      return { data: updated, error: null };
+    } catch (err) {
+      console.error('Error stopping experiment:', err);
+      toast.error('Failed to stop experiment');
+      return { data: null, error: err };
+    }
+  };
+
+  const remove = async (experimentId) => {
+    try {
+      await deletePromptExperiment(experimentId);
+      setExperiments(prev => prev.filter(e => e.id !== experimentId));
+      toast.success('Experiment deleted');
+      return { error: null };
+    } catch (err) {
+      console.error('Error deleting experiment:', err);
+      toast.error('Failed to delete experiment');
+      return { error: err };
+    }
+  };
+
+  return {
+    experiments,
+    loading,
+    refetch: fetchExperiments,
+    create,
+    start,
+    stop,
+    remove,
+  };
+}
+
+/**
+ * Hook for an experiment's per-variant outcomes
+ */
+export function useExperimentResults(experiment) {
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const experimentId = experiment?.id;
+
+  const fetchResults = useCallback(async () => {
+    if (!experimentId) return;
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await getPromptExperimentResults(experimentId);
+      setRows(data || []);
+    } catch (err) {
+      console.error('Error fetching experiment results:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [experimentId]);
+
+  useEffect(() => {
+    fetchResults();
+  }, [fetchResults]);
+
+  const summary = useMemo(
+    () => summarizeExperiment(experiment?.variants || [], rows),
+    [experiment?.variants, rows]
+  );
+
+  return {
+    summary,
+    loading,
+    error,
+    refetch: fetchResults,
+  };
+}
+
+export default useExperiments;
@@ -4,20 +4,445 @@
  * Custom hook for generating comments with AI providers.
  */
 
-import { useState, useCallback } from 'react';
-import { generateCompletion, parseCommentOptions, AIError } from '../lib/ai';
+import { useState, useCallback, useRef, useMemo, useEffect } from 'react';
+import {
+  generateCommentOptions,
+  parsePartialCommentOptions,
+  getPromptBudget,
+  combineUsage,
+  AIError,
+} from '../lib/ai';
 import {
   buildSystemPrompt,
   buildUserPrompt,
   buildCommentMessages,
+  buildRefineMessages,
+  fitCommentPrompt,
   generateClipboardPrompt,
-  getPlatformPromptDefaults,
+  resolveCta,
+  resolvePromptTemplate,
+  resolvePlatformPrompt,
+  selectLearnedExamples,
+  REFINE_ACTIONS,
 } from '../lib/prompts';
-import { saveGeneratedComments, markCommentAsUsed, getPlatformPrompt, getSystemPromptTemplate } from '../lib/supabase';
-import { copyToClipboard } from '../lib/utils';
+import {
+  saveGeneratedComments,
+  updateGeneratedComments,
+  getClient,
+  markCommentAsUsed,
+  getPlatformPrompt,
+  getClientPlatformPrompt,
+  getSystemPromptTemplate,
+  getCurrentPromptTemplateVersionIds,
+  getRunningPromptExperiment,
+  getUsedCommentExamples,
+  getUsedCommentHistory,
+} from '../lib/supabase';
+import { pickVariant } from '../lib/experiments';
+import { resolveLanguage } from '../lib/language';
+import { getGuardrailRules, applyGuardrails, buildGuardrailFixInstruction } from '../lib/guardrails';
+import { buildShortenInstruction } from '../lib/textLength';
+import { findBlockMatches, rulesForClient, describeBlockMatch, BlockedContentError } from '../lib/blocklist';
+import { loadBlockRules } from './useBlocklist';
+import { screenPost } from '../lib/contentScreening';
+import { copyToClipboard, mapWithConcurrency } from '../lib/utils';
+import { findCrossClientSimilarities, flagDuplicates, DUPLICATE_THRESHOLD } from '../lib/similarity';
+import { TemplateError } from '../lib/templateEngine';
 import { toast } from '../components/ui/Toast';
 import { useAuth } from '../contexts/AuthContext';
 
+// Completion tokens reserved for the comment options
+const COMPLETION_MAX_TOKENS = 1500;
+
+// Completion tokens for rewriting a single option
+const REWRITE_MAX_TOKENS = 600;
+
+/**
+ * Load the prompt template and platform prompt for a client, resolved
+ * client override → organization → built-in default, plus the client's
+ * recently used comments when it learns from history
+ *
+ * @returns {Promise<{ customTemplate: string|null, templateSource: string, platformPrompt: object, platformPromptSource: string, learnedExamples: Array }>}
+ */
+export async function loadPromptSettings(client, platform, organizationId) {
+  let orgPrompt = null;
+  try {
+    orgPrompt = await getPlatformPrompt(platform);
+  } catch (err) {
+    console.error('Error loading platform prompt:', err);
+  }
+
+  // Clients from the list view don't carry their overrides
+  let clientPrompt = client?.platform_prompts?.find(p => p.platform === platform) || null;
+  if (!client?.platform_prompts && client?.id) {
+    try {
+      clientPrompt = await getClientPlatformPrompt(client.id, platform);
+    } catch (err) {
+      console.error('Error loading client platform prompt:', err);
+    }
+  }
+
+  let orgTemplate = null;
+  if (organizationId && !client?.prompt_template?.trim()) {
+    try {
+      orgTemplate = await getSystemPromptTemplate(organizationId);
+    } catch (err) {
+      console.error('Error loading custom template:', err);
+    }
+  }
+
+  const { template, source: templateSource } = resolvePromptTemplate(client, orgTemplate);
+  const { platformPrompt, source: platformPromptSource } = resolvePlatformPrompt(platform, {
+    clientPrompt,
+    orgPrompt,
+  });
+
+  // Fetch extra rows so repeats and samples can be skipped
+  let learnedExamples = [];
+  if (client?.learn_from_history && client.id) {
+    const limit = client.learned_example_limit || 3;
+    try {
+      const examples = await getUsedCommentExamples(client.id, platform, limit * 2);
+      learnedExamples = selectLearnedExamples(examples, client, limit);
+    } catch (err) {
+      console.error('Error loading used comments:', err);
+    }
+  }
+
+  return { customTemplate: template, templateSource, platformPrompt, platformPromptSource, learnedExamples };
+}
+
+/**
+ * Comments the client already used, and how similar a new option must be to
+ * one of them to count as a repeat. A threshold of 0 turns the check off; a
+ * failed load is logged and treated as no history.
+ *
+ * @returns {Promise<{ history: Array, threshold: number }>}
+ */
+async function loadPostingHistory(client) {
+  const threshold = client?.duplicate_threshold ?? DUPLICATE_THRESHOLD * 100;
+  if (!client?.id || !threshold) return { history: [], threshold: 0 };
+
+  try {
+    const history = await getUsedCommentHistory(client.id);
+    return { history, threshold: threshold / 100 };
+  } catch (err) {
+    console.error('Error loading used comment history:', err);
+    return { history: [], threshold: 0 };
+  }
+}
+
+/**
+ * Rewrite the options that break a guardrail, one follow-up turn each. A
+ * rewrite replaces the original only when it has fewer violations.
+ *
+ * @returns {Promise<{ options: Array, fixedCount: number, usage: object|null, estimatedCost: number|null }>}
+ */
+async function fixGuardrailViolations(options, { messages, rules, maxLength, platform, providerId, signal }) {
+  let current = options;
+  let fixedCount = 0;
+  let usage = null;
+  let estimatedCost = 0;
+
+  for (const [index, option] of options.entries()) {
+    const { violations } = option.guardrails;
+    if (violations.length === 0) continue;
+
+    try {
+      const result = await generateCommentOptions(
+        buildRefineMessages(messages, current, index, buildGuardrailFixInstruction(violations)),
+        { temperature: 0.8, maxTokens: REWRITE_MAX_TOKENS, maxLength, platform, providerId, signal }
+      );
+      usage = combineUsage(usage, result.usage);
+      estimatedCost = estimatedCost === null || result.estimatedCost === null
+        ? null
+        : estimatedCost + result.estimatedCost;
+
+      const [rewritten] = result.options;
+      if (!rewritten) continue;
+
+      const [checked] = applyGuardrails([{ ...rewritten, index, style: option.style }], rules);
+      if (checked.guardrails.violations.length < violations.length) {
+        const fixed = { ...checked, guardrails: { ...checked.guardrails, autoFixed: violations } };
+        current = current.map((opt, idx) => idx === index ? fixed : opt);
+        fixedCount++;
+      }
+    } catch (err) {
+      if (err instanceof AIError && err.code === 'CANCELLED') throw err;
+      console.error('Error fixing guardrail violations:', err);
+    }
+  }
+
+  return { options: current, fixedCount, usage, estimatedCost };
+}
+
+/**
+ * Run one generation end to end: build the prompt, call the AI provider and
+ * save the result. Shared by single and multi-client generation.
+ *
+ * Callbacks:
+ * - onPartialOptions(options): options complete so far while streaming
+ * - onReset(): partial options must be discarded (fallback or repair)
+ *
+ * @returns {Promise<{ options: Array, generation: object, meta: object, context: object }>}
+ */
+async function runGeneration(input, { organizationId, signal, onPartialOptions, onReset } = {}) {
+  const {
+    client,
+    platform,
+    content,
+    existingComments,
+    posterInfo,
+    sourceUrl,
+    hashtags,
+    numOptions = 3,
+    includeCta = false,
+    ctaId = null,
+    language: selectedLanguage,
+    includeTranslation = false,
+    autoFixGuardrails = false,
+    redactPii = false,
+    providerId,
+    customFullPrompt,
+    stream = true,
+  } = input;
+
+  const startTime = Date.now();
+
+  // Never write for a post the client must not engage with
+  const blockMatches = findBlockMatches(rulesForClient(await loadBlockRules(), client.id), {
+    content,
+    posterInfo,
+    sourceUrl,
+  });
+  if (blockMatches.length > 0) {
+    throw new BlockedContentError(`Do not engage: ${describeBlockMatch(blockMatches[0])}`, blockMatches);
+  }
+
+  // Flag injection attempts and personal info; the provider only sees the
+  // redacted text when redaction is on
+  const screening = screenPost({ content, existingComments, posterInfo }, { redactPii });
+  const screened = screening.fields;
+
+  // Without a selection (batch, multi-client) each client's default applies
+  const { language, detected: languageDetected } = resolveLanguage(
+    selectedLanguage || client?.default_language,
+    { client, content }
+  );
+
+  // Template and platform prompt: client override, organization, or default
+  const {
+    customTemplate: resolvedTemplate,
+    templateSource,
+    platformPrompt,
+    platformPromptSource,
+    learnedExamples,
+  } = await loadPromptSettings(client, platform, organizationId);
+
+  // Assign the generation to a variant of the running experiment. Clients
+  // with their own template stay out of experiments.
+  let variant = null;
+  if (!customFullPrompt && templateSource !== 'client') {
+    try {
+      const experiment = await getRunningPromptExperiment();
+      variant = pickVariant(experiment?.variants);
+    } catch (err) {
+      console.error('Error loading prompt experiment:', err);
+    }
+  }
+  const variantTemplate = variant?.template?.trim() ? variant.template : null;
+  const customTemplate = variantTemplate || resolvedTemplate;
+
+  // Record which organization template versions produced this generation
+  let versionIds = { templateVersionId: null, platformPromptVersionId: null };
+  if (!customFullPrompt && (templateSource === 'organization' || platformPromptSource === 'organization')) {
+    try {
+      versionIds = await getCurrentPromptTemplateVersionIds(platform);
+    } catch (err) {
+      console.error('Error loading template versions:', err);
+    }
+  }
+
+  // Build prompts or use custom full prompt
+  let messages;
+  let promptCuts = [];
+  if (customFullPrompt) {
+    // Parse custom full prompt (format: "system prompt\n---\nuser prompt")
+    const parts = customFullPrompt.split('---');
+    const systemPrompt = parts[0]?.trim() || '';
+    const userPrompt = parts[1]?.trim() || '';
+    messages = buildCommentMessages(systemPrompt, userPrompt);
+  } else {
+    // Trim existing comments, samples and content to fit the smallest
+    // context window in the provider chain
+    let budget = null;
+    try {
+      budget = await getPromptBudget({ providerId, maxTokens: COMPLETION_MAX_TOKENS });
+    } catch (err) {
+      console.error('Error loading prompt budget:', err);
+    }
+
+    const fitted = fitCommentPrompt({
+      client,
+      platform,
+      platformPrompt,
+      content: screened.content,
+      existingComments: screened.existingComments,
+      posterInfo: screened.posterInfo,
+      hashtags,
+      numOptions,
+      includeCta,
+      ctaId,
+      customTemplate,
+      learnedExamples,
+      language,
+      includeTranslation,
+    }, budget);
+    promptCuts = fitted.cuts;
+
+    messages = buildCommentMessages(buildSystemPrompt(fitted.options), buildUserPrompt(fitted.options));
+  }
+
+  const maxLength = platformPrompt?.max_length || null;
+
+  // Call AI provider
+  const result = await generateCommentOptions(messages, {
+    temperature: 0.8,
+    maxTokens: COMPLETION_MAX_TOKENS,
+    maxLength,
+    platform,
+    providerId,
+    stream,
+    signal,
+    onDelta: onPartialOptions && ((_delta, partialContent) => {
+      onPartialOptions(parsePartialCommentOptions(partialContent, maxLength, platform));
+    }),
+    onReset,
+  });
+
+  // Options are validated (or heuristically parsed) with max length enforcement
+  if (result.options.length === 0) {
+    throw new Error('Failed to parse comment options from AI response');
+  }
+
+  // Flag options that break the prompt's rules, rewriting them if asked to
+  const guardrailRules = getGuardrailRules(platformPrompt, {
+    platform,
+    includeCta,
+    existingComments,
+    bannedWords: client.banned_words,
+  });
+  let parsedOptions = applyGuardrails(result.options, guardrailRules);
+  let usage = result.usage || null;
+  let estimatedCost = result.estimatedCost;
+  let guardrailFixes = 0;
+
+  if (autoFixGuardrails && parsedOptions.some(opt => opt.guardrails.violations.length > 0)) {
+    const fix = await fixGuardrailViolations(parsedOptions, {
+      messages,
+      rules: guardrailRules,
+      maxLength,
+      platform,
+      providerId: result.providerId,
+      signal,
+    });
+    parsedOptions = fix.options;
+    guardrailFixes = fix.fixedCount;
+    usage = combineUsage(usage, fix.usage);
+    estimatedCost = estimatedCost === null || fix.estimatedCost === null
+      ? null
+      : estimatedCost + fix.estimatedCost;
+  }
+
+  // Flag options that repeat a comment the client already posted
+  const postingHistory = await loadPostingHistory(client);
+  if (postingHistory.history.length > 0) {
+    parsedOptions = flagDuplicates(parsedOptions, postingHistory.history, { threshold: postingHistory.threshold });
+  }
+
+  // Save to database
+  const generationTime = Date.now() - startTime;
+  const generation = await saveGeneratedComments({
+    client_id: client.id,
+    platform,
+    source_content: content,
+    source_url: sourceUrl || null,
+    existing_comments: existingComments || null,
+    poster_info: posterInfo || null,
+    hashtags: hashtags || null,
+    include_cta: includeCta,
+    cta_id: includeCta ? resolveCta(client, ctaId)?.id || null : null,
+    num_options: numOptions,
+    language,
+    generated_options: parsedOptions,
+    ai_provider_used: result.provider,
+    ai_model_used: result.model,
+    generation_time_ms: generationTime,
+    prompt_tokens: usage?.prompt_tokens ?? null,
+    completion_tokens: usage?.completion_tokens ?? null,
+    estimated_cost_usd: estimatedCost,
+    template_version_id: templateSource === 'organization' && !variantTemplate ? versionIds.templateVersionId : null,
+    platform_prompt_version_id: platformPromptSource === 'organization' ? versionIds.platformPromptVersionId : null,
+    experiment_id: variant?.experiment_id || null,
+    experiment_variant_id: variant?.id || null,
+  });
+
+  return {
+    options: parsedOptions,
+    generation,
+    meta: {
+      provider: result.provider,
+      model: result.model,
+      generationTime,
+      usage,
+      estimatedCost,
+      language,
+      languageDetected,
+      promptCuts,
+      guardrailFixes,
+      screening: {
+        injections: screening.injections,
+        pii: screening.pii,
+        redacted: screening.redacted,
+      },
+    },
+    // Reused when refining options
+    context: {
+      messages,
+      maxLength,
+      platform,
+      providerId,
+      guardrailRules,
+      postingHistory,
+      promptTokens: generation.prompt_tokens,
+      completionTokens: generation.completion_tokens,
+      estimatedCost: generation.estimated_cost_usd,
+    },
+  };
+}
+
+/**
+ * User-facing message for a failed generation
+ */
+function getGenerationErrorMessage(err) {
+  if (err instanceof BlockedContentError) {
+    return err.message;
+  }
+  if (err instanceof TemplateError) {
+    return `Prompt template error: ${err.message}. Fix it in Settings > System Prompt.`;
+  }
+  if (err instanceof AIError) {
+    if (err.code === 'NO_PROVIDERS') {
+      return 'No AI providers configured. Please add one in Settings.';
+    }
+    if (err.code === 'ALL_FAILED') {
+      return 'All AI providers failed. Please check your API keys.';
+    }
+    return err.message;
+  }
+  return err.message || 'Failed to generate comments';
+}
+
 /**
  * Main hook for comment generation
  */
@@ -25,26 +450,22 @@ export function useGenerator() {
   const { organization } = useAuth();
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  // The error is a do-not-engage rule rather than a failure
+  const [blocked, setBlocked] = useState(false);
   const [options, setOptions] = useState([]);
   const [generationId, setGenerationId] = useState(null);
   const [generationMeta, setGenerationMeta] = useState(null);
+  const [streaming, setStreaming] = useState(false);
+  const [refiningIndex, setRefiningIndex] = useState(null);
+  const abortRef = useRef(null);
+  // Messages and settings of the last generation, reused when refining options
+  const contextRef = useRef(null);
 
   /**
    * Generate comments for given input
    */
   const generate = useCallback(async (input) => {
-    const {
-      client,
-      platform,
-      content,
-      existingComments,
-      posterInfo,
-      hashtags,
-      numOptions = 3,
-      includeCta = false,
-      providerId,
-      customFullPrompt,
-    } = input;
+    const { client, platform, content, stream = true } = input;
 
     if (!client) {
       toast.error('Please select a client');
@@ -63,128 +484,177 @@ export function useGenerator() {
 
     setLoading(true);
     setError(null);
+    setBlocked(false);
     setOptions([]);
     setGenerationId(null);
+    contextRef.current = null;
 
-    const startTime = Date.now();
+    const controller = new AbortController();
+    abortRef.current = controller;
 
     try {
-      // Get platform-specific prompt (custom or default)
-      let platformPrompt;
-      try {
-        platformPrompt = await getPlatformPrompt(platform);
-      } catch {
-        platformPrompt = getPlatformPromptDefaults(platform);
-      }
-
-      // Load custom system prompt template if available
-      let customTemplate = null;
-      if (organization?.id) {
-        try {
-          customTemplate = await getSystemPromptTemplate(organization.id);
-        } catch (err) {
-          console.error('Error loading custom template:', err);
+      // Render options as soon as each one is complete
+      let streamedCount = 0;
+      const { options: parsedOptions, generation, meta, context } = await runGeneration(
+        { ...input, stream },
+        {
+          organizationId: organization?.id,
+          signal: controller.signal,
+          onPartialOptions: (partialOptions) => {
+            if (partialOptions.length > streamedCount) {
+              streamedCount = partialOptions.length;
+              setStreaming(true);
+              setOptions(partialOptions);
+            }
+          },
+          onReset: () => {
+            // Provider failed mid-stream; discard partial options before fallback
+            streamedCount = 0;
+            setOptions([]);
+          },
         }
-      }
-
-      // Build prompts or use custom full prompt
-      let messages;
-      if (customFullPrompt) {
-        // Parse custom full prompt (format: "system prompt\n---\nuser prompt")
-        const parts = customFullPrompt.split('---');
-        const systemPrompt = parts[0]?.trim() || '';
-        const userPrompt = parts[1]?.trim() || '';
-        messages = buildCommentMessages(systemPrompt, userPrompt);
-      } else {
-        // Build prompts normally
-        const systemPrompt = buildSystemPrompt({
-          client,
-          platform,
-          platformPrompt,
-          includeCta,
-          customTemplate,
-        });
-
-        const userPrompt = buildUserPrompt({
-          content,
-          existingComments,
-          posterInfo,
-          hashtags,
-          numOptions,
-          includeCta,
-        });
-
-        messages = buildCommentMessages(systemPrompt, userPrompt);
-      }
-
-      // Call AI provider
-      const result = await generateCompletion(messages, {
-        temperature: 0.8,
-        maxTokens: 1500,
-        providerId,
-      });
-
-      // Parse the response with max length enforcement
-      const maxLength = platformPrompt?.max_length || null;
-      const parsedOptions = parseCommentOptions(result.content, maxLength);
-
-      if (parsedOptions.length === 0) {
-        throw new Error('Failed to parse comment options from AI response');
-      }
-
-      // Save to database
-      const generationTime = Date.now() - startTime;
-      const savedGeneration = await saveGeneratedComments({
-        client_id: client.id,
-        platform,
-        source_content: content,
-        existing_comments: existingComments || null,
-        poster_info: posterInfo || null,
-        hashtags: hashtags || null,
-        include_cta: includeCta,
-        num_options: numOptions,
-        generated_options: parsedOptions,
-        ai_provider_used: result.provider,
-        generation_time_ms: generationTime,
-      });
+      );
 
+      contextRef.current = context;
       setOptions(parsedOptions);
-      setGenerationId(savedGeneration.id);
-      setGenerationMeta({
-        provider: result.provider,
-        model: result.model,
-        generationTime,
-      });
+      setGenerationId(generation.id);
+      setGenerationMeta(meta);
 
       toast.success(`Generated ${parsedOptions.length} comment options`);
       return { success: true, options: parsedOptions };
 
     } catch (err) {
+      if (err instanceof AIError && err.code === 'CANCELLED') {
+        setOptions([]);
+        toast.info('Generation cancelled');
+        return { success: false, cancelled: true };
+      }
+
+      if (err instanceof BlockedContentError) {
+        setBlocked(true);
+        setError(err.message);
+        toast.warning(err.message);
+        return { success: false, blocked: true, error: err.message, matches: err.matches };
+      }
+
       console.error('Generation error:', err);
       
-      let errorMessage = 'Failed to generate comments';
-      
-      if (err instanceof AIError) {
-        if (err.code === 'NO_PROVIDERS') {
-          errorMessage = 'No AI providers configured. Please add one in Settings.';
-        } else if (err.code === 'ALL_FAILED') {
-          errorMessage = 'All AI providers failed. Please check your API keys.';
-        } else {
-          errorMessage = err.message;
-        }
-      } else if (err.message) {
-        errorMessage = err.message;
-      }
+      const errorMessage = getGenerationErrorMessage(err);
 
       setError(errorMessage);
       toast.error(errorMessage);
+      setOptions([]);
       return { success: false, error: errorMessage };
 
     } finally {
+      abortRef.current = null;
+      setStreaming(false);
       setLoading(false);
     }
   }, [organization]);
 
+  /**
+   * Cancel the generation in progress
+   */
+  const cancel = useCallback(() => {
+    abortRef.current?.abort();
+  }, []);
+
+  /**
+   * Rewrite a single option with a follow-up turn
+   * @param {number} optionIndex - Option to replace
+   * @param {{ action?: string, instruction?: string }} refinement - A REFINE_ACTIONS key
+   *   and/or a free-text instruction
+   */
+  const refineOption = useCallback(async (optionIndex, { action, instruction } = {}) => {
+    const context = contextRef.current;
+    const current = options[optionIndex];
+    if (!context || !generationId || !current) return { success: false };
+
+    const request = instruction?.trim() || REFINE_ACTIONS[action]?.instruction;
+    if (!request) {
+      toast.error('Tell the AI what to change');
+      return { success: false };
+    }
+
+    setRefiningIndex(optionIndex);
+
+    try {
+      const messages = buildRefineMessages(context.messages, options, optionIndex, request);
+      const result = await generateCommentOptions(messages, {
+        temperature: 0.8,
+        maxTokens: REWRITE_MAX_TOKENS,
+        maxLength: context.maxLength,
+        platform: context.platform,
+        providerId: context.providerId,
+      });
+
+      const [rewritten] = result.options;
+      if (!rewritten) {
+        throw new Error('Failed to parse the refined comment from AI response');
+      }
+
+      // Keep earlier versions on the option so history shows the revision chain
+      const { revisions = [], isUsed: _isUsed, isSaved: _isSaved, ...previous } = current;
+      const [checked] = flagDuplicates(
+        applyGuardrails([rewritten], context.guardrailRules),
+        context.postingHistory.history,
+        { threshold: context.postingHistory.threshold }
+      );
+      const revised = {
+        ...checked,
+        index: optionIndex,
+        style: current.style,
+        refinement: {
+          action: instruction?.trim() ? 'custom' : action,
+          instruction: request,
+          provider: result.provider,
+          model: result.model,
+          created_at: new Date().toISOString(),
+        },
+        revisions: [...revisions, previous],
+      };
+      const nextOptions = options.map((opt, idx) => idx === optionIndex ? revised : opt);
+
+      const promptTokens = (context.promptTokens || 0) + (result.usage?.prompt_tokens || 0);
+      const completionTokens = (context.completionTokens || 0) + (result.usage?.completion_tokens || 0);
+      const estimatedCost = context.estimatedCost === null || result.estimatedCost === null
+        ? null
+        : Number(context.estimatedCost || 0) + result.estimatedCost;
+
+      await updateGeneratedComments(generationId, {
+        generated_options: nextOptions,
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        estimated_cost_usd: estimatedCost,
+      });
+      contextRef.current = { ...context, promptTokens, completionTokens, estimatedCost };
+
+      setOptions(nextOptions);
+      toast.success('Comment updated');
+      return { success: true, option: revised };
+    } catch (err) {
+      console.error('Refine error:', err);
+      const errorMessage = err.message || 'Failed to refine comment';
+      toast.error(errorMessage);
+      return { success: false, error: errorMessage };
+    } finally {
+      setRefiningIndex(null);
+    }
+  }, [options, generationId]);
+
+  /**
+   * Ask the model to rewrite an option that was cut to the platform's max
+   * length, instead of posting the cut version
+   */
+  const shortenOption = useCallback((optionIndex) => {
+    const context = contextRef.current;
+    if (!context?.maxLength) return Promise.resolve({ success: false });
+    return refineOption(optionIndex, {
+      instruction: buildShortenInstruction(context.maxLength, context.platform),
+    });
+  }, [refineOption]);
+
   /**
    * Mark an option as used
    */
@@ -241,6 +711,10 @@ export function useGenerator() {
       hashtags,
       numOptions = 3,
       includeCta = false,
+      ctaId = null,
+      language: selectedLanguage,
+      includeTranslation = false,
+      redactPii = false,
     } = input;
 
     if (!client || !platform || !content?.trim()) {
@@ -249,35 +723,26 @@ export function useGenerator() {
     }
 
     try {
-      // Get platform-specific prompt (custom or default) - same as generate()
-      let platformPrompt;
-      try {
-        platformPrompt = await getPlatformPrompt(platform);
-      } catch {
-        platformPrompt = getPlatformPromptDefaults(platform);
-      }
-
-      // Load custom system prompt template if available
-      let customTemplate = null;
-      if (organization?.id) {
-        try {
-          customTemplate = await getSystemPromptTemplate(organization.id);
-        } catch (err) {
-          console.error('Error loading custom template:', err);
-        }
-      }
+      // Same template resolution as generate()
+      const { customTemplate, platformPrompt, learnedExamples } = await loadPromptSettings(client, platform, organization?.id);
+      const { language } = resolveLanguage(selectedLanguage || client.default_language, { client, content });
+      const { fields: screened } = screenPost({ content, existingComments, posterInfo }, { redactPii });
 
       const prompt = generateClipboardPrompt({
         client,
         platform,
         platformPrompt,
-        content,
-        existingComments,
-        posterInfo,
+        content: screened.content,
+        existingComments: screened.existingComments,
+        posterInfo: screened.posterInfo,
         hashtags,
         numOptions,
         includeCta,
+        ctaId,
         customTemplate,
+        learnedExamples,
+        language,
+        includeTranslation,
       });
 
       const success = await copyToClipboard(prompt);
@@ -302,20 +767,28 @@ export function useGenerator() {
   const clear = useCallback(() => {
     setOptions([]);
     setError(null);
+    setBlocked(false);
     setGenerationId(null);
     setGenerationMeta(null);
+    contextRef.current = null;
   }, []);
 
   return {
     // State
     loading,
+    streaming,
     error,
+    blocked,
     options,
     generationId,
     generationMeta,
+    refiningIndex,
     
     // Actions
     generate,
+    cancel,
+    refineOption,
+    shortenOption,
     markAsUsed,
     copyOption,
     generatePromptForClipboard,
@@ -325,4 +798,347 @@ export function useGenerator() {
   };
 }
 
+// Clients generated in parallel by useFanOutGenerator
+const FAN_OUT_CONCURRENCY = 2;
+
+/**
+ * Generate comments for several clients on the same post
+ *
+ * Each client gets its own saved generation. Results are grouped by client,
+ * and `similarities` lists options from different clients that are too
+ * alike to post in the same thread.
+ */
+export function useFanOutGenerator() {
+  const { organization } = useAuth();
+  const [loading, setLoading] = useState(false);
+  const [results, setResults] = useState([]);
+  const abortRef = useRef(null);
+
+  const updateResult = useCallback((clientId, update) => {
+    setResults(prev => prev.map(r => r.clientId === clientId ? { ...r, ...update } : r));
+  }, []);
+
+  /**
+   * Generate for every client (ids or { id, name } objects) with the same input
+   */
+  const generateForClients = useCallback(async (clients, input) => {
+    const { platform, content } = input;
+
+    if (!clients?.length) {
+      toast.error('Please select at least one client');
+      return { success: false };
+    }
+
+    if (!platform) {
+      toast.error('Please select a platform');
+      return { success: false };
+    }
+
+    if (!content?.trim()) {
+      toast.error('Please enter content to respond to');
+      return { success: false };
+    }
+
+    const targets = clients.map(c => typeof c === 'string' ? { id: c } : c);
+    setLoading(true);
+    setResults(targets.map(c => ({
+      clientId: c.id,
+      clientName: c.name || '',
+      status: 'pending',
+      options: [],
+      generationId: null,
+      meta: null,
+      error: null,
+    })));
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+
+    try {
+      const outcomes = await mapWithConcurrency(targets, FAN_OUT_CONCURRENCY, async (target) => {
+        if (controller.signal.aborted) {
+          updateResult(target.id, { status: 'cancelled' });
+          return false;
+        }
+
+        updateResult(target.id, { status: 'generating' });
+        try {
+          const client = await getClient(target.id);
+          updateResult(target.id, { clientName: client.name });
+
+          const { options, generation, meta } = await runGeneration(
+            { ...input, client, stream: false },
+            { organizationId: organization?.id, signal: controller.signal }
+          );
+
+          updateResult(target.id, { status: 'done', options, generationId: generation.id, meta });
+          return true;
+        } catch (err) {
+          if (err instanceof AIError && err.code === 'CANCELLED') {
+            updateResult(target.id, { status: 'cancelled' });
+            return false;
+          }
+          console.error('Generation error:', err);
+          updateResult(target.id, { status: 'error', error: getGenerationErrorMessage(err) });
+          return false;
+        }
+      });
+
+      const succeeded = outcomes.filter(Boolean).length;
+      if (controller.signal.aborted) {
+        toast.info('Generation cancelled');
+      } else if (succeeded === targets.length) {
+        toast.success(`Generated comments for ${succeeded} clients`);
+      } else {
+        toast.warning(`Generated comments for ${succeeded} of ${targets.length} clients`);
+      }
+      return { success: succeeded > 0 };
+    } finally {
+      abortRef.current = null;
+      setLoading(false);
+    }
+  }, [organization, updateResult]);
+
+  /**
+   * Cancel generations in progress (finished clients are kept)
+   */
+  const cancel = useCallback(() => {
+    abortRef.current?.abort();
+  }, []);
+
+  /**
+   * Mark one client's option as used
+   */
+  const markAsUsed = useCallback(async (clientId, optionIndex, optionStyle) => {
+    const result = results.find(r => r.clientId === clientId);
+    if (!result?.generationId) return;
+
+    try {
+      await markCommentAsUsed(result.generationId, optionIndex, optionStyle);
+      updateResult(clientId, {
+        options: result.options.map((opt, idx) => idx === optionIndex ? { ...opt, isUsed: true } : opt),
+      });
+      toast.success('Comment marked as used');
+    } catch (err) {
+      console.error('Error marking as used:', err);
+      toast.error('Failed to mark as used');
+    }
+  }, [results, updateResult]);
+
+  /**
+   * Clear all results
+   */
+  const clear = useCallback(() => {
+    setResults([]);
+  }, []);
+
+  const similarities = useMemo(
+    () => findCrossClientSimilarities(results.filter(r => r.status === 'done')),
+    [results]
+  );
+
+  return {
+    loading,
+    results,
+    similarities,
+    generateForClients,
+    cancel,
+    markAsUsed,
+    clear,
+  };
+}
+
+// Rows generated in parallel by useBatchGenerator
+const BATCH_CONCURRENCY = 2;
+
+/**
+ * Generate comments for a batch of posts (see lib/batch.js)
+ *
+ * Rows run through the same pipeline as single generations, a few at a
+ * time, and each result is saved to history as it completes.
+ */
+export function useBatchGenerator() {
+  const { organization } = useAuth();
+  const [running, setRunning] = useState(false);
+  const [items, setItems] = useState([]);
+  const abortRef = useRef(null);
+
+  const updateItem = useCallback((rowNumber, update) => {
+    setItems(prev => prev.map(item => item.rowNumber === rowNumber ? { ...item, ...update } : item));
+  }, []);
+
+  /**
+   * Run a batch of resolved rows
+   * @param {Array} rows - Valid rows from resolveBatchRows
+   * @param {{ numOptions?: number, includeCta?: boolean, providerId?: string, language?: string, includeTranslation?: boolean, autoFixGuardrails?: boolean, redactPii?: boolean }} settings
+   */
+  const run = useCallback(async (rows, settings = {}) => {
+    if (!rows?.length) {
+      toast.error('No valid rows to generate');
+      return { success: false };
+    }
+
+    setRunning(true);
+    setItems(rows.map(row => ({
+      ...row,
+      status: 'pending',
+      options: [],
+      generationId: null,
+      meta: null,
+      error: null,
+    })));
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+
+    // Load each client's keywords and samples once per batch
+    const clientCache = new Map();
+    const loadClient = (clientId) => {
+      if (!clientCache.has(clientId)) {
+        clientCache.set(clientId, getClient(clientId));
+      }
+      return clientCache.get(clientId);
+    };
+
+    try {
+      const outcomes = await mapWithConcurrency(rows, BATCH_CONCURRENCY, async (row) => {
+        if (controller.signal.aborted) {
+          updateItem(row.rowNumber, { status: 'cancelled' });
+          return false;
+        }
+
+        updateItem(row.rowNumber, { status: 'generating' });
+        try {
+          const client = await loadClient(row.client.id);
+          const { options, generation, meta } = await runGeneration(
+            {
+              client,
+              platform: row.platform,
+              content: row.content,
+              existingComments: row.existingComments,
+              posterInfo: row.posterInfo,
+              sourceUrl: row.sourceUrl,
+              hashtags: row.hashtags,
+              numOptions: settings.numOptions,
+              includeCta: settings.includeCta,
+              language: settings.language,
+              includeTranslation: settings.includeTranslation,
+              autoFixGuardrails: settings.autoFixGuardrails,
+              redactPii: settings.redactPii,
+              providerId: settings.providerId,
+              stream: false,
+            },
+            { organizationId: organization?.id, signal: controller.signal }
+          );
+
+          updateItem(row.rowNumber, { status: 'done', options, generationId: generation.id, meta });
+          return true;
+        } catch (err) {
+          if (err instanceof AIError && err.code === 'CANCELLED') {
+            updateItem(row.rowNumber, { status: 'cancelled' });
+            return false;
+          }
+          console.error(`Batch row ${row.rowNumber} failed:`, err);
+          updateItem(row.rowNumber, { status: 'error', error: getGenerationErrorMessage(err) });
+          return false;
+        }
+      });
+
+      const succeeded = outcomes.filter(Boolean).length;
+      if (controller.signal.aborted) {
+        toast.info(`Batch cancelled after ${succeeded} posts`);
+      } else if (succeeded === rows.length) {
+        toast.success(`Generated comments for ${succeeded} posts`);
+      } else {
+        toast.warning(`Generated comments for ${succeeded} of ${rows.length} posts`);
+      }
+      return { success: succeeded > 0, succeeded };
+    } finally {
+      abortRef.current = null;
+      setRunning(false);
+    }
+  }, [organization, updateItem]);
+
+  /**
+   * Stop the batch; rows already generated are kept
+   */
+  const cancel = useCallback(() => {
+    abortRef.current?.abort();
+  }, []);
+
+  /**
+   * Mark an option of one row as used
+   */
+  const markAsUsed = useCallback(async (rowNumber, optionIndex, optionStyle) => {
+    const item = items.find(i => i.rowNumber === rowNumber);
+    if (!item?.generationId) return;
+
+    try {
+      await markCommentAsUsed(item.generationId, optionIndex, optionStyle);
+      updateItem(rowNumber, {
+        options: item.options.map((opt, idx) => idx === optionIndex ? { ...opt, isUsed: true } : opt),
+      });
+      toast.success('Comment marked as used');
+    } catch (err) {
+      console.error('Error marking as used:', err);
+      toast.error('Failed to mark as used');
+    }
+  }, [items, updateItem]);
+
+  /**
+   * Clear the batch
+   */
+  const clear = useCallback(() => {
+    setItems([]);
+  }, []);
+
+  const progress = useMemo(() => {
+    const finished = items.filter(i => ['done', 'error', 'cancelled'].includes(i.status)).length;
+    return {
+      total: items.length,
+      finished,
+      succeeded: items.filter(i => i.status === 'done').length,
+      failed: items.filter(i => i.status === 'error').length,
+    };
+  }, [items]);
+
+  return {
+    running,
+    items,
+    progress,
+    run,
+    cancel,
+    markAsUsed,
+    clear,
+  };
+}
+
+/**
+ * Hook for showing which template and platform prompt a generation will use
+ */
+export function usePromptSettings(client, platform) {
+  const { organization } = useAuth();
+  const [settings, setSettings] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!client || !platform) {
+      setSettings(null);
+      return;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    loadPromptSettings(client, platform, organization?.id)
+      .then(result => !cancelled && setSettings(result))
+      .finally(() => !cancelled && setLoading(false));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [client, platform, organization?.id]);
+
+  return { settings, loading };
+}
+
 export default useGenerator;
@@ -5,7 +5,8 @@
  */
 
 import { useState, useEffect, useCallback, useMemo } from 'react';
-import { getGeneratedComments, getCommentStats } from '../lib/supabase';
+import { getGeneratedComments, getCommentStats, getGenerationUsage } from '../lib/supabase';
+import { rollupUsage } from '../lib/usageReport';
 import { getCached, setCached } from '../lib/cache';
 import { toast } from '../components/ui/Toast';
 
@@ -14,6 +15,7 @@ import { toast } from '../components/ui/Toast';
  */
 export function useHistory(options = {}) {
   const {
+    generationId = null,
     clientId = null,
     platform = null,
     limit = 50,
@@ -28,7 +30,7 @@ export function useHistory(options = {}) {
   const fetchHistory = useCallback(async (offset = 0) => {
     try {
       // Return cached data immediately if available (no loading for offset 0)
-      const cacheKey = `history_${clientId}_${platform}`;
+      const cacheKey = generationId ? `history_generation_${generationId}` : `history_${clientId}_${platform}`;
       const cached = getCached(cacheKey);
       
       if (offset === 0 && cached) {
@@ -44,6 +46,7 @@ export function useHistory(options = {}) {
       try {
         const data = await Promise.race([
           getGeneratedComments({
+            generationId,
             clientId,
             platform,
             limit: limit + 1,
@@ -78,7 +81,7 @@ export function useHistory(options = {}) {
     } finally {
       setLoading(false);
     }
-  }, [clientId, platform, limit]);
+  }, [generationId, clientId, platform, limit]);
 
   useEffect(() => {
     if (autoFetch) {
@@ -235,6 +238,50 @@ export function useGenerationStats() {
   };
 }
 
+/**
+ * Hook for token usage and cost, rolled up per month and client
+ */
+export function useUsageReport(options = {}) {
+  const { months = 6 } = options;
+
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchUsage = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      // Start of the month, `months - 1` months ago
+      const since = new Date();
+      since.setMonth(since.getMonth() - (months - 1), 1);
+      since.setHours(0, 0, 0, 0);
+
+      const data = await getGenerationUsage(since);
+      setRows(data || []);
+    } catch (err) {
+      console.error('Error fetching usage report:', err);
+      setError(err.message);
+      toast.error('Failed to load usage report');
+    } finally {
+      setLoading(false);
+    }
+  }, [months]);
+
+  useEffect(() => {
+    fetchUsage();
+  }, [fetchUsage]);
+
+  const report = useMemo(() => rollupUsage(rows), [rows]);
+
+  return {
+    report,
+    loading,
+    error,
+    refetch: fetchUsage,
+  };
+}
+
 /**
  * Hook for dashboard data aggregation
  */
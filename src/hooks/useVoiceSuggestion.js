@@ -0,0 +1,71 @@
+/**
+ * useVoiceSuggestion Hook
+ *
+ * Custom hook for deriving a client's voice prompt, target audience and
+ * keywords from its sample comments and optional website copy.
+ */
+
+import { useState, useCallback } from 'react';
+import { generateCompletion, AIError } from '../lib/ai';
+import { buildVoiceSuggestionPrompt } from '../lib/prompts';
+import { parseVoiceSuggestion } from '../lib/voiceSuggestion';
+import { toast } from '../components/ui/Toast';
+
+export function useVoiceSuggestion() {
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [suggestion, setSuggestion] = useState(null);
+
+  /**
+   * Ask the AI for a suggestion
+   * @param {object} client - Client with sample_comments and keywords
+   * @param {string} [websiteCopy] - Pasted text from the client's website
+   */
+  const suggest = useCallback(async (client, websiteCopy = '') => {
+    if (!client?.sample_comments?.length && !websiteCopy.trim()) {
+      toast.error('Add sample comments or paste website copy first');
+      return { success: false };
+    }
+
+    setLoading(true);
+    setError(null);
+    setSuggestion(null);
+
+    try {
+      const prompt = buildVoiceSuggestionPrompt(client, websiteCopy);
+      const result = await generateCompletion(
+        [{ role: 'user', content: prompt }],
+        { temperature: 0.4, maxTokens: 1000, jsonMode: true }
+      );
+
+      const parsed = parseVoiceSuggestion(result.content);
+      setSuggestion(parsed);
+      return { success: true, suggestion: parsed };
+    } catch (err) {
+      console.error('Voice suggestion error:', err);
+      const errorMessage = err instanceof AIError
+        ? `AI unavailable: ${err.message}`
+        : err.message || 'Failed to suggest a voice';
+      setError(errorMessage);
+      toast.error(errorMessage);
+      return { success: false, error: errorMessage };
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const clear = useCallback(() => {
+    setSuggestion(null);
+    setError(null);
+  }, []);
+
+  return {
+    loading,
+    error,
+    suggestion,
+    suggest,
+    clear,
+  };
+}
+
+export default useVoiceSuggestion;
@@ -0,0 +1,410 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+vi.mock('../supabase', () => ({
+  getAIProviders: vi.fn(async () => [
+    {
+      id: 'p1',
+      provider_name: 'Groq',
+      api_base_url: 'https://api.groq.com/openai/v1',
+      has_api_key: true,
+      model_name: 'llama',
+      is_active: true,
+      is_default: true,
+      fallback_order: 1,
+    },
+    {
+      id: 'p2',
+      provider_name: 'Anthropic',
+      api_base_url: 'https://api.anthropic.com/v1',
+      has_api_key: true,
+      model_name: 'claude',
+      is_active: true,
+      is_default: false,
+      fallback_order: 2,
+    },
+  ]),
+  getDefaultAIProvider: vi.fn(),
+  getAIChatLinks: vi.fn(),
+  getSession: vi.fn(async () => ({ access_token: 'session-token' })),
+  getAIProviderUsageToday: vi.fn(async () => []),
+  recordAIProviderUsage: vi.fn(async () => {}),
+}));
+
+import { getAIProviders, getAIProviderUsageToday, recordAIProviderUsage } from '../supabase';
+import { generateCompletion, generateCommentOptions, parsePartialCommentOptions, fetchLocalModels, listModels } from '../ai';
+import { recordProviderFailure, getProviderHealth } from '../providerHealth';
+
+// Build a streaming Response from a list of SSE chunks
+function sseResponse(chunks) {
+  const encoder = new TextEncoder();
+  const body = new ReadableStream({
+    start(controller) {
+      chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)));
+      controller.close();
+    },
+  });
+  return new Response(body, { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+}
+
+describe('parsePartialCommentOptions', () => {
+  it('returns only the options that are complete', () => {
+    const partial = '[{"style": "brief", "text": "Done {one}"}, {"style": "question", "text": "Still wri';
+    const options = parsePartialCommentOptions(partial);
+
+    expect(options).toHaveLength(1);
+    expect(options[0]).toMatchObject({ index: 0, style: 'brief', text: 'Done {one}' });
+  });
+
+  it('handles escaped quotes inside strings', () => {
+    const options = parsePartialCommentOptions('[{"text": "She said \\"hi\\" {"}]');
+    expect(options[0].text).toBe('She said "hi" {');
+  });
+});
+
+describe('generateCompletion streaming', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    vi.stubGlobal('fetch', vi.fn());
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('emits OpenAI-compatible deltas split across chunks', async () => {
+    fetch.mockResolvedValueOnce(sseResponse([
+      'data: {"choices":[{"delta":{"content":"Hel"}}]}\n\n',
+      'data: {"choices":[{"delta":{"content":"lo"}}]}\n',
+      '\ndata: {"choices":[],"x_groq":{"usage":{"total_tokens":7}}}\n\ndata: [DONE]\n\n',
+    ]));
+
+    const onDelta = vi.fn();
+    const result = await generateCompletion([{ role: 'user', content: 'hi' }], {
+      stream: true,
+      onDelta,
+    });
+
+    expect(result.content).toBe('Hello');
+    expect(result.usage).toEqual({ total_tokens: 7 });
+    expect(onDelta).toHaveBeenLastCalledWith('lo', 'Hello');
+
+    // Requests go through the proxy with the session token, never a provider key
+    const [url, init] = fetch.mock.calls[0];
+    const envelope = JSON.parse(init.body);
+    expect(url).toBe('/api/ai/forward');
+    expect(init.headers.Authorization).toBe('Bearer session-token');
+    expect(envelope).toMatchObject({ provider_id: 'p1', path: '/chat/completions' });
+    expect(envelope.body.stream).toBe(true);
+  });
+
+  it('resets partial output and falls back when a stream fails mid-way', async () => {
+    fetch
+      .mockResolvedValueOnce(sseResponse([
+        'data: {"choices":[{"delta":{"content":"partial"}}]}\n\n',
+        'data: {"error":{"message":"upstream crashed"}}\n\n',
+      ]))
+      .mockResolvedValueOnce(sseResponse([
+        'event: message_start\ndata: {"type":"message_start","message":{"usage":{"input_tokens":3,"output_tokens":1}}}\n\n',
+        'event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"text":"fallback"}}\n\n',
+        'event: message_delta\ndata: {"type":"message_delta","usage":{"output_tokens":4}}\n\n',
+      ]));
+
+    const onReset = vi.fn();
+    const result = await generateCompletion([{ role: 'user', content: 'hi' }], {
+      stream: true,
+      onDelta: vi.fn(),
+      onReset,
+      maxRetries: 1,
+      retryDelay: 0,
+    });
+
+    expect(onReset).toHaveBeenCalledTimes(1);
+    expect(result.provider).toBe('Anthropic');
+    expect(result.content).toBe('fallback');
+    expect(result.usage).toEqual({ prompt_tokens: 3, completion_tokens: 4, total_tokens: 7 });
+    expect(JSON.parse(fetch.mock.calls[1][1].body)).toMatchObject({ provider_id: 'p2', path: '/messages' });
+  });
+
+  it('stops the chain without fallback when cancelled', async () => {
+    const controller = new AbortController();
+    fetch.mockImplementation((url, { signal }) => new Promise((_, reject) => {
+      signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+      setTimeout(() => controller.abort(), 0);
+    }));
+
+    const pending = generateCompletion([{ role: 'user', content: 'hi' }], {
+      stream: true,
+      signal: controller.signal,
+    });
+
+    await expect(pending).rejects.toMatchObject({ code: 'CANCELLED' });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('cancels during the wait between retries without waiting it out', async () => {
+    const controller = new AbortController();
+    fetch.mockImplementation(() => {
+      setTimeout(() => controller.abort(), 0);
+      return Promise.resolve(new Response(JSON.stringify({ error: { message: 'overloaded' } }), { status: 500 }));
+    });
+
+    const pending = generateCompletion([{ role: 'user', content: 'hi' }], {
+      signal: controller.signal,
+      retryDelay: 60000,
+    });
+
+    await expect(pending).rejects.toMatchObject({ code: 'CANCELLED' });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('local providers', () => {
+  beforeEach(() => {
+    vi.stubGlobal('fetch', vi.fn());
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('calls a keyless local provider directly instead of the proxy', async () => {
+    getAIProviders.mockResolvedValueOnce([
+      {
+        id: 'local',
+        provider_name: 'Ollama',
+        api_base_url: 'http://localhost:11434/v1',
+        model_name: 'llama3.2',
+        is_active: true,
+        is_local: true,
+        has_api_key: false,
+        fallback_order: 1,
+      },
+    ]);
+    fetch.mockResolvedValueOnce(new Response(JSON.stringify({
+      choices: [{ message: { content: 'local draft' } }],
+    }), { status: 200 }));
+
+    const result = await generateCompletion([{ role: 'user', content: 'hi' }]);
+
+    const [url, init] = fetch.mock.calls[0];
+    expect(result.content).toBe('local draft');
+    expect(url).toBe('http://localhost:11434/v1/chat/completions');
+    expect(init.headers.Authorization).toBeUndefined();
+    expect(JSON.parse(init.body).model).toBe('llama3.2');
+  });
+
+  it('falls back to Ollama /api/tags for model discovery', async () => {
+    fetch
+      .mockResolvedValueOnce(new Response('not found', { status: 404 }))
+      .mockResolvedValueOnce(new Response(JSON.stringify({
+        models: [{ name: 'qwen2.5:7b' }, { name: 'llama3.2:latest' }],
+      }), { status: 200 }));
+
+    const models = await fetchLocalModels('http://localhost:11434/v1/');
+
+    expect(fetch.mock.calls[1][0]).toBe('http://localhost:11434/api/tags');
+    expect(models.map(m => m.value)).toEqual(['llama3.2:latest', 'qwen2.5:7b']);
+  });
+});
+
+describe('listModels', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    vi.stubGlobal('fetch', vi.fn());
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  const groq = { id: 'p1', api_base_url: 'https://api.groq.com/openai/v1', has_api_key: true, is_free: true };
+
+  it('lists models through the proxy, drops non-chat models and caches the result', async () => {
+    fetch.mockResolvedValueOnce(new Response(JSON.stringify({
+      data: [{ id: 'whisper-large-v3' }, { id: 'llama-3.3-70b-versatile' }],
+    }), { status: 200 }));
+
+    const models = await listModels(groq);
+    const cached = await listModels(groq);
+
+    expect(models).toEqual([{ value: 'llama-3.3-70b-versatile', label: 'llama-3.3-70b-versatile (Free)', isFree: true }]);
+    expect(cached).toEqual(models);
+    expect(fetch.mock.calls[0][0]).toBe('/api/ai/forward');
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).toMatchObject({ provider_id: 'p1', path: '/models', method: 'GET' });
+  });
+
+  it('caches per base URL, so a changed URL lists its models again', async () => {
+    const modelList = () => new Response(JSON.stringify({ data: [{ id: 'llama-3.3-70b-versatile' }] }), { status: 200 });
+    fetch.mockResolvedValueOnce(modelList()).mockResolvedValueOnce(modelList());
+
+    await listModels(groq);
+    await listModels({ ...groq, api_base_url: 'https://api.groq.com/v2' });
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('marks free OpenRouter models from pricing and lists them before a key is saved', async () => {
+    fetch.mockResolvedValueOnce(new Response(JSON.stringify({
+      data: [
+        { id: 'openai/gpt-4o', name: 'GPT-4o', pricing: { prompt: '0.0000025', completion: '0.00001' } },
+        { id: 'meta/llama:free', name: 'Llama', pricing: { prompt: '0', completion: '0' } },
+      ],
+    }), { status: 200 }));
+
+    const models = await listModels({ api_base_url: 'https://openrouter.ai/api/v1' });
+
+    expect(fetch.mock.calls[0][0]).toBe('https://openrouter.ai/api/v1/models');
+    expect(models.map(m => [m.value, m.isFree])).toEqual([['meta/llama:free', true], ['openai/gpt-4o', false]]);
+  });
+});
+
+describe('generateCompletion circuit breaker', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    vi.stubGlobal('fetch', vi.fn());
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  // p2 is Anthropic, so successful fallbacks use its response shape
+  const anthropicResponse = text => new Response(JSON.stringify({
+    content: [{ text }],
+  }), { status: 200 });
+
+  it('skips a tripped provider without calling it', async () => {
+    recordProviderFailure('p1', { code: 'AUTH_ERROR' });
+    fetch.mockResolvedValueOnce(anthropicResponse('from anthropic'));
+
+    const result = await generateCompletion([{ role: 'user', content: 'hi' }]);
+
+    expect(result.content).toBe('from anthropic');
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(getProviderHealth('p2').consecutiveFailures).toBe(0);
+  });
+
+  it('moves on after a 429 without retrying and respects Retry-After', async () => {
+    fetch
+      .mockResolvedValueOnce(new Response(JSON.stringify({ error: { message: 'slow down' } }), {
+        status: 429,
+        headers: { 'Retry-After': '90' },
+      }))
+      .mockResolvedValueOnce(anthropicResponse('fallback'));
+
+    const before = Date.now();
+    const result = await generateCompletion([{ role: 'user', content: 'hi' }], { retryDelay: 0 });
+
+    expect(result.content).toBe('fallback');
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(getProviderHealth('p1').cooldownUntil).toBeGreaterThanOrEqual(before + 90000);
+  });
+
+  it('fails fast when every provider is paused', async () => {
+    recordProviderFailure('p1', { code: 'AUTH_ERROR' });
+    recordProviderFailure('p2', { code: 'RATE_LIMIT', retryAfterMs: 60000 });
+
+    await expect(generateCompletion([{ role: 'user', content: 'hi' }]))
+      .rejects.toMatchObject({ code: 'ALL_TRIPPED' });
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
+
+describe('generateCompletion quotas', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    vi.stubGlobal('fetch', vi.fn());
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('routes past a provider whose daily budget is nearly used and records usage', async () => {
+    getAIProviders.mockResolvedValueOnce([
+      { id: 'p1', provider_name: 'Groq', api_base_url: 'https://api.groq.com/openai/v1', has_api_key: true, is_active: true, is_default: true, fallback_order: 1, daily_request_limit: 100 },
+      { id: 'p3', provider_name: 'Mistral', api_base_url: 'https://api.mistral.ai/v1', has_api_key: true, is_active: true, fallback_order: 2 },
+    ]);
+    getAIProviderUsageToday.mockResolvedValueOnce([{ provider_id: 'p1', request_count: 95, total_tokens: 0 }]);
+    fetch.mockResolvedValueOnce(new Response(JSON.stringify({
+      choices: [{ message: { content: 'ok' } }],
+      usage: { prompt_tokens: 5, completion_tokens: 2, total_tokens: 7 },
+    }), { status: 200 }));
+
+    const result = await generateCompletion([{ role: 'user', content: 'hi' }]);
+
+    expect(result.provider).toBe('Mistral');
+    expect(recordAIProviderUsage).toHaveBeenCalledWith('p3', { prompt_tokens: 5, completion_tokens: 2, total_tokens: 7 });
+  });
+});
+
+describe('generateCommentOptions', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    vi.stubGlobal('fetch', vi.fn());
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  const chatResponse = (content, usage) => new Response(JSON.stringify({
+    choices: [{ message: { content } }],
+    usage,
+  }), { status: 200 });
+
+  const forwardedBody = call => JSON.parse(fetch.mock.calls[call][1].body).body;
+
+  it('requests JSON mode and returns validated options', async () => {
+    fetch.mockResolvedValueOnce(chatResponse('{"options":[{"style":"Brief","text":"Nice one"}]}'));
+
+    const result = await generateCommentOptions([{ role: 'user', content: 'hi' }]);
+
+    expect(forwardedBody(0).response_format).toEqual({ type: 'json_object' });
+    expect(result.parseMode).toBe('json');
+    expect(result.options).toEqual([{ index: 0, style: 'brief', text: 'Nice one', charCount: 8 }]);
+  });
+
+  it('re-asks the same provider once with the validation errors', async () => {
+    fetch
+      .mockResolvedValueOnce(chatResponse('## Options\n\n1. Nice one', { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }))
+      .mockResolvedValueOnce(chatResponse('{"options":[{"text":"Nice one"}]}', { prompt_tokens: 20, completion_tokens: 5, total_tokens: 25 }));
+
+    const result = await generateCommentOptions([{ role: 'user', content: 'hi' }]);
+
+    expect(result.parseMode).toBe('repaired');
+    expect(result.options[0].text).toBe('Nice one');
+    expect(result.usage).toEqual({ prompt_tokens: 30, completion_tokens: 10, total_tokens: 40 });
+
+    const repairMessages = forwardedBody(1).messages;
+    expect(repairMessages).toHaveLength(3);
+    expect(repairMessages[2].content).toContain('not valid JSON');
+    expect(JSON.parse(fetch.mock.calls[1][1].body).provider_id).toBe('p1');
+  });
+
+  it('falls back to heuristics when the repair is still invalid', async () => {
+    fetch
+      .mockResolvedValueOnce(chatResponse('not json'))
+      .mockResolvedValueOnce(chatResponse('1. [brief] Nice one\n2. [question] Why?'));
+
+    const result = await generateCommentOptions([{ role: 'user', content: 'hi' }]);
+
+    expect(result.parseMode).toBe('heuristic');
+    expect(result.options.map(o => o.text)).toEqual(['Nice one', 'Why?']);
+  });
+
+  it('retries without response_format when the provider rejects it', async () => {
+    fetch
+      .mockResolvedValueOnce(new Response(JSON.stringify({
+        error: { message: 'response_format is not supported by this model' },
+      }), { status: 400 }))
+      .mockResolvedValueOnce(chatResponse('[{"style":"brief","text":"Nice one"}]'));
+
+    const result = await generateCommentOptions([{ role: 'user', content: 'hi' }], { maxRetries: 1 });
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(forwardedBody(1).response_format).toBeUndefined();
+    expect(result.provider).toBe('Groq');
+    expect(result.parseMode).toBe('json');
+  });
+});
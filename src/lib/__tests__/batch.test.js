@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { parseCSV, parseCSVRows, toCSV } from '../csv';
+import { parseBatchFile, resolveBatchRows } from '../batch';
+
+describe('parseCSVRows', () => {
+  it('handles quotes, escaped quotes, embedded newlines and CRLF', () => {
+    const rows = parseCSVRows('a,b\r\n"one, two","say ""hi""\nthere"\r\n\r\n');
+    expect(rows).toEqual([
+      ['a', 'b'],
+      ['one, two', 'say "hi"\nthere'],
+    ]);
+  });
+});
+
+describe('parseCSV', () => {
+  it('keys rows by lowercased header names', () => {
+    expect(parseCSV('\uFEFFClient, Platform\nAcme,linkedin')).toEqual([{ client: 'Acme', platform: 'linkedin' }]);
+  });
+
+  it('round-trips through toCSV', () => {
+    const rows = [{ client: 'Acme, Inc', content: 'He said "go"' }];
+    expect(parseCSV(toCSV(rows, ['client', 'content']))).toEqual(rows);
+  });
+});
+
+describe('parseBatchFile', () => {
+  it('reads JSON arrays and { posts } objects', () => {
+    const json = '{"posts":[{"Client":"Acme","hashtags":["#a","#b"]}]}';
+    expect(parseBatchFile(json, 'posts.json')).toEqual([{ client: 'Acme', hashtags: '#a #b' }]);
+  });
+
+  it('keeps listed existing comments apart', () => {
+    const json = '[{"existing_comments":["Love it!","Where is this?"]}]';
+    expect(parseBatchFile(json, 'posts.json')).toEqual([{ existing_comments: 'Love it!\n\nWhere is this?' }]);
+  });
+
+  it('rejects JSON without a list of posts', () => {
+    expect(() => parseBatchFile('{"rows":1}', 'posts.json')).toThrow(/posts/);
+  });
+});
+
+describe('resolveBatchRows', () => {
+  const clients = [{ id: 'c1', name: 'Acme Roofing' }];
+
+  it('matches clients by name or id and platforms by key or display name', () => {
+    const [byName, byId] = resolveBatchRows([
+      { client: 'acme roofing', platform: 'LinkedIn', content: 'Post', poster_info: 'Jane' },
+      { client: 'c1', platform: 'twitter', content: 'Post' },
+    ], clients);
+
+    expect(byName).toMatchObject({ rowNumber: 1, client: clients[0], platform: 'linkedin', posterInfo: 'Jane', errors: [] });
+    expect(byId).toMatchObject({ client: clients[0], platform: 'x', errors: [] });
+  });
+
+  it('reports every problem with a row', () => {
+    const [row] = resolveBatchRows([{ client: 'Nobody', platform: 'myspace' }], clients);
+    expect(row.errors).toEqual(['Unknown client "Nobody"', 'Unknown platform "myspace"', 'Missing content']);
+  });
+});
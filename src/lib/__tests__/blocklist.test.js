@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeBlockValue,
+  competitorRules,
+  rulesForClient,
+  findBlockMatches,
+  describeBlockMatch,
+} from '../blocklist';
+
+const rule = (rule_type, value, extra = {}) => ({ rule_type, value, client_id: null, reason: null, ...extra });
+
+describe('normalizeBlockValue', () => {
+  it('normalizes handles, communities and topics', () => {
+    expect(normalizeBlockValue('account', ' @RivalCo ')).toBe('rivalco');
+    expect(normalizeBlockValue('account', 'https://x.com/RivalCo/')).toBe('rivalco');
+    expect(normalizeBlockValue('community', 'https://www.Reddit.com/r/Politics/')).toBe('reddit.com/r/politics');
+    expect(normalizeBlockValue('topic', '  Gun   Control ')).toBe('gun control');
+  });
+});
+
+describe('competitorRules', () => {
+  it('blocks active competitors by name and website domain', () => {
+    const rules = competitorRules([
+      { client_id: 'c1', name: 'Rival Roofing', website: 'https://www.rivalroofing.com/about', is_active: true },
+      { client_id: 'c1', name: 'Old Rival', website: null, is_active: false },
+    ]);
+    expect(rules).toEqual([
+      { client_id: 'c1', rule_type: 'account', value: 'rival roofing', reason: 'Competitor: Rival Roofing' },
+      { client_id: 'c1', rule_type: 'community', value: 'rivalroofing.com', reason: 'Competitor: Rival Roofing' },
+    ]);
+  });
+});
+
+describe('rulesForClient', () => {
+  it('combines organization-wide rules with the client\'s own', () => {
+    const rules = [rule('topic', 'a'), rule('topic', 'b', { client_id: 'c1' }), rule('topic', 'c', { client_id: 'c2' })];
+    expect(rulesForClient(rules, 'c1').map(r => r.value)).toEqual(['a', 'b']);
+  });
+});
+
+describe('findBlockMatches', () => {
+  it('matches accounts in poster info, @mentions and profile URLs', () => {
+    const rules = [rule('account', 'rivalco')];
+    expect(findBlockMatches(rules, { posterInfo: 'Jane Doe (@RivalCo)' })[0].field).toBe('posterInfo');
+    expect(findBlockMatches(rules, { content: 'Thanks @rivalco for the tips' })[0].field).toBe('content');
+    expect(findBlockMatches(rules, { sourceUrl: 'https://x.com/rivalco/status/1' })[0].field).toBe('sourceUrl');
+    // A plain mention in the post is not a post by the account
+    expect(findBlockMatches(rules, { content: 'Unlike rivalco, we...' })).toEqual([]);
+    expect(findBlockMatches(rules, { posterInfo: 'rivalcompany' })).toEqual([]);
+  });
+
+  it('matches communities by URL or name anywhere', () => {
+    const rules = [rule('community', 'reddit.com/r/politics')];
+    expect(findBlockMatches(rules, { sourceUrl: 'https://www.reddit.com/r/politics/comments/abc' })).toHaveLength(1);
+    expect(findBlockMatches(rules, { sourceUrl: 'https://reddit.com/r/homeimprovement' })).toEqual([]);
+  });
+
+  it('matches topics as whole words', () => {
+    const rules = [rule('topic', 'election')];
+    expect(findBlockMatches(rules, { content: 'Who will win the Election?' })).toHaveLength(1);
+    expect(findBlockMatches(rules, { content: 'Electioneering aside' })).toEqual([]);
+  });
+
+  it('describes a match', () => {
+    const [match] = findBlockMatches([rule('topic', 'election', { reason: 'Politics' })], { content: 'election day' });
+    expect(describeBlockMatch(match)).toBe('Blocked topic "election" in the post (all clients): Politics');
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { validateCommentOptions, buildSchemaRepairPrompt } from '../commentSchema';
+
+describe('validateCommentOptions', () => {
+  it('accepts the options object and a bare array', () => {
+    const wrapped = validateCommentOptions('{"options":[{"style":"question","text":"Why?"}]}');
+    const bare = validateCommentOptions('[{"style":"question","text":"Why?"}]');
+
+    expect(wrapped.valid).toBe(true);
+    expect(bare.options).toEqual(wrapped.options);
+  });
+
+  it('strips code fences and enforces max length', () => {
+    const result = validateCommentOptions('```json\n{"options":[{"text":"abcdef"}]}\n```', { maxLength: 3 });
+
+    expect(result.valid).toBe(true);
+    expect(result.options[0]).toMatchObject({
+      style: 'conversational',
+      text: 'ab…',
+      charCount: 3,
+      truncated: true,
+      originalText: 'abcdef',
+    });
+  });
+
+  it('keeps non-empty translations', () => {
+    const result = validateCommentOptions({ options: [{ text: 'Hola', translation: ' Hello ' }, { text: 'Adiós', translation: '' }] });
+
+    expect(result.options[0].translation).toBe('Hello');
+    expect(result.options[1]).not.toHaveProperty('translation');
+  });
+
+  it('reports every invalid option', () => {
+    const result = validateCommentOptions({ options: [{ text: '' }, 'text', { text: 'ok', style: 4 }] });
+
+    expect(result.valid).toBe(false);
+    expect(result.options).toEqual([]);
+    expect(result.errors).toEqual([
+      'options[0].text must be a non-empty string',
+      'options[1] must be an object with "style" and "text"',
+      'options[2].style must be a string',
+    ]);
+  });
+
+  it('rejects non-JSON and missing options', () => {
+    expect(validateCommentOptions('1. Heading\n2. Comment').errors[0]).toMatch(/not valid JSON/);
+    expect(validateCommentOptions('{"comments":[]}').errors).toEqual(['Expected an object with an "options" array']);
+    expect(validateCommentOptions('{"options":[]}').valid).toBe(false);
+  });
+});
+
+describe('buildSchemaRepairPrompt', () => {
+  it('lists the validation errors', () => {
+    expect(buildSchemaRepairPrompt(['a', 'b'])).toContain('- a\n- b');
+  });
+});
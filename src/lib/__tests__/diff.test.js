@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { diffLines, summarizeDiff } from '../diff';
+
+describe('diffLines', () => {
+  it('marks every line the same for identical text', () => {
+    const diff = diffLines('a\nb', 'a\nb');
+    expect(diff.map(line => line.type)).toEqual(['same', 'same']);
+  });
+
+  it('shows a changed line as removed then added with line numbers', () => {
+    const diff = diffLines('Intro\nBe friendly\nEnd', 'Intro\nBe concise\nEnd');
+    expect(diff).toEqual([
+      { type: 'same', text: 'Intro', oldLine: 1, newLine: 1 },
+      { type: 'removed', text: 'Be friendly', oldLine: 2, newLine: null },
+      { type: 'added', text: 'Be concise', oldLine: null, newLine: 2 },
+      { type: 'same', text: 'End', oldLine: 3, newLine: 3 },
+    ]);
+  });
+
+  it('handles insertions at the start and deletions at the end', () => {
+    const diff = diffLines('b\nc\nd', 'a\nb\nc');
+    expect(diff.map(line => `${line.type}:${line.text}`)).toEqual([
+      'added:a',
+      'same:b',
+      'same:c',
+      'removed:d',
+    ]);
+  });
+});
+
+describe('summarizeDiff', () => {
+  it('counts added and removed lines', () => {
+    expect(summarizeDiff(diffLines('a\nb\nc', 'a\nx\ny\nc'))).toEqual({ added: 2, removed: 1 });
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { validateExperiment, pickVariant, summarizeExperiment } from '../experiments';
+
+describe('validateExperiment', () => {
+  it('accepts two named variants with valid templates', () => {
+    expect(validateExperiment({
+      name: 'Shorter',
+      variants: [{ name: 'Control' }, { name: 'Short', template: 'Comment for {{client.name}}' }],
+    })).toEqual([]);
+  });
+
+  it('reports missing names, duplicates and template errors', () => {
+    expect(validateExperiment({ name: '', variants: [{ name: 'A' }] })).toEqual([
+      'Name is required',
+      'Add at least 2 variants',
+    ]);
+    expect(validateExperiment({ name: 'X', variants: [{ name: 'A' }, { name: 'a' }] })).toContain('Variant names must be unique');
+    expect(validateExperiment({ name: 'X', variants: [{ name: 'A' }, { name: 'B', template: '{{nope}}' }] })[0])
+      .toMatch(/^B: Unknown variable "nope"/);
+  });
+});
+
+describe('pickVariant', () => {
+  const variants = [{ id: 'a', weight: 1 }, { id: 'b', weight: 3 }];
+
+  it('picks in proportion to weight', () => {
+    expect(pickVariant(variants, () => 0.2).id).toBe('a');
+    expect(pickVariant(variants, () => 0.3).id).toBe('b');
+    expect(pickVariant(variants, () => 0.99).id).toBe('b');
+  });
+
+  it('returns null without variants', () => {
+    expect(pickVariant([])).toBeNull();
+    expect(pickVariant(undefined)).toBeNull();
+  });
+});
+
+describe('summarizeExperiment', () => {
+  it('computes used rate and preferred option per variant against control', () => {
+    const variants = [{ id: 'a', name: 'Control' }, { id: 'b', name: 'B' }];
+    const rows = [
+      { experiment_variant_id: 'a', is_used: true, selected_option_index: 0 },
+      { experiment_variant_id: 'a', is_used: false, selected_option_index: null },
+      { experiment_variant_id: 'b', is_used: true, selected_option_index: 2 },
+      { experiment_variant_id: 'b', is_used: true, selected_option_index: 2 },
+      { experiment_variant_id: 'b', is_used: true, selected_option_index: 1 },
+    ];
+
+    const [control, b] = summarizeExperiment(variants, rows);
+    expect(control).toMatchObject({ generations: 2, used: 1, usedRate: 0.5, preferredOptionIndex: 0, comparison: null });
+    expect(b).toMatchObject({ generations: 3, used: 3, usedRate: 1, optionCounts: { 1: 1, 2: 2 }, preferredOptionIndex: 2 });
+    expect(b.comparison.status).toBe('insufficient');
+  });
+});
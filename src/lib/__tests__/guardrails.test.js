@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getGuardrailRules,
+  findViolations,
+  applyGuardrails,
+  buildGuardrailFixInstruction,
+} from '../guardrails';
+import { PLATFORM_PROMPTS } from '../prompts';
+
+const rulesOf = violations => violations.map(v => v.rule);
+
+describe('findViolations', () => {
+  it('passes a clean comment', () => {
+    const rules = getGuardrailRules(PLATFORM_PROMPTS.instagram);
+    expect(findViolations('Love how bright this kitchen turned out ✨', rules)).toEqual([]);
+  });
+
+  it('flags hashtags on every platform', () => {
+    const rules = getGuardrailRules(PLATFORM_PROMPTS.facebook);
+    expect(rulesOf(findViolations('Great work #renovation', rules))).toEqual(['hashtags']);
+    expect(findViolations('Still #1 in our book', rules)).toEqual([]);
+    expect(findViolations('#Goals #homereno', rules)).toEqual([
+      { rule: 'hashtags', message: 'Uses 2 hashtags' },
+    ]);
+  });
+
+  it('applies the platform emoji limits', () => {
+    expect(rulesOf(findViolations('So good 😍🔥🙌', getGuardrailRules(PLATFORM_PROMPTS.instagram)))).toEqual(['emojis']);
+    expect(findViolations('So good 😍🔥', getGuardrailRules(PLATFORM_PROMPTS.instagram))).toEqual([]);
+    expect(rulesOf(findViolations('Great insight 👏', getGuardrailRules(PLATFORM_PROMPTS.linkedin)))).toEqual(['emojis']);
+    expect(findViolations('So good 😍🔥🙌', getGuardrailRules(PLATFORM_PROMPTS.facebook))).toEqual([]);
+  });
+
+  it('takes the limits from the platform prompt in effect', () => {
+    const override = { style_prompt: 'Emojis welcome', max_length: 200, max_emojis: 3 };
+    expect(findViolations('Great insight 👏', getGuardrailRules(override, { platform: 'linkedin' }))).toEqual([]);
+    expect(rulesOf(findViolations('Great insight 👏', getGuardrailRules({ ...override, max_emojis: 0 })))).toEqual(['emojis']);
+  });
+
+  it('falls back to the platform limits for saved rows without them', () => {
+    const row = { id: 'p1', organization_id: 'org1', platform: 'instagram', style_prompt: 'Warm and visual', max_length: 300, is_system: false };
+    expect(rulesOf(findViolations('So good 😍🔥🙌', getGuardrailRules(row)))).toEqual(['emojis']);
+    const clientRow = { client_id: 'c1', style_prompt: 'Crisp', max_length: 500 };
+    expect(rulesOf(findViolations('Great insight 👏', getGuardrailRules(clientRow, { platform: 'linkedin' })))).toEqual(['emojis']);
+  });
+
+  it('flags phrases copied from existing comments', () => {
+    const rules = getGuardrailRules(PLATFORM_PROMPTS.x, { existingComments: 'Wow, this is such a great idea for small homes!' });
+    const violations = findViolations('Honestly this is such a great idea for small homes', rules);
+    expect(violations).toEqual([
+      { rule: 'repeated_phrase', message: 'Repeats "this is such a great" from an existing comment' },
+    ]);
+    expect(findViolations('Such a clever layout', rules)).toEqual([]);
+  });
+
+  it('flags banned words as whole words', () => {
+    const rules = getGuardrailRules(PLATFORM_PROMPTS.x, { bannedWords: ['cheap'] });
+    expect(rulesOf(findViolations('Let us delve into this', rules))).toEqual(['banned_word']);
+    expect(rulesOf(findViolations('Not cheap, but worth it', rules))).toEqual(['banned_word']);
+    expect(findViolations('Cheapskates unite', rules)).toEqual([]);
+  });
+
+  it('flags sales language only when the CTA is off', () => {
+    const text = 'Nice! Book a consultation with us at www.acme.com';
+    expect(rulesOf(findViolations(text, getGuardrailRules(PLATFORM_PROMPTS.x)))).toEqual(['sales']);
+    expect(findViolations(text, getGuardrailRules(PLATFORM_PROMPTS.x, { includeCta: true }))).toEqual([]);
+  });
+});
+
+describe('applyGuardrails', () => {
+  it('scores each option by its violations', () => {
+    const rules = getGuardrailRules(PLATFORM_PROMPTS.linkedin);
+    const [clean, flagged] = applyGuardrails([
+      { index: 0, style: 'professional', text: 'Thoughtful take on supply chains.' },
+      { index: 1, style: 'brief', text: 'Game changer 🚀 #leadership' },
+    ], rules);
+
+    expect(clean.guardrails).toEqual({ score: 100, violations: [] });
+    expect(flagged.guardrails.score).toBe(25);
+    expect(rulesOf(flagged.guardrails.violations)).toEqual(['hashtags', 'emojis', 'banned_word']);
+  });
+
+  it('builds a fix instruction listing the violations', () => {
+    const instruction = buildGuardrailFixInstruction([{ rule: 'hashtags', message: 'Uses 2 hashtags' }]);
+    expect(instruction).toContain('- Uses 2 hashtags');
+  });
+});
@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { detectLanguage, resolveLanguage, AUTO_LANGUAGE } from '../language';
+
+describe('detectLanguage', () => {
+  it('detects common languages from stopwords', () => {
+    expect(detectLanguage('This is the best roof that I have seen in years, and it was cheap')).toBe('en');
+    expect(detectLanguage('Esta es la mejor cocina que he visto, muy bonita pero cara para el barrio')).toBe('es');
+    expect(detectLanguage("C'est une très belle maison, mais je pense que le prix est trop élevé pour les acheteurs")).toBe('fr');
+  });
+
+  it('returns null for short or unclear text', () => {
+    expect(detectLanguage('Nice!')).toBeNull();
+    expect(detectLanguage('')).toBeNull();
+    expect(detectLanguage('#reno @acme https://example.com/the/and/is')).toBeNull();
+  });
+});
+
+describe('resolveLanguage', () => {
+  const spanishPost = 'Esta es la mejor cocina que he visto, muy bonita pero cara para el barrio';
+
+  it('keeps an explicit selection', () => {
+    expect(resolveLanguage('fr', { content: spanishPost })).toEqual({ language: 'fr', detected: false });
+  });
+
+  it('detects the post language on auto, then falls back to the client default', () => {
+    expect(resolveLanguage(AUTO_LANGUAGE, { content: spanishPost })).toEqual({ language: 'es', detected: true });
+    expect(resolveLanguage(AUTO_LANGUAGE, { content: 'Wow', client: { default_language: 'de' } }))
+      .toEqual({ language: 'de', detected: false });
+    expect(resolveLanguage(AUTO_LANGUAGE, { content: 'Wow', client: { default_language: AUTO_LANGUAGE } }))
+      .toEqual({ language: 'en', detected: false });
+  });
+});
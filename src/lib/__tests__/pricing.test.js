@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { estimateCost, formatCost } from '../pricing';
+import { rollupUsage } from '../usageReport';
+
+describe('estimateCost', () => {
+  const provider = {
+    model_name: 'gpt-4o-mini',
+    model_pricing: { 'gpt-4o-mini': { input: 0.15, output: 0.6 } },
+  };
+
+  it('prices prompt and completion tokens per million', () => {
+    expect(estimateCost({ prompt_tokens: 1000, completion_tokens: 500 }, provider)).toBe(0.00045);
+  });
+
+  it('falls back to the wildcard price, then to free providers', () => {
+    expect(estimateCost({ prompt_tokens: 1_000_000 }, { model_pricing: { '*': { input: 2, output: 8 } } }, 'other')).toBe(2);
+    expect(estimateCost({ prompt_tokens: 1000 }, { is_free: true, model_name: 'llama' })).toBe(0);
+    expect(estimateCost({ prompt_tokens: 1000 }, { model_name: 'unknown' })).toBeNull();
+  });
+
+  it('formats sub-cent amounts with extra precision', () => {
+    expect(formatCost(0.00045)).toBe('$0.0004');
+    expect(formatCost(12.3)).toBe('$12.30');
+    expect(formatCost(null)).toBe('—');
+  });
+});
+
+describe('rollupUsage', () => {
+  it('groups by month and client, tracking unpriced generations', () => {
+    const rows = [
+      { created_at: '2024-03-05T12:00:00', client_id: 'c1', client: { name: 'Acme' }, prompt_tokens: 100, completion_tokens: 50, estimated_cost_usd: '0.5' },
+      { created_at: '2024-03-20T12:00:00', client_id: 'c1', client: { name: 'Acme' }, prompt_tokens: 10, completion_tokens: 5, estimated_cost_usd: null },
+      { created_at: '2024-03-21T12:00:00', client_id: 'c2', client: { name: 'Beta' }, prompt_tokens: 1, completion_tokens: 1, estimated_cost_usd: 1.25 },
+      { created_at: '2024-02-10T12:00:00', client_id: 'c2', client: { name: 'Beta' }, prompt_tokens: 7, completion_tokens: 3, estimated_cost_usd: 0 },
+    ];
+
+    const [march, february] = rollupUsage(rows);
+
+    expect(march.month).toBe('2024-03');
+    expect(march.totals).toMatchObject({ generations: 3, promptTokens: 111, cost: 1.75, unpricedGenerations: 1 });
+    expect(march.clients.map(c => c.clientName)).toEqual(['Beta', 'Acme']);
+    expect(march.clients[1].totals).toMatchObject({ generations: 2, totalTokens: 165, cost: 0.5 });
+    expect(february.totals.totalTokens).toBe(10);
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import {
+  estimateTokens,
+  getContextLimit,
+  getPromptTokenBudget,
+  fitSections,
+  describeCuts,
+  DEFAULT_CONTEXT_LIMIT,
+  PROMPT_SAFETY_MARGIN,
+} from '../promptBudget';
+
+describe('getContextLimit', () => {
+  it('prefers the provider setting, then known models, then the default', () => {
+    expect(getContextLimit({ model_name: 'gpt-4o-mini', context_window: 4096 })).toBe(4096);
+    expect(getContextLimit({ model_name: 'gpt-4o-mini' })).toBe(128000);
+    expect(getContextLimit({ model_name: 'llama-3.3-70b-versatile' })).toBe(128000);
+    expect(getContextLimit({ model_name: 'llama3' })).toBe(8192);
+    expect(getContextLimit({ model_name: 'my-custom-model' })).toBe(DEFAULT_CONTEXT_LIMIT);
+  });
+});
+
+describe('getPromptTokenBudget', () => {
+  it('uses the smallest window in the chain minus the completion', () => {
+    const providers = [{ model_name: 'claude-3-5-sonnet' }, { model_name: 'x', context_window: 10000 }];
+    expect(getPromptTokenBudget(providers, { maxTokens: 1000 })).toBe(10000 - 1000 - PROMPT_SAFETY_MARGIN);
+    expect(getPromptTokenBudget([])).toBeNull();
+  });
+});
+
+describe('fitSections', () => {
+  const sections = () => [
+    { key: 'existing', label: 'Existing comments', priority: 3, value: 'e'.repeat(400) },
+    { key: 'samples', label: 'Sample comments', priority: 2, type: 'items', value: ['a'.repeat(40), 'b'.repeat(40)] },
+    { key: 'content', label: 'Content', priority: 1, value: 'c'.repeat(800), minTokens: 50 },
+  ];
+
+  it('leaves sections alone when they fit', () => {
+    const { values, cuts, fits } = fitSections(sections(), 1000);
+    expect(values.existing).toHaveLength(400);
+    expect(cuts).toEqual([]);
+    expect(fits).toBe(true);
+  });
+
+  it('cuts the highest priority sections first', () => {
+    // 100 + 20 + 200 tokens; 60 over budget only touches existing comments
+    const { values, cuts } = fitSections(sections(), 260);
+    expect(estimateTokens(values.existing)).toBeLessThanOrEqual(40);
+    expect(values.samples).toHaveLength(2);
+    expect(values.content).toHaveLength(800);
+    expect(cuts.map(c => c.key)).toEqual(['existing']);
+  });
+
+  it('drops items and trims content tails down to their minimum', () => {
+    const { values, cuts, fits } = fitSections(sections(), 60);
+    expect(values.existing).toBe('');
+    expect(values.samples).toEqual([]);
+    expect(values.content.startsWith('ccc')).toBe(true);
+    expect(values.content).toContain('trimmed to fit');
+    expect(estimateTokens(values.content)).toBeLessThanOrEqual(60);
+    expect(fits).toBe(true);
+    expect(describeCuts(cuts)).toBe(
+      'Existing comments removed (~100 tokens), Sample comments removed (~20 tokens), Content shortened (~140 tokens)'
+    );
+  });
+
+  it('reports when the minimums still do not fit', () => {
+    expect(fitSections(sections(), 10).fits).toBe(false);
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  parseRetryAfter,
+  recordProviderSuccess,
+  recordProviderFailure,
+  isProviderTripped,
+  getProviderStatus,
+  resetProviderHealth,
+} from '../providerHealth';
+
+const NOW = 1_700_000_000_000;
+
+describe('providerHealth', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('parses Retry-After seconds and HTTP dates', () => {
+    expect(parseRetryAfter('30', NOW)).toBe(30000);
+    expect(parseRetryAfter(new Date(NOW + 5000).toUTCString(), NOW)).toBe(5000);
+    expect(parseRetryAfter(null)).toBeNull();
+  });
+
+  it('trips after consecutive failures and recovers on success', () => {
+    recordProviderFailure('p1', { code: 'TIMEOUT' }, NOW);
+    recordProviderFailure('p1', { code: 'TIMEOUT' }, NOW);
+    expect(isProviderTripped('p1', NOW)).toBe(false);
+
+    recordProviderFailure('p1', { code: 'TIMEOUT', message: 'slow' }, NOW);
+    expect(isProviderTripped('p1', NOW)).toBe(true);
+    expect(isProviderTripped('p1', NOW + 61000)).toBe(false);
+    expect(getProviderStatus('p1', NOW)).toMatchObject({ status: 'tripped', lastErrorCode: 'TIMEOUT', failureRate: 1 });
+
+    recordProviderSuccess('p1', NOW + 1000);
+    expect(isProviderTripped('p1', NOW + 1000)).toBe(false);
+    expect(getProviderStatus('p1', NOW + 1000).status).toBe('degraded');
+  });
+
+  it('honours Retry-After on rate limits immediately', () => {
+    recordProviderFailure('p1', { code: 'RATE_LIMIT', retryAfterMs: 120000 }, NOW);
+
+    expect(isProviderTripped('p1', NOW + 119000)).toBe(true);
+    expect(isProviderTripped('p1', NOW + 121000)).toBe(false);
+  });
+
+  it('forgets history on reset', () => {
+    recordProviderFailure('p1', { code: 'AUTH_ERROR' }, NOW);
+    resetProviderHealth('p1');
+
+    expect(getProviderStatus('p1', NOW).status).toBe('unknown');
+  });
+});
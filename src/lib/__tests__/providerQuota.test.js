@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest';
+import { getQuotaStatus, getQuotaMap, formatQuota } from '../providerQuota';
+
+describe('providerQuota', () => {
+  it('treats providers without limits as unlimited', () => {
+    expect(getQuotaStatus({}, { request_count: 10000 }).status).toBe('unlimited');
+  });
+
+  it('uses whichever budget is closest to running out', () => {
+    const provider = { daily_request_limit: 1000, daily_token_limit: 10000 };
+
+    expect(getQuotaStatus(provider, { request_count: 10, total_tokens: 500 }).status).toBe('ok');
+    expect(getQuotaStatus(provider, { request_count: 10, total_tokens: 9500 }).status).toBe('low');
+    expect(getQuotaStatus(provider, { request_count: 1000, total_tokens: 0 }).status).toBe('exhausted');
+  });
+
+  it('maps usage rows to providers and formats a summary', () => {
+    const quotas = getQuotaMap(
+      [{ id: 'p1', daily_request_limit: 14400 }, { id: 'p2', daily_request_limit: 50 }],
+      [{ provider_id: 'p1', request_count: 13100 }]
+    );
+
+    expect(quotas.p1.status).toBe('low');
+    expect(quotas.p2).toMatchObject({ status: 'ok', requestsUsed: 0 });
+    expect(formatQuota(quotas.p1)).toBe('13,100 of 14,400 requests');
+  });
+});
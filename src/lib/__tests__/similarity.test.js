@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { textSimilarity, findCrossClientSimilarities, flagDuplicates } from '../similarity';
+import { mapWithConcurrency } from '../utils';
+
+describe('textSimilarity', () => {
+  it('scores identical wording as 1 and unrelated text near 0', () => {
+    expect(textSimilarity('Great tips, thanks for sharing!', 'great tips thanks for sharing')).toBe(1);
+    expect(textSimilarity('Love the new patio design', 'Which roofing material lasts longest?')).toBe(0);
+  });
+
+  it('returns 0 for empty text', () => {
+    expect(textSimilarity('', 'anything')).toBe(0);
+  });
+});
+
+describe('findCrossClientSimilarities', () => {
+  it('flags near-duplicates between different clients only', () => {
+    const groups = [
+      { clientId: 'a', clientName: 'Acme', options: [
+        { text: 'This is such a great point about winter roof maintenance' },
+        { text: 'This is such a great point about winter roof upkeep' },
+      ] },
+      { clientId: 'b', clientName: 'Beta', options: [
+        { text: 'This is such a great point about winter roof maintenance!' },
+        { text: 'Has anyone tried heated gutters?' },
+      ] },
+    ];
+
+    const pairs = findCrossClientSimilarities(groups);
+
+    expect(pairs.length).toBeGreaterThan(0);
+    expect(pairs.every(p => p.a.clientId === 'a' && p.b.clientId === 'b')).toBe(true);
+    expect(pairs[0]).toMatchObject({ a: { optionIndex: 0 }, b: { optionIndex: 0 }, score: 1 });
+  });
+});
+
+describe('flagDuplicates', () => {
+  const history = [
+    { generation_id: 'g1', comment_text: 'Great point about winter roof maintenance, thanks for sharing', used_at: '2026-01-02T00:00:00Z' },
+    { generation_id: 'g2', comment_text: 'Great point about winter roof maintenance!', used_at: '2026-01-05T00:00:00Z' },
+  ];
+
+  it('links each option to the closest used comment above the threshold', () => {
+    const [repeat, fresh] = flagDuplicates([
+      { text: 'Great point about winter roof maintenance.' },
+      { text: 'Has anyone tried heated gutters?' },
+    ], history);
+
+    expect(repeat.duplicate).toEqual({
+      score: 1,
+      generationId: 'g2',
+      text: 'Great point about winter roof maintenance!',
+      usedAt: '2026-01-05T00:00:00Z',
+    });
+    expect(fresh.duplicate).toBeNull();
+  });
+
+  it('respects the threshold', () => {
+    const [option] = flagDuplicates([{ text: 'A great point about roof maintenance in winter' }], history, { threshold: 0.9 });
+    expect(option.duplicate).toBeNull();
+  });
+});
+
+describe('mapWithConcurrency', () => {
+  it('keeps order and never exceeds the limit', async () => {
+    let active = 0;
+    let peak = 0;
+
+    const results = await mapWithConcurrency([30, 10, 20, 5], 2, async (ms, index) => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setTimeout(resolve, ms));
+      active--;
+      return index;
+    });
+
+    expect(results).toEqual([0, 1, 2, 3]);
+    expect(peak).toBe(2);
+  });
+});
@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { normalCdf, twoProportionZTest, compareRates } from '../stats';
+
+describe('normalCdf', () => {
+  it('matches known values of the standard normal distribution', () => {
+    expect(normalCdf(0)).toBeCloseTo(0.5, 6);
+    expect(normalCdf(1.96)).toBeCloseTo(0.975, 3);
+    expect(normalCdf(-1.96)).toBeCloseTo(0.025, 3);
+  });
+});
+
+describe('twoProportionZTest', () => {
+  it('finds a clear difference significant', () => {
+    const test = twoProportionZTest(20, 100, 40, 100);
+    expect(test.z).toBeCloseTo(3.086, 2);
+    expect(test.pValue).toBeLessThan(0.01);
+  });
+
+  it('returns null for empty groups or identical all-or-nothing outcomes', () => {
+    expect(twoProportionZTest(0, 0, 5, 10)).toBeNull();
+    expect(twoProportionZTest(0, 50, 0, 50)).toBeNull();
+  });
+});
+
+describe('compareRates', () => {
+  it('waits for enough generations in both groups', () => {
+    const result = compareRates(5, 10, 8, 10);
+    expect(result.status).toBe('insufficient');
+    expect(result.pValue).toBeNull();
+    expect(result.difference).toBeCloseTo(0.3);
+  });
+
+  it('classifies the difference once there is enough data', () => {
+    expect(compareRates(20, 100, 40, 100).status).toBe('significant');
+    expect(compareRates(30, 100, 33, 100).status).toBe('not-significant');
+  });
+});
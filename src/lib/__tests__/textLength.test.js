@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import { countCharacters, smartTruncate, fitCommentText, buildShortenInstruction } from '../textLength';
+
+describe('countCharacters', () => {
+  it('counts user-perceived characters', () => {
+    expect(countCharacters('Nice 👍🏽')).toBe(6);
+    expect(countCharacters('Family 👨‍👩‍👧')).toBe(8);
+    expect(countCharacters('')).toBe(0);
+  });
+
+  it('weights links, emojis and CJK on X', () => {
+    expect(countCharacters('See https://example.com/a/very/long/path/to/something', 'x')).toBe(4 + 23);
+    expect(countCharacters('Nice 👍🏽', 'x')).toBe(7);
+    expect(countCharacters('日本', 'x')).toBe(4);
+    expect(countCharacters('Café', 'x')).toBe(4);
+  });
+});
+
+describe('smartTruncate', () => {
+  it('leaves text within the limit alone', () => {
+    expect(smartTruncate('Short one.', 20)).toEqual({ text: 'Short one.', truncated: false });
+    expect(smartTruncate('No limit', null)).toEqual({ text: 'No limit', truncated: false });
+  });
+
+  it('ends on the last complete sentence', () => {
+    const text = 'Love this layout. The island is perfect for hosting friends!';
+    expect(smartTruncate(text, 34)).toEqual({ text: 'Love this layout.', truncated: true });
+    // Too little left after the first sentence; cut at a word instead
+    expect(smartTruncate(text, 40).text).toBe('Love this layout. The island is perfect…');
+  });
+
+  it('falls back to a word boundary with an ellipsis', () => {
+    const text = 'Those cabinets look amazing with the brass hardware';
+    const { text: cut } = smartTruncate(text, 30);
+    expect(cut).toBe('Those cabinets look amazing…');
+    expect(countCharacters(cut)).toBeLessThanOrEqual(30);
+  });
+
+  it('drops dangling punctuation before the ellipsis', () => {
+    expect(smartTruncate('Great colors, lovely light, and more to see', 20).text).toBe('Great colors…');
+  });
+
+  it('closes quotes left open by the cut', () => {
+    const { text } = smartTruncate('She said "this is the best kitchen I have seen all year"', 30);
+    expect(text).toBe('She said "this is the best…"');
+    expect(countCharacters(text)).toBeLessThanOrEqual(30);
+  });
+
+  it('never splits an emoji', () => {
+    const { text } = smartTruncate('👨‍👩‍👧👨‍👩‍👧👨‍👩‍👧', 2);
+    expect(text).toBe('👨‍👩‍👧…');
+  });
+
+  it('keeps links whole and uses X counting', () => {
+    const text = 'Great thread https://example.com/some/really/long/url worth a read for anyone';
+    const { text: cut } = smartTruncate(text, 40, 'x');
+    expect(cut).toBe('Great thread https://example.com/some/really/long/url…');
+    expect(countCharacters(cut, 'x')).toBeLessThanOrEqual(40);
+  });
+});
+
+describe('fitCommentText', () => {
+  it('keeps the original text of shortened comments', () => {
+    expect(fitCommentText('Fine', 10)).toEqual({ text: 'Fine', charCount: 4 });
+    expect(fitCommentText('One two three four', 10)).toEqual({
+      text: 'One two…',
+      charCount: 8,
+      truncated: true,
+      originalText: 'One two three four',
+    });
+  });
+
+  it('describes the limit when asking for a rewrite', () => {
+    expect(buildShortenInstruction(100, 'x')).toContain('links count as 23');
+    expect(buildShortenInstruction(150)).toContain('within 150 characters');
+  });
+});
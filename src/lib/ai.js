@@ -3,9 +3,30 @@
  * 
  * Handles API calls to various AI providers with fallback support.
  * All providers use OpenAI-compatible API format.
+ * Requests go through the AI proxy (see aiProxy.js), which holds the API keys.
  */
 
-import { getAIProviders, getDefaultAIProvider, getAIChatLinks } from './supabase';
+import {
+  getAIProviders,
+  getDefaultAIProvider,
+  getAIChatLinks,
+  getAIProviderUsageToday,
+  recordAIProviderUsage,
+} from './supabase';
+import { forwardToProvider } from './aiProxy';
+import { fetchWithCache, clearCache } from './cache';
+import {
+  parseRetryAfter,
+  getProviderHealth,
+  isProviderTripped,
+  recordProviderSuccess,
+  recordProviderFailure,
+} from './providerHealth';
+import { getQuotaMap, isQuotaNearlyUsed } from './providerQuota';
+import { estimateCost } from './pricing';
+import { getPromptTokenBudget } from './promptBudget';
+import { validateCommentOptions, buildSchemaRepairPrompt } from './commentSchema';
+import { fitCommentText } from './textLength';
 import { sleep } from './utils';
 
 // Default provider configurations (for seeding)
@@ -15,6 +36,7 @@ export const DEFAULT_PROVIDERS = [
     api_base_url: 'https://api.groq.com/openai/v1',
     model_name: 'llama-3.3-70b-versatile',
     is_free: true,
+    daily_request_limit: 14400,
     notes: '14,400 requests/day free. Extremely fast (300+ tokens/sec).',
   },
   {
@@ -22,6 +44,7 @@ export const DEFAULT_PROVIDERS = [
     api_base_url: 'https://api.cerebras.ai/v1',
     model_name: 'llama3.1-70b',
     is_free: true,
+    daily_token_limit: 1000000,
     notes: '1M tokens/day free. Up to 2,600 tokens/sec.',
   },
   {
@@ -29,6 +52,7 @@ export const DEFAULT_PROVIDERS = [
     api_base_url: 'https://generativelanguage.googleapis.com/v1beta/openai',
     model_name: 'gemini-2.0-flash-lite',
     is_free: true,
+    daily_request_limit: 1000,
     notes: '1,000 requests/day free for Flash-Lite.',
   },
   {
@@ -36,6 +60,7 @@ export const DEFAULT_PROVIDERS = [
     api_base_url: 'https://openrouter.ai/api/v1',
     model_name: 'meta-llama/llama-3.3-70b-instruct:free',
     is_free: true,
+    daily_request_limit: 50,
     notes: '50 requests/day free (1,000/day with $10 deposit).',
   },
   {
@@ -50,6 +75,7 @@ export const DEFAULT_PROVIDERS = [
     api_base_url: 'https://api.deepseek.com/v1',
     model_name: 'deepseek-chat',
     is_free: false,
+    model_pricing: { 'deepseek-chat': { input: 0.27, output: 1.1 } },
     notes: '5M free credits. ~$0.0002 per comment.',
   },
   {
@@ -57,6 +83,7 @@ export const DEFAULT_PROVIDERS = [
     api_base_url: 'https://api.openai.com/v1',
     model_name: 'gpt-4o-mini',
     is_free: false,
+    model_pricing: { 'gpt-4o-mini': { input: 0.15, output: 0.6 } },
     notes: 'Pay as you go. High quality.',
   },
   {
@@ -64,114 +91,376 @@ export const DEFAULT_PROVIDERS = [
     api_base_url: 'https://api.anthropic.com/v1',
     model_name: 'claude-3-haiku-20240307',
     is_free: false,
+    model_pricing: { 'claude-3-haiku-20240307': { input: 0.25, output: 1.25 } },
     notes: 'Pay as you go. High quality.',
   },
+  {
+    provider_name: 'Ollama',
+    api_base_url: 'http://localhost:11434/v1',
+    model_name: 'llama3.2',
+    is_free: true,
+    is_local: true,
+    notes: 'Runs on this machine. Start with OLLAMA_ORIGINS set to the app URL.',
+  },
+  {
+    provider_name: 'LM Studio',
+    api_base_url: 'http://localhost:1234/v1',
+    model_name: 'local-model',
+    is_free: true,
+    is_local: true,
+    notes: 'Runs on this machine. Enable CORS in the LM Studio server settings.',
+  },
+  {
+    provider_name: 'llama.cpp server',
+    api_base_url: 'http://localhost:8080/v1',
+    model_name: 'default',
+    is_free: true,
+    is_local: true,
+    notes: 'Runs on this machine (llama-server).',
+  },
 ];
 
+// Local models can take a while to load and generate on consumer hardware
+export const LOCAL_TIMEOUT_MS = 120000;
+
 /**
- * Get available free models from OpenRouter
- * Using verified working model names from OpenRouter
+ * Whether a provider can be used for generation
+ * Local providers need no API key.
  */
-export async function fetchOpenRouterModels(apiKey) {
-  // Return curated list of VERIFIED working models
-  return [
-    { value: 'arcee-ai/trinity-large-preview:free', label: 'Arcee AI Trinity Large Preview (Free)' },
-    { value: 'arcee-ai/trinity-mini:free', label: 'Arcee AI Trinity Mini (Free)' },
-    { value: 'nvidia/nemotron-3-nano-30b-a3b:free', label: 'NVIDIA Nemotron 3 Nano 30B (Free)' },
-    { value: 'openrouter/pony-alpha', label: 'OpenRouter Pony Alpha' },
-    { value: 'openrouter/aurora-alpha', label: 'OpenRouter Aurora Alpha' },
-    { value: 'deepseek/deepseek-r1-0528:free', label: 'DeepSeek R1 0528 (Free)' },
-  ];
+export function isProviderUsable(provider) {
+  return !!(provider?.is_active && (provider.has_api_key || provider.is_local));
 }
 
 /**
- * Get available free models from Groq
- * Using top free models from Groq
+ * Prompt tokens available for a completion. Every provider that may serve it
+ * (the selected one, or the whole fallback chain) has to fit the prompt.
+ * @returns {Promise<number|null>} null when no provider is usable
  */
-export async function fetchGroqModels(apiKey) {
-  // Return curated list of top FREE models from Groq
-  return [
-    { value: 'llama-3.3-70b-versatile', label: 'Meta Llama 3.3 70B Versatile (Fastest)' },
-    { value: 'llama-3.1-8b-instant', label: 'Meta Llama 3.1 8B Instant (Smaller & Fast)' },
-  ];
+export async function getPromptBudget({ providerId, maxTokens = 0 } = {}) {
+  const providers = (await getAIProviders()).filter(isProviderUsable);
+  const chain = providerId ? providers.filter(p => p.id === providerId) : providers;
+  return getPromptTokenBudget(chain, { maxTokens });
+}
+
+/**
+ * Discover models served by a local provider
+ * Tries the OpenAI-compatible /models endpoint, then Ollama's /api/tags.
+ */
+export async function fetchLocalModels(apiBaseUrl) {
+  const baseUrl = apiBaseUrl.replace(/\/$/, '');
+  const toOptions = names => [...new Set(names)].sort().map(name => ({ value: name, label: name }));
+
+  try {
+    const response = await fetch(`${baseUrl}/models`);
+    if (response.ok) {
+      const data = await response.json();
+      const names = (data.data || []).map(m => m.id).filter(Boolean);
+      if (names.length) return toOptions(names);
+    }
+  } catch {
+    // Fall through to the Ollama API
+  }
+
+  const rootUrl = baseUrl.replace(/\/v1$/, '');
+  const response = await fetch(`${rootUrl}/api/tags`);
+  if (!response.ok) {
+    throw new Error(`Could not list models at ${rootUrl} (${response.status})`);
+  }
+  const data = await response.json();
+  return toOptions((data.models || []).map(m => m.name).filter(Boolean));
+}
+
+// Model lists change rarely; refresh hourly or on demand
+const MODEL_LIST_TTL = 60 * 60 * 1000;
+
+// Entries from /models that can't be used for chat completions
+const NON_CHAT_MODEL_PATTERN = /embed|whisper|tts|transcribe|dall-e|moderation|guard|rerank/i;
+
+/**
+ * Whether a model from a /models listing is free to use
+ */
+function isFreeModel(model, provider) {
+  if (provider.is_local || model.id.endsWith(':free')) return true;
+  // OpenRouter reports per-token prices as strings
+  if (model.pricing) {
+    return Number(model.pricing.prompt) === 0 && Number(model.pricing.completion) === 0;
+  }
+  return !!provider.is_free;
+}
+
+/**
+ * Fetch the raw /models listing for a provider
+ */
+async function fetchProviderModels(provider) {
+  if (provider.is_local) {
+    const models = await fetchLocalModels(provider.api_base_url);
+    return models.map(m => ({ id: m.value }));
+  }
+
+  let response;
+  if (provider.id && provider.has_api_key) {
+    response = await forwardToProvider(provider.id, { path: '/models', method: 'GET' });
+  } else if (provider.api_base_url.includes('openrouter.ai')) {
+    // OpenRouter's catalog is public, so it can be listed before a key is saved
+    response = await fetch(`${provider.api_base_url.replace(/\/$/, '')}/models`);
+  } else {
+    throw new Error('Save the provider with its API key to load available models');
+  }
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error?.message || `Could not load models (${response.status})`);
+  }
+
+  const data = await response.json();
+  return data.data || data.models || [];
+}
+
+/**
+ * List the chat models a provider offers
+ * Results are cached per provider and base URL; pass `force` to refresh.
+ * @returns {Promise<Array<{value, label, isFree}>>}
+ */
+export async function listModels(provider, { force = false } = {}) {
+  const cacheKey = `ai_models_${provider.id ? `${provider.id}_` : ''}${provider.api_base_url}`;
+  if (force) clearCache(cacheKey);
+
+  return fetchWithCache(cacheKey, async () => {
+    const models = await fetchProviderModels(provider);
+
+    return models
+      .filter(m => m.id && !NON_CHAT_MODEL_PATTERN.test(m.id))
+      .map(m => {
+        const isFree = isFreeModel(m, provider);
+        const name = m.name || m.display_name || m.id;
+        return {
+          value: m.id,
+          label: isFree ? `${name} (Free)` : name,
+          isFree,
+        };
+      })
+      .sort((a, b) => Number(b.isFree) - Number(a.isFree) || a.label.localeCompare(b.label));
+  }, MODEL_LIST_TTL);
 }
 
 /**
  * Error types for AI calls
  */
 export class AIError extends Error {
-  constructor(message, code, provider) {
+  constructor(message, code, provider, { retryAfterMs = null } = {}) {
     super(message);
     this.name = 'AIError';
     this.code = code;
     this.provider = provider;
+    this.retryAfterMs = retryAfterMs;
   }
 }
 
+/**
+ * Read a Server-Sent Events stream and invoke onEvent for each event.
+ * Handles events split across chunks and multi-line data fields.
+ */
+async function readEventStream(body, onEvent) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dispatch = (rawEvent) => {
+    let event = 'message';
+    const dataLines = [];
+    rawEvent.split(/\r?\n/).forEach(line => {
+      if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).replace(/^ /, ''));
+      }
+    });
+    if (dataLines.length > 0) {
+      onEvent({ event, data: dataLines.join('\n') });
+    }
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary = buffer.search(/\r?\n\r?\n/);
+    while (boundary !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+      dispatch(rawEvent);
+      boundary = buffer.search(/\r?\n\r?\n/);
+    }
+  }
+
+  if (buffer.trim()) {
+    dispatch(buffer);
+  }
+}
+
+/**
+ * Consume a streaming completion response.
+ * Calls onDelta with each text fragment and returns the accumulated content and usage.
+ */
+async function readCompletionStream(response, isAnthropic, { onDelta, onActivity }) {
+  let content = '';
+  let usage;
+
+  await readEventStream(response.body, ({ event, data }) => {
+    onActivity?.();
+    if (data === '[DONE]') return;
+
+    let payload;
+    try {
+      payload = JSON.parse(data);
+    } catch {
+      return; // Ignore keep-alive comments and malformed chunks
+    }
+
+    let delta = '';
+    if (isAnthropic) {
+      const type = payload.type || event;
+      if (type === 'error') {
+        throw new Error(payload.error?.message || 'Stream error');
+      }
+      if (type === 'message_start') {
+        usage = {
+          prompt_tokens: payload.message?.usage?.input_tokens,
+          completion_tokens: payload.message?.usage?.output_tokens,
+        };
+      } else if (type === 'content_block_delta') {
+        delta = payload.delta?.text || '';
+      } else if (type === 'message_delta' && payload.usage) {
+        usage = { ...usage, completion_tokens: payload.usage.output_tokens };
+      }
+    } else {
+      if (payload.error) {
+        throw new Error(payload.error.message || 'Stream error');
+      }
+      delta = payload.choices?.[0]?.delta?.content || '';
+      // OpenAI sends usage in a final chunk; Groq nests it under x_groq
+      if (payload.usage || payload.x_groq?.usage) {
+        usage = payload.usage || payload.x_groq.usage;
+      }
+    }
+
+    if (delta) {
+      content += delta;
+      onDelta?.(delta, content);
+    }
+  });
+
+  if (usage && isAnthropic) {
+    usage.total_tokens = (usage.prompt_tokens || 0) + (usage.completion_tokens || 0);
+  }
+
+  return { content, usage };
+}
+
+/**
+ * Send a request to a provider
+ * Local providers are called directly so prompts never leave the machine;
+ * hosted providers go through the AI proxy, which adds the API key.
+ */
+function sendProviderRequest(provider, { path, body, signal }) {
+  if (provider.is_local) {
+    return fetch(`${provider.api_base_url.replace(/\/$/, '')}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal,
+    });
+  }
+
+  return forwardToProvider(provider.id, { path, body, signal });
+}
+
 /**
  * Make a completion request to an AI provider
+ *
+ * When `stream` is true the response is read as Server-Sent Events and
+ * `onDelta` is called with each text fragment. The timeout then acts as an
+ * idle timeout: it is reset every time a chunk arrives.
+ *
+ * `jsonMode` asks OpenAI-compatible providers for a JSON object via
+ * `response_format`. Anthropic has no equivalent and relies on the prompt.
  */
 async function makeCompletionRequest(provider, messages, options = {}) {
   const {
     temperature = 0.7,
     maxTokens = 1024,
-    timeout = 30000,
+    timeout = provider.is_local ? LOCAL_TIMEOUT_MS : 30000,
+    stream = false,
+    jsonMode = false,
+    onDelta,
+    signal,
   } = options;
 
   const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeout);
+  let timeoutId = setTimeout(() => controller.abort(), timeout);
+  const resetTimeout = () => {
+    clearTimeout(timeoutId);
+    timeoutId = setTimeout(() => controller.abort(), timeout);
+  };
+
+  // Forward caller cancellation (e.g. the user pressing "Cancel")
+  let cancelled = false;
+  const onExternalAbort = () => {
+    cancelled = true;
+    controller.abort();
+  };
+  if (signal) {
+    if (signal.aborted) onExternalAbort();
+    else signal.addEventListener('abort', onExternalAbort);
+  }
 
   try {
     // Handle Anthropic's different API format
     const isAnthropic = provider.api_base_url.includes('anthropic.com');
     
-    let url = `${provider.api_base_url}/chat/completions`;
-    let headers = {
-      'Content-Type': 'application/json',
-    };
+    let path = '/chat/completions';
     let body;
 
     if (isAnthropic) {
-      url = `${provider.api_base_url}/messages`;
-      headers['x-api-key'] = provider.api_key_encrypted; // Will be decrypted server-side
-      headers['anthropic-version'] = '2023-06-01';
+      path = '/messages';
       
       // Convert messages format for Anthropic
       const systemMessage = messages.find(m => m.role === 'system');
       const otherMessages = messages.filter(m => m.role !== 'system');
       
-      body = JSON.stringify({
+      body = {
         model: provider.model_name,
         max_tokens: maxTokens,
         system: systemMessage?.content || '',
         messages: otherMessages,
-      });
+        ...(stream && { stream: true }),
+      };
     } else {
       // OpenAI-compatible format
-      headers['Authorization'] = `Bearer ${provider.api_key_encrypted}`;
-      
-      // OpenRouter requires additional headers
-      if (provider.api_base_url.includes('openrouter.ai')) {
-        headers['HTTP-Referer'] = window.location.origin;
-        headers['X-Title'] = 'Maximus Engagimus';
-      }
-
-      body = JSON.stringify({
+      body = {
         model: provider.model_name,
         messages,
         temperature,
         max_tokens: maxTokens,
-      });
+        ...(jsonMode && { response_format: { type: 'json_object' } }),
+        ...(stream && { stream: true }),
+        // Only OpenAI documents stream_options; other compatible APIs may reject it
+        ...(stream && provider.api_base_url.includes('api.openai.com') && {
+          stream_options: { include_usage: true },
+        }),
+      };
     }
 
-    const response = await fetch(url, {
-      method: 'POST',
-      headers,
+    const response = await sendProviderRequest(provider, {
+      path,
       body,
       signal: controller.signal,
     });
 
-    clearTimeout(timeoutId);
+    if (!stream) {
+      clearTimeout(timeoutId);
+    }
 
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({}));
@@ -182,7 +471,8 @@ async function makeCompletionRequest(provider, messages, options = {}) {
         throw new AIError(
           `Rate limit exceeded: ${errorMessage}`,
           'RATE_LIMIT',
-          provider.provider_name
+          provider.provider_name,
+          { retryAfterMs: parseRetryAfter(response.headers.get('retry-after')) }
         );
       }
       
@@ -195,6 +485,15 @@ async function makeCompletionRequest(provider, messages, options = {}) {
         );
       }
 
+      // Not every OpenAI-compatible API or model accepts response_format
+      if (jsonMode && !isAnthropic && response.status === 400 && /response_format|json/i.test(errorMessage)) {
+        throw new AIError(
+          `JSON mode not supported: ${errorMessage}`,
+          'JSON_MODE_UNSUPPORTED',
+          provider.provider_name
+        );
+      }
+
       throw new AIError(
         `API error: ${errorMessage}`,
         'API_ERROR',
@@ -202,6 +501,21 @@ async function makeCompletionRequest(provider, messages, options = {}) {
       );
     }
 
+    if (stream && response.body) {
+      const { content, usage } = await readCompletionStream(response, isAnthropic, {
+        onDelta,
+        onActivity: resetTimeout,
+      });
+      clearTimeout(timeoutId);
+
+      return {
+        content,
+        provider: provider.provider_name,
+        model: provider.model_name,
+        usage,
+      };
+    }
+
     const data = await response.json();
 
     // Extract content based on provider format
@@ -212,6 +526,11 @@ async function makeCompletionRequest(provider, messages, options = {}) {
       content = data.choices?.[0]?.message?.content || '';
     }
 
+    // Some providers ignore `stream: true`; surface the full text as one delta
+    if (stream && content) {
+      onDelta?.(content, content);
+    }
+
     return {
       content,
       provider: provider.provider_name,
@@ -221,6 +540,14 @@ async function makeCompletionRequest(provider, messages, options = {}) {
   } catch (error) {
     clearTimeout(timeoutId);
 
+    if (cancelled) {
+      throw new AIError(
+        'Generation cancelled',
+        'CANCELLED',
+        provider.provider_name
+      );
+    }
+
     if (error.name === 'AbortError') {
       throw new AIError(
         'Request timed out',
@@ -233,29 +560,54 @@ async function makeCompletionRequest(provider, messages, options = {}) {
       throw error;
     }
 
+    // fetch() rejects with a TypeError when nothing is listening
+    if (provider.is_local && error instanceof TypeError) {
+      throw new AIError(
+        `Could not reach ${provider.provider_name} at ${provider.api_base_url}. Is it running?`,
+        'NETWORK',
+        provider.provider_name
+      );
+    }
+
     throw new AIError(
       error.message || 'Unknown error',
       'UNKNOWN',
       provider.provider_name
     );
+  } finally {
+    signal?.removeEventListener('abort', onExternalAbort);
   }
 }
 
 /**
  * Generate a completion with automatic fallback
+ *
+ * Streaming options:
+ * - stream: read the response incrementally
+ * - onDelta(delta, content): called for every text fragment received
+ * - onReset(): called when partial output must be discarded because the
+ *   request is being retried or handed to the next provider
+ * - signal: AbortSignal that cancels the whole chain (no retry or fallback)
+ * - jsonMode: request a JSON object where the provider supports it; providers
+ *   that reject it are retried without
+ *
+ * Resolves with { content, provider, providerId, model, usage, estimatedCost };
+ * estimatedCost is null when the model has no price configured.
  */
 export async function generateCompletion(messages, options = {}) {
   const {
     maxRetries = 3,
     retryDelay = 1000,
     providerId,
+    onReset,
     ...completionOptions
   } = options;
+  const { signal } = completionOptions;
 
   // Get all active providers
   const providers = await getAIProviders();
   let activeProviders = providers
-    .filter(p => p.is_active && p.api_key_encrypted)
+    .filter(isProviderUsable)
     .sort((a, b) => {
       // Default provider first, then by fallback order
       if (a.is_default) return -1;
@@ -284,42 +636,111 @@ export async function generateCompletion(messages, options = {}) {
     );
   }
 
+  // Skip providers cooling down after repeated failures (unless picked explicitly)
+  if (!providerId) {
+    const available = activeProviders.filter(p => !isProviderTripped(p.id));
+    if (available.length === 0) {
+      const nextRetry = Math.min(...activeProviders.map(p => getProviderHealth(p.id).cooldownUntil));
+      const minutes = Math.max(1, Math.ceil((nextRetry - Date.now()) / 60000));
+      throw new AIError(
+        `All AI providers are paused after recent failures. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}, or test a provider in Settings.`,
+        'ALL_TRIPPED',
+        null
+      );
+    }
+    activeProviders = available;
+
+    // Try providers whose daily free-tier budget is nearly used up last
+    if (activeProviders.some(p => p.daily_request_limit || p.daily_token_limit)) {
+      const usage = await getAIProviderUsageToday().catch(() => []);
+      const quotas = getQuotaMap(activeProviders, usage);
+      activeProviders = [
+        ...activeProviders.filter(p => !isQuotaNearlyUsed(quotas[p.id])),
+        ...activeProviders.filter(p => isQuotaNearlyUsed(quotas[p.id])),
+      ];
+    }
+  }
+
   const errors = [];
+  let emittedOutput = false;
+  const { onDelta } = completionOptions;
+  const trackedOptions = {
+    ...completionOptions,
+    onDelta: onDelta && ((delta, content) => {
+      emittedOutput = true;
+      onDelta(delta, content);
+    }),
+  };
 
   // Try each provider in order
   for (const provider of activeProviders) {
     let lastError;
+    let jsonMode = !!completionOptions.jsonMode;
 
     // Retry logic for each provider
     for (let attempt = 0; attempt < maxRetries; attempt++) {
+      if (signal?.aborted) {
+        throw new AIError('Generation cancelled', 'CANCELLED', provider.provider_name);
+      }
+
       try {
         const result = await makeCompletionRequest(
           provider,
           messages,
-          completionOptions
+          { ...trackedOptions, jsonMode }
         );
-        return result;
+        recordProviderSuccess(provider.id);
+        recordAIProviderUsage(provider.id, result.usage || {})
+          .catch(err => console.warn('Failed to record AI usage:', err));
+        return {
+          ...result,
+          providerId: provider.id,
+          estimatedCost: estimateCost(result.usage, provider, result.model),
+        };
       } catch (error) {
         lastError = error;
 
-        // Don't retry on auth errors
-        if (error.code === 'AUTH_ERROR') {
+        // Cancellation stops the whole chain
+        if (error.code === 'CANCELLED') {
+          throw error;
+        }
+
+        // Discard any partial output before the next attempt
+        if (emittedOutput) {
+          emittedOutput = false;
+          onReset?.();
+        }
+
+        // Retry straight away without JSON mode; this doesn't count as a retry
+        if (error.code === 'JSON_MODE_UNSUPPORTED') {
+          jsonMode = false;
+          attempt--;
+          continue;
+        }
+
+        // Don't retry on auth errors or rate limits; move to the next provider
+        if (error.code === 'AUTH_ERROR' || error.code === 'RATE_LIMIT') {
           break;
         }
 
-        // Wait before retrying (with exponential backoff)
+        // Wait before retrying (with exponential backoff); cancelling cuts the wait short
         if (attempt < maxRetries - 1) {
-          await sleep(retryDelay * Math.pow(2, attempt));
+          await sleep(retryDelay * Math.pow(2, attempt), signal);
         }
       }
     }
 
     errors.push(lastError);
+    recordProviderFailure(provider.id, lastError);
 
     // If rate limited, try next provider immediately
     // Otherwise, wait a bit before trying next provider
     if (lastError?.code !== 'RATE_LIMIT') {
-      await sleep(500);
+      await sleep(500, signal);
+    }
+
+    if (signal?.aborted) {
+      throw new AIError('Generation cancelled', 'CANCELLED', provider.provider_name);
     }
   }
 
@@ -332,10 +753,146 @@ export async function generateCompletion(messages, options = {}) {
   );
 }
 
+/**
+ * Add up token usage from several requests
+ */
+export function combineUsage(...usages) {
+  const present = usages.filter(Boolean);
+  if (present.length === 0) return null;
+
+  const sum = key => present.reduce((total, usage) => total + (usage[key] || 0), 0);
+  return {
+    prompt_tokens: sum('prompt_tokens'),
+    completion_tokens: sum('completion_tokens'),
+    total_tokens: sum('total_tokens'),
+  };
+}
+
+/**
+ * Generate comment options as structured JSON
+ *
+ * Requests JSON mode and validates the response against the comment options
+ * schema. An invalid response is sent back to the same provider once with the
+ * validation errors; if that also fails, the heuristic parser is used.
+ *
+ * Accepts the same options as generateCompletion, plus `maxLength` and the
+ * `platform` whose character counting applies to it.
+ * Resolves with the completion result plus `options` and `parseMode`
+ * ('json', 'repaired' or 'heuristic').
+ */
+export async function generateCommentOptions(messages, options = {}) {
+  const { maxLength = null, platform = null, ...completionOptions } = options;
+
+  const result = await generateCompletion(messages, { ...completionOptions, jsonMode: true });
+  const validation = validateCommentOptions(result.content, { maxLength, platform });
+  if (validation.valid) {
+    return { ...result, options: validation.options, parseMode: 'json' };
+  }
+
+  console.warn('AI response failed schema validation:', validation.errors);
+
+  // The streamed options are about to be replaced by the repaired response
+  completionOptions.onReset?.();
+
+  let repair = null;
+  try {
+    repair = await generateCompletion(
+      [
+        ...messages,
+        { role: 'assistant', content: result.content },
+        { role: 'user', content: buildSchemaRepairPrompt(validation.errors) },
+      ],
+      { ...completionOptions, providerId: result.providerId, maxRetries: 1, jsonMode: true }
+    );
+  } catch (error) {
+    if (error.code === 'CANCELLED') throw error;
+    console.warn('Failed to repair AI response:', error);
+  }
+
+  const combined = repair
+    ? {
+        ...repair,
+        usage: combineUsage(result.usage, repair.usage),
+        estimatedCost: result.estimatedCost === null || repair.estimatedCost === null
+          ? null
+          : result.estimatedCost + repair.estimatedCost,
+      }
+    : result;
+
+  if (repair) {
+    const repairValidation = validateCommentOptions(repair.content, { maxLength, platform });
+    if (repairValidation.valid) {
+      return { ...combined, options: repairValidation.options, parseMode: 'repaired' };
+    }
+  }
+
+  return {
+    ...combined,
+    options: parseCommentOptions(combined.content, maxLength, platform),
+    parseMode: 'heuristic',
+  };
+}
+
+/**
+ * Extract the comment options that are already complete in a partial
+ * (still streaming) JSON response. Incomplete trailing objects are ignored.
+ */
+export function parsePartialCommentOptions(content, maxLength = null, platform = null) {
+  const start = content.indexOf('[');
+  if (start === -1) return [];
+
+  const options = [];
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let objectStart = -1;
+
+  for (let i = start + 1; i < content.length; i++) {
+    const char = content[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      if (depth === 0) objectStart = i;
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0 && objectStart !== -1) {
+        try {
+          const item = JSON.parse(content.slice(objectStart, i + 1));
+          const text = item.text || item.comment || item.content || '';
+          if (text) {
+            options.push({
+              index: options.length,
+              style: item.style || 'conversational',
+              ...fitCommentText(text, maxLength, platform),
+              ...(item.translation && { translation: item.translation }),
+            });
+          }
+        } catch {
+          // Skip objects that are not valid JSON
+        }
+        objectStart = -1;
+      }
+    } else if (char === ']' && depth === 0) {
+      break;
+    }
+  }
+
+  return options;
+}
+
 /**
  * Parse AI response to extract comment options
  */
-export function parseCommentOptions(content, maxLength = null) {
+export function parseCommentOptions(content, maxLength = null, platform = null) {
   const options = [];
   
   // Try to parse as JSON first
@@ -346,14 +903,10 @@ export function parseCommentOptions(content, maxLength = null) {
       if (Array.isArray(parsed)) {
         return parsed.map((item, index) => {
           const text = item.text || item.comment || item.content || '';
-          const truncatedText = maxLength && text.length > maxLength 
-            ? text.slice(0, maxLength).trim() 
-            : text;
           return {
             index,
             style: item.style || 'conversational',
-            text: truncatedText,
-            charCount: truncatedText.length,
+            ...fitCommentText(text, maxLength, platform),
           };
         });
       }
@@ -367,14 +920,10 @@ export function parseCommentOptions(content, maxLength = null) {
   let match;
   while ((match = numberedPattern.exec(content)) !== null) {
     const text = match[3].trim();
-    const truncatedText = maxLength && text.length > maxLength 
-      ? text.slice(0, maxLength).trim() 
-      : text;
     options.push({
       index: options.length,
       style: match[2].toLowerCase().replace(/\s+/g, '-'),
-      text: truncatedText,
-      charCount: truncatedText.length,
+      ...fitCommentText(text, maxLength, platform),
     });
   }
 
@@ -386,25 +935,17 @@ export function parseCommentOptions(content, maxLength = null) {
       const styleMatch = part.match(/^\[?(\w+(?:-\w+)?)\]?[:\s]+(.+)/s);
       if (styleMatch) {
         const text = styleMatch[2].trim();
-        const truncatedText = maxLength && text.length > maxLength 
-          ? text.slice(0, maxLength).trim() 
-          : text;
         options.push({
           index,
           style: styleMatch[1].toLowerCase().replace(/\s+/g, '-'),
-          text: truncatedText,
-          charCount: truncatedText.length,
+          ...fitCommentText(text, maxLength, platform),
         });
       } else {
         const text = part.trim();
-        const truncatedText = maxLength && text.length > maxLength 
-          ? text.slice(0, maxLength).trim() 
-          : text;
         options.push({
           index,
           style: 'conversational',
-          text: truncatedText,
-          charCount: truncatedText.length,
+          ...fitCommentText(text, maxLength, platform),
         });
       }
     });
@@ -450,8 +991,11 @@ export async function testProvider(provider) {
   try {
     const result = await makeCompletionRequest(provider, testMessages, {
       maxTokens: 20,
-      timeout: 30000, // 30 seconds for OpenRouter's slow responses
+      // 30 seconds for OpenRouter's slow responses; local models may need to load first
+      timeout: provider.is_local ? LOCAL_TIMEOUT_MS : 30000,
     });
+    // A passing test closes the circuit so the provider is tried again
+    recordProviderSuccess(provider.id);
     
     return {
       success: true,
@@ -459,6 +1003,8 @@ export async function testProvider(provider) {
       response: result.content,
     };
   } catch (error) {
+    recordProviderFailure(provider.id, error);
+
     // Log detailed error for debugging
     console.error('Test connection failed:', {
       provider: provider.provider_name,
@@ -491,11 +1037,18 @@ export async function testProvider(provider) {
 
 export default {
   generateCompletion,
+  generateCommentOptions,
+  combineUsage,
   parseCommentOptions,
+  parsePartialCommentOptions,
+  getPromptBudget,
   getChatLinks,
   buildPromptForClipboard,
   hasConfiguredProviders,
   testProvider,
+  isProviderUsable,
+  fetchLocalModels,
+  listModels,
   DEFAULT_PROVIDERS,
   AIError,
 };
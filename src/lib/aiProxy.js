@@ -0,0 +1,61 @@
+/**
+ * AI Proxy Client
+ *
+ * Browser side of the AI proxy (see server/ai-proxy.js). Provider API keys
+ * are stored and decrypted by the proxy only; the browser sends requests
+ * with the user's session token and never sees the key.
+ */
+
+import { getSession } from './supabase';
+
+const AI_PROXY_URL = (import.meta && import.meta.env && import.meta.env.VITE_AI_PROXY_URL) || '/api/ai';
+
+/**
+ * Build headers carrying the current session token
+ */
+async function getAuthHeaders() {
+  const session = await getSession();
+  if (!session?.access_token) {
+    throw new Error('You must be signed in to use AI providers');
+  }
+
+  return {
+    'Content-Type': 'application/json',
+    Authorization: `Bearer ${session.access_token}`,
+  };
+}
+
+/**
+ * Forward a request to an AI provider through the proxy
+ * Returns the raw provider Response (streams are passed through).
+ */
+export async function forwardToProvider(providerId, { path, method = 'POST', body, signal } = {}) {
+  return fetch(`${AI_PROXY_URL}/forward`, {
+    method: 'POST',
+    headers: await getAuthHeaders(),
+    body: JSON.stringify({ provider_id: providerId, path, method, body }),
+    signal,
+  });
+}
+
+/**
+ * Store (or clear, with an empty value) a provider's API key
+ */
+export async function saveProviderApiKey(providerId, apiKey) {
+  const response = await fetch(`${AI_PROXY_URL}/providers/${providerId}/key`, {
+    method: 'PUT',
+    headers: await getAuthHeaders(),
+    body: JSON.stringify({ api_key: apiKey || '' }),
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error?.message || `Failed to save API key (${response.status})`);
+  }
+  return data;
+}
+
+export default {
+  forwardToProvider,
+  saveProviderApiKey,
+};
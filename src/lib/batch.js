@@ -0,0 +1,121 @@
+/**
+ * Batch Generation Input
+ *
+ * Reads a CSV or JSON list of posts for bulk comment generation and checks
+ * each row against the organization's clients and supported platforms.
+ *
+ * Columns: client, platform, content, poster_info, hashtags, existing_comments,
+ * source_url
+ */
+
+import { parseCSV } from './csv';
+import { PLATFORMS } from './utils';
+
+// Largest batch accepted in one run
+export const MAX_BATCH_ROWS = 200;
+
+export const BATCH_COLUMNS = [
+  'client',
+  'platform',
+  'content',
+  'poster_info',
+  'hashtags',
+  'existing_comments',
+  'source_url',
+];
+
+/**
+ * Parse batch file contents (CSV, or JSON array / { posts: [...] })
+ * @param {string} text - File contents
+ * @param {string} filename - Used to pick the format
+ * @returns {Array<object>} Raw rows
+ */
+export function parseBatchFile(text, filename = '') {
+  const trimmed = text.trim();
+  const isJson = /\.json$/i.test(filename) || (!/\.csv$/i.test(filename) && /^[[{]/.test(trimmed));
+
+  if (!isJson) {
+    return parseCSV(trimmed);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(trimmed);
+  } catch (err) {
+    throw new Error(`Invalid JSON: ${err.message}`);
+  }
+
+  const rows = Array.isArray(data) ? data : data?.posts;
+  if (!Array.isArray(rows)) {
+    throw new Error('JSON must be an array of posts or an object with a "posts" array');
+  }
+
+  // Normalise keys so JSON and CSV rows look the same. Lists of comments
+  // keep one comment per paragraph; other lists (hashtags) are space-separated.
+  return rows.map(row => Object.fromEntries(
+    Object.entries(row || {}).map(([key, value]) => {
+      const column = key.trim().toLowerCase();
+      if (!Array.isArray(value)) return [column, String(value ?? '').trim()];
+      return [column, value.map(v => String(v ?? '').trim()).filter(Boolean).join(column === 'existing_comments' ? '\n\n' : ' ')];
+    })
+  ));
+}
+
+/**
+ * Match a platform value to a platform key ("LinkedIn", "x (twitter)" ...)
+ */
+function resolvePlatform(value) {
+  const normalized = (value || '').trim().toLowerCase();
+  if (!normalized) return null;
+  if (PLATFORMS[normalized]) return normalized;
+
+  if (normalized === 'twitter') return 'x';
+  const match = Object.entries(PLATFORMS).find(([, info]) => info.name.toLowerCase() === normalized);
+  return match ? match[0] : null;
+}
+
+/**
+ * Resolve rows to clients and platforms and report problems
+ * @param {Array<object>} rows - Raw rows from parseBatchFile
+ * @param {Array<object>} clients - Organization clients ({ id, name })
+ * @returns {Array<{ rowNumber: number, client: object|null, platform: string|null, content: string, posterInfo: string, hashtags: string, existingComments: string, sourceUrl: string, errors: string[] }>}
+ */
+export function resolveBatchRows(rows, clients) {
+  const byName = new Map(clients.map(c => [c.name.trim().toLowerCase(), c]));
+  const byId = new Map(clients.map(c => [c.id, c]));
+
+  return rows.map((row, index) => {
+    const errors = [];
+    const clientValue = (row.client || row.client_name || row.client_id || '').trim();
+    const client = byId.get(clientValue) || byName.get(clientValue.toLowerCase()) || null;
+    const platform = resolvePlatform(row.platform);
+    const content = (row.content || '').trim();
+
+    if (!clientValue) errors.push('Missing client');
+    else if (!client) errors.push(`Unknown client "${clientValue}"`);
+
+    if (!row.platform) errors.push('Missing platform');
+    else if (!platform) errors.push(`Unknown platform "${row.platform}"`);
+
+    if (!content) errors.push('Missing content');
+
+    return {
+      rowNumber: index + 1,
+      client,
+      platform,
+      content,
+      posterInfo: row.poster_info || '',
+      hashtags: row.hashtags || '',
+      existingComments: row.existing_comments || '',
+      sourceUrl: row.source_url || '',
+      errors,
+    };
+  });
+}
+
+export default {
+  MAX_BATCH_ROWS,
+  BATCH_COLUMNS,
+  parseBatchFile,
+  resolveBatchRows,
+};
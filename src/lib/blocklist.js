@@ -0,0 +1,164 @@
+/**
+ * Blocklist
+ *
+ * "Do not engage" rules: accounts, communities and topics a client (or the
+ * whole organization) must never comment on. A client's active competitors
+ * are blocked too. Rules are matched against the post content, the poster
+ * info and the URL the post came from.
+ */
+
+export const BLOCK_RULE_TYPES = {
+  account: {
+    label: 'Account',
+    placeholder: '@handle or account name',
+    description: 'Posts by this account, or mentioning its @handle',
+  },
+  community: {
+    label: 'Community',
+    placeholder: 'reddit.com/r/example, a group URL or domain',
+    description: 'Posts from this group, subreddit, forum or site',
+  },
+  topic: {
+    label: 'Topic',
+    placeholder: 'e.g., politics',
+    description: 'Posts that mention this word or phrase',
+  },
+};
+
+/**
+ * Raised when generation is stopped by a blocklist rule
+ */
+export class BlockedContentError extends Error {
+  constructor(message, matches) {
+    super(message);
+    this.name = 'BlockedContentError';
+    this.matches = matches;
+  }
+}
+
+const FIELD_NAMES = {
+  content: 'post',
+  posterInfo: 'poster info',
+  sourceUrl: 'post URL',
+};
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Hostname and path without scheme, "www." or trailing slash
+ */
+function stripUrl(value) {
+  return value
+    .trim()
+    .toLowerCase()
+    .replace(/^https?:\/\//, '')
+    .replace(/^www\./, '')
+    .replace(/\/+$/, '');
+}
+
+/**
+ * Normalize a rule value the way it is stored and matched
+ */
+export function normalizeBlockValue(ruleType, value) {
+  const trimmed = (value || '').trim();
+  if (ruleType === 'account') {
+    // Profile URLs keep only the handle
+    const handle = /^(https?:\/\/|www\.)/i.test(trimmed)
+      ? stripUrl(trimmed).split('/').filter(Boolean).pop() || ''
+      : trimmed;
+    return handle.replace(/^@/, '').toLowerCase();
+  }
+  if (ruleType === 'community') {
+    return stripUrl(trimmed);
+  }
+  return trimmed.toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Rules that block a client's competitors: their name as an account and
+ * their website's domain as a community
+ */
+export function competitorRules(competitors = [], clientId = null) {
+  return competitors
+    .filter(c => c.is_active !== false)
+    .flatMap(competitor => {
+      const owner = clientId || competitor.client_id;
+      const reason = `Competitor: ${competitor.name}`;
+      const rules = [{ client_id: owner, rule_type: 'account', value: normalizeBlockValue('account', competitor.name), reason }];
+      const domain = competitor.website && stripUrl(competitor.website).split('/')[0];
+      if (domain) {
+        rules.push({ client_id: owner, rule_type: 'community', value: domain, reason });
+      }
+      return rules;
+    });
+}
+
+/**
+ * Rules that apply to a client: organization-wide rules plus its own
+ */
+export function rulesForClient(rules, clientId) {
+  return rules.filter(rule => !rule.client_id || rule.client_id === clientId);
+}
+
+/**
+ * Whether `phrase` appears in `text` as whole words
+ */
+function containsPhrase(text, phrase) {
+  if (!phrase) return false;
+  return new RegExp(`(^|[^\\p{L}\\p{N}_])${escapeRegExp(phrase)}($|[^\\p{L}\\p{N}_])`, 'iu').test(text);
+}
+
+/**
+ * Rules matched by a post
+ * @param {Array} rules - Blocklist rules ({ rule_type, value, reason, client_id })
+ * @param {{ content?: string, posterInfo?: string, sourceUrl?: string }} post
+ * @returns {Array<{ rule: object, field: 'content'|'posterInfo'|'sourceUrl' }>}
+ */
+export function findBlockMatches(rules, { content = '', posterInfo = '', sourceUrl = '' } = {}) {
+  const fields = { sourceUrl: sourceUrl || '', posterInfo: posterInfo || '', content: content || '' };
+  const urlSegments = stripUrl(fields.sourceUrl).split(/[/?#]/).filter(Boolean);
+
+  return rules.flatMap(rule => {
+    const value = rule.value;
+    let field = null;
+
+    if (rule.rule_type === 'account') {
+      // Written by the account, or @-mentioning it
+      if (urlSegments.slice(1).some(segment => segment.replace(/^@/, '') === value)) {
+        field = 'sourceUrl';
+      } else if (containsPhrase(fields.posterInfo, value) || containsPhrase(fields.posterInfo, `@${value}`)) {
+        field = 'posterInfo';
+      } else if (containsPhrase(fields.content, `@${value}`)) {
+        field = 'content';
+      }
+    } else if (rule.rule_type === 'community') {
+      field = Object.keys(fields).find(key => fields[key].toLowerCase().includes(value)) || null;
+    } else if (rule.rule_type === 'topic') {
+      field = ['posterInfo', 'content'].find(key => containsPhrase(fields[key], value)) || null;
+    }
+
+    return field ? [{ rule, field }] : [];
+  });
+}
+
+/**
+ * One-line explanation of a match, for the UI
+ */
+export function describeBlockMatch({ rule, field }) {
+  const type = BLOCK_RULE_TYPES[rule.rule_type]?.label.toLowerCase() || rule.rule_type;
+  const where = FIELD_NAMES[field] || field;
+  const scope = rule.client_id ? '' : ' (all clients)';
+  return `Blocked ${type} "${rule.value}" in the ${where}${scope}${rule.reason ? `: ${rule.reason}` : ''}`;
+}
+
+export default {
+  BLOCK_RULE_TYPES,
+  BlockedContentError,
+  normalizeBlockValue,
+  competitorRules,
+  rulesForClient,
+  findBlockMatches,
+  describeBlockMatch,
+};
@@ -0,0 +1,104 @@
+/**
+ * Comment Options Schema
+ *
+ * Validates the structured JSON the model is asked to return for comment
+ * generation: {"options": [{"style": "...", "text": "..."}]}. A bare array
+ * of option objects is accepted too, since older prompt templates ask for one.
+ * Options may carry an optional "translation" string.
+ */
+
+import { fitCommentText } from './textLength';
+
+/**
+ * Pull a JSON value out of a model response, tolerating code fences and
+ * chatter around the JSON
+ */
+export function extractJson(content) {
+  const trimmed = content
+    .trim()
+    .replace(/^```(?:json)?\s*/i, '')
+    .replace(/\s*```$/, '');
+
+  try {
+    return JSON.parse(trimmed);
+  } catch {
+    // Fall back to the outermost object or array in the text
+  }
+
+  const match = trimmed.match(/[[{][\s\S]*[\]}]/);
+  if (!match) {
+    throw new Error('Response does not contain JSON');
+  }
+  return JSON.parse(match[0]);
+}
+
+/**
+ * Validate a model response against the comment options schema
+ * @param {string|object|Array} content - Raw response text or parsed JSON
+ * @param {{ maxLength?: number|null, platform?: string|null }} options - Over-long
+ *   texts are shortened with platform-aware character counting
+ * @returns {{ valid: boolean, errors: string[], options: Array }}
+ */
+export function validateCommentOptions(content, { maxLength = null, platform = null } = {}) {
+  let data = content;
+
+  if (typeof content === 'string') {
+    try {
+      data = extractJson(content);
+    } catch (err) {
+      return { valid: false, errors: [`Response is not valid JSON: ${err.message}`], options: [] };
+    }
+  }
+
+  const items = Array.isArray(data) ? data : data?.options;
+  if (!Array.isArray(items)) {
+    return { valid: false, errors: ['Expected an object with an "options" array'], options: [] };
+  }
+  if (items.length === 0) {
+    return { valid: false, errors: ['"options" must contain at least one comment'], options: [] };
+  }
+
+  const errors = [];
+  const options = [];
+
+  items.forEach((item, i) => {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      errors.push(`options[${i}] must be an object with "style" and "text"`);
+      return;
+    }
+    if (typeof item.text !== 'string' || !item.text.trim()) {
+      errors.push(`options[${i}].text must be a non-empty string`);
+      return;
+    }
+    if (item.style !== undefined && typeof item.style !== 'string') {
+      errors.push(`options[${i}].style must be a string`);
+      return;
+    }
+
+    const translation = typeof item.translation === 'string' ? item.translation.trim() : '';
+    options.push({
+      index: options.length,
+      style: item.style?.trim().toLowerCase() || 'conversational',
+      ...fitCommentText(item.text.trim(), maxLength, platform),
+      // English translation, when the prompt asked for one
+      ...(translation && { translation }),
+    });
+  });
+
+  return { valid: errors.length === 0, errors, options: errors.length ? [] : options };
+}
+
+/**
+ * Follow-up message asking the model to fix an invalid response
+ */
+export function buildSchemaRepairPrompt(errors) {
+  return `Your previous response did not match the required format:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Respond again with ONLY a JSON object of the form {"options": [{"style": "...", "text": "..."}]}. No markdown, headings or commentary.`;
+}
+
+export default {
+  validateCommentOptions,
+  buildSchemaRepairPrompt,
+};
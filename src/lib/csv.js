@@ -0,0 +1,96 @@
+/**
+ * CSV Parsing
+ *
+ * Minimal RFC 4180 parser: quoted fields, escaped quotes ("") and line
+ * breaks inside quotes, CRLF or LF line endings.
+ */
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings)
+ */
+export function parseCSVRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(value => value.trim()));
+}
+
+/**
+ * Parse CSV text with a header row into objects keyed by column name.
+ * Header names are trimmed and lowercased.
+ */
+export function parseCSV(text) {
+  const [header, ...rows] = parseCSVRows(text);
+  if (!header) return [];
+
+  const columns = header.map(name => name.trim().toLowerCase());
+  return rows.map(values =>
+    Object.fromEntries(columns.map((column, i) => [column, (values[i] ?? '').trim()]))
+  );
+}
+
+/**
+ * Quote a value for CSV output when needed
+ */
+function escapeCSVValue(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize objects to CSV using the given columns
+ */
+export function toCSV(rows, columns) {
+  return [
+    columns.join(','),
+    ...rows.map(row => columns.map(column => escapeCSVValue(row[column])).join(',')),
+  ].join('\n');
+}
+
+export default {
+  parseCSVRows,
+  parseCSV,
+  toCSV,
+};
@@ -0,0 +1,80 @@
+/**
+ * Line Diff
+ *
+ * Line-by-line comparison of two texts for the prompt template history,
+ * based on the longest common subsequence of lines.
+ */
+
+/**
+ * Diff two texts line by line
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Array<{ type: 'same'|'added'|'removed', text: string, oldLine: number|null, newLine: number|null }>}
+ */
+export function diffLines(before, after) {
+  const a = (before || '').split('\n');
+  const b = (after || '').split('\n');
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      result.push({ type: 'same', text: a[i], oldLine: i + 1, newLine: j + 1 });
+      i++;
+      j++;
+    } else if (j < b.length && (i === a.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+      result.push({ type: 'added', text: b[j], oldLine: null, newLine: j + 1 });
+      j++;
+    } else {
+      result.push({ type: 'removed', text: a[i], oldLine: i + 1, newLine: null });
+      i++;
+    }
+  }
+
+  // Show removals before additions within each changed block
+  for (let start = 0; start < result.length; start++) {
+    if (result[start].type === 'same') continue;
+    let end = start;
+    while (end < result.length && result[end].type !== 'same') end++;
+    const block = result.slice(start, end);
+    result.splice(
+      start,
+      block.length,
+      ...block.filter(line => line.type === 'removed'),
+      ...block.filter(line => line.type === 'added')
+    );
+    start = end;
+  }
+
+  return result;
+}
+
+/**
+ * Count added and removed lines
+ */
+export function summarizeDiff(diff) {
+  return diff.reduce(
+    (counts, line) => {
+      if (line.type === 'added') counts.added++;
+      if (line.type === 'removed') counts.removed++;
+      return counts;
+    },
+    { added: 0, removed: 0 }
+  );
+}
+
+export default {
+  diffLines,
+  summarizeDiff,
+};
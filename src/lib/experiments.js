@@ -0,0 +1,106 @@
+/**
+ * Prompt Experiments
+ *
+ * A/B tests between prompt template variants: validating an experiment,
+ * assigning generations to variants, and summarizing outcomes per variant
+ * from `generated_comments` rows.
+ */
+
+import { buildTemplateContext, renderPromptTemplate } from './prompts';
+import { compareRates } from './stats';
+
+export const MIN_VARIANTS = 2;
+
+/**
+ * Check an experiment before it is saved
+ * @param {{ name: string, variants: Array<{ name: string, template?: string, weight?: number }> }} experiment
+ * @returns {string[]} Problems, empty when valid
+ */
+export function validateExperiment({ name, variants = [] }) {
+  const errors = [];
+
+  if (!name?.trim()) errors.push('Name is required');
+  if (variants.length < MIN_VARIANTS) errors.push(`Add at least ${MIN_VARIANTS} variants`);
+
+  const names = variants.map(v => v.name?.trim().toLowerCase());
+  if (names.some(n => !n)) errors.push('Every variant needs a name');
+  else if (new Set(names).size !== names.length) errors.push('Variant names must be unique');
+
+  variants.forEach(variant => {
+    if (variant.weight !== undefined && !(Number(variant.weight) > 0)) {
+      errors.push(`${variant.name || 'Variant'}: weight must be greater than 0`);
+    }
+    if (!variant.template?.trim()) return;
+    try {
+      renderPromptTemplate(variant.template, buildTemplateContext({ client: { name: 'Client' }, platform: 'other' }));
+    } catch (err) {
+      errors.push(`${variant.name || 'Variant'}: ${err.message}`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Pick a variant at random, in proportion to its weight (default 1)
+ * @param {Array<{ weight?: number }>} variants
+ * @param {Function} [random] - Returns a number in [0, 1)
+ */
+export function pickVariant(variants, random = Math.random) {
+  if (!variants?.length) return null;
+
+  const weights = variants.map(v => Math.max(Number(v.weight) || 1, 0));
+  let target = random() * weights.reduce((sum, w) => sum + w, 0);
+
+  for (let i = 0; i < variants.length; i++) {
+    target -= weights[i];
+    if (target < 0) return variants[i];
+  }
+  return variants[variants.length - 1];
+}
+
+/**
+ * Outcomes per variant, each compared against the first (control) variant
+ * @param {Array<object>} variants - Variants in display order
+ * @param {Array<{ experiment_variant_id: string, is_used: boolean, selected_option_index: number|null }>} rows
+ * @returns {Array<{ variant: object, generations: number, used: number, usedRate: number|null, optionCounts: object, preferredOptionIndex: number|null, comparison: object|null }>}
+ */
+export function summarizeExperiment(variants, rows) {
+  const summaries = variants.map(variant => {
+    const variantRows = rows.filter(r => r.experiment_variant_id === variant.id);
+    const used = variantRows.filter(r => r.is_used);
+
+    // Same count as getCommentStats' preferredOptionIndex, per variant
+    const optionCounts = {};
+    used.forEach(r => {
+      if (r.selected_option_index !== null && r.selected_option_index !== undefined) {
+        optionCounts[r.selected_option_index] = (optionCounts[r.selected_option_index] || 0) + 1;
+      }
+    });
+    const preferred = Object.entries(optionCounts).sort((a, b) => b[1] - a[1])[0];
+
+    return {
+      variant,
+      generations: variantRows.length,
+      used: used.length,
+      usedRate: variantRows.length ? used.length / variantRows.length : null,
+      optionCounts,
+      preferredOptionIndex: preferred ? Number(preferred[0]) : null,
+      comparison: null,
+    };
+  });
+
+  const [control, ...others] = summaries;
+  others.forEach(summary => {
+    summary.comparison = compareRates(control.used, control.generations, summary.used, summary.generations);
+  });
+
+  return summaries;
+}
+
+export default {
+  MIN_VARIANTS,
+  validateExperiment,
+  pickVariant,
+  summarizeExperiment,
+};
@@ -0,0 +1,184 @@
+/**
+ * Comment Guardrails
+ *
+ * Checks generated options against the rules the prompt gives the model:
+ * the platform prompt's hashtag and emoji limits, no phrases lifted from
+ * existing comments, no banned words (built-in plus the client's own), and no
+ * sales pitch when the CTA is off. Each option gets a score and a list of
+ * violations.
+ */
+
+import { getPlatformPromptDefaults } from './prompts';
+
+// "Avoid hashtags unless specifically requested"
+const DEFAULT_MAX_HASHTAGS = 0;
+
+// Shared run of words that counts as repeating an existing comment
+const PHRASE_WORDS = 5;
+
+// Score lost per violation (out of 100)
+const VIOLATION_PENALTY = 25;
+
+// Filler that makes comments read as machine-written
+export const DEFAULT_BANNED_WORDS = [
+  'delve',
+  'game-changer',
+  'game changer',
+  'synergy',
+  'elevate your',
+  'unlock the power',
+  'in today\'s fast-paced world',
+  'as an ai',
+];
+
+// Sales language that breaks "no promotional content" when the CTA is off
+const SALES_PATTERNS = [
+  /\b(buy|order|shop|sign up) (now|today)\b/i,
+  /\b(discount|promo code|coupon)\b|\d+% off\b/i,
+  /\blimited[- ]time\b/i,
+  /\b(dm|message|call|contact|email) us\b/i,
+  /\bcheck out our\b/i,
+  /\b(visit|see) our (website|site|page|store|shop)\b/i,
+  /\blink in (our )?bio\b/i,
+  /\bfree (quote|consultation|trial|estimate)\b/i,
+  /\bbook (a|an|your) (call|consultation|appointment|demo)\b/i,
+  /https?:\/\/|www\./i,
+];
+
+export const GUARDRAIL_RULES = {
+  hashtags: 'Hashtags',
+  emojis: 'Emojis',
+  repeated_phrase: 'Repeated phrase',
+  banned_word: 'Banned word',
+  sales: 'Sales language',
+};
+
+// "#1" and the like are not hashtags
+const HASHTAG_PATTERN = /(^|\s)#[\p{N}_]*\p{L}[\p{L}\p{N}_]*/gu;
+const EMOJI_PATTERN = /\p{Extended_Pictographic}\uFE0F?(\u200D\p{Extended_Pictographic}\uFE0F?)*/gu;
+
+function toWords(text) {
+  return (text || '').toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Rules for one generation
+ * @param {object} platformPrompt - The platform prompt in effect (client
+ *   override, organization or built-in default); its max_hashtags and
+ *   max_emojis set the limits, falling back to the platform's built-in ones
+ *   (saved rows don't store limits)
+ * @param {{ platform?: string, includeCta?: boolean, existingComments?: string, bannedWords?: string[] }} options
+ */
+export function getGuardrailRules(platformPrompt, { platform, includeCta = false, existingComments = '', bannedWords = [] } = {}) {
+  const defaults = getPlatformPromptDefaults(platform || platformPrompt?.platform);
+
+  const words = toWords(existingComments);
+  const existingPhrases = new Set();
+  for (let i = 0; i + PHRASE_WORDS <= words.length; i++) {
+    existingPhrases.add(words.slice(i, i + PHRASE_WORDS).join(' '));
+  }
+
+  return {
+    maxHashtags: platformPrompt?.max_hashtags ?? defaults.max_hashtags ?? DEFAULT_MAX_HASHTAGS,
+    maxEmojis: platformPrompt?.max_emojis ?? defaults.max_emojis ?? null,
+    existingPhrases,
+    bannedWords: [...new Set([...DEFAULT_BANNED_WORDS, ...(bannedWords || []).map(w => w.trim().toLowerCase())])].filter(Boolean),
+    allowSales: includeCta,
+  };
+}
+
+/**
+ * Rule violations in a comment
+ * @returns {Array<{ rule: string, message: string }>}
+ */
+export function findViolations(text, rules) {
+  const violations = [];
+
+  const hashtags = (text.match(HASHTAG_PATTERN) || []).length;
+  if (hashtags > rules.maxHashtags) {
+    violations.push({
+      rule: 'hashtags',
+      message: rules.maxHashtags === 0
+        ? `Uses ${hashtags} hashtag${hashtags !== 1 ? 's' : ''}`
+        : `Uses ${hashtags} hashtags (max ${rules.maxHashtags})`,
+    });
+  }
+
+  if (rules.maxEmojis !== null) {
+    const emojis = (text.match(EMOJI_PATTERN) || []).length;
+    if (emojis > rules.maxEmojis) {
+      violations.push({
+        rule: 'emojis',
+        message: rules.maxEmojis === 0
+          ? `Uses ${emojis} emoji${emojis !== 1 ? 's' : ''}`
+          : `Uses ${emojis} emojis (max ${rules.maxEmojis})`,
+      });
+    }
+  }
+
+  if (rules.existingPhrases.size > 0) {
+    const words = toWords(text);
+    for (let i = 0; i + PHRASE_WORDS <= words.length; i++) {
+      const phrase = words.slice(i, i + PHRASE_WORDS).join(' ');
+      if (rules.existingPhrases.has(phrase)) {
+        violations.push({ rule: 'repeated_phrase', message: `Repeats "${phrase}" from an existing comment` });
+        break;
+      }
+    }
+  }
+
+  const banned = rules.bannedWords.find(word =>
+    new RegExp(`(^|[^\\p{L}])${escapeRegExp(word)}($|[^\\p{L}])`, 'iu').test(text)
+  );
+  if (banned) {
+    violations.push({ rule: 'banned_word', message: `Contains "${banned}"` });
+  }
+
+  if (!rules.allowSales) {
+    const match = SALES_PATTERNS.map(pattern => text.match(pattern)).find(Boolean);
+    if (match) {
+      violations.push({ rule: 'sales', message: `Sounds promotional ("${match[0]}") with the call-to-action off` });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Score each option and attach its violations as `guardrails`
+ */
+export function applyGuardrails(options, rules) {
+  return options.map(option => {
+    const violations = findViolations(option.text, rules);
+    return {
+      ...option,
+      guardrails: {
+        score: Math.max(100 - violations.length * VIOLATION_PENALTY, 0),
+        violations,
+      },
+    };
+  });
+}
+
+/**
+ * Refinement instruction asking the model to fix an option's violations
+ */
+export function buildGuardrailFixInstruction(violations) {
+  return `This comment breaks the rules:
+${violations.map(v => `- ${v.message}`).join('\n')}
+
+Rewrite it so it follows every rule, keeping its point and style.`;
+}
+
+export default {
+  DEFAULT_BANNED_WORDS,
+  GUARDRAIL_RULES,
+  getGuardrailRules,
+  findViolations,
+  applyGuardrails,
+  buildGuardrailFixInstruction,
+};
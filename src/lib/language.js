@@ -0,0 +1,93 @@
+/**
+ * Languages
+ *
+ * Languages comments can be generated in, and a lightweight detector for the
+ * language of the post being responded to.
+ */
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// Picks the language from the post, falling back to the client's default
+export const AUTO_LANGUAGE = 'auto';
+
+export const LANGUAGES = {
+  en: { name: 'English', nativeName: 'English' },
+  es: { name: 'Spanish', nativeName: 'Español' },
+  fr: { name: 'French', nativeName: 'Français' },
+  de: { name: 'German', nativeName: 'Deutsch' },
+  pt: { name: 'Portuguese', nativeName: 'Português' },
+  it: { name: 'Italian', nativeName: 'Italiano' },
+};
+
+// Frequent short words that are rare in the other supported languages
+const STOPWORDS = {
+  en: ['the', 'and', 'is', 'are', 'this', 'that', 'with', 'for', 'you', 'have', 'was', 'what', 'it', 'of', 'to'],
+  es: ['el', 'la', 'los', 'las', 'y', 'es', 'que', 'de', 'en', 'un', 'una', 'por', 'para', 'con', 'muy', 'pero', 'está', 'esto'],
+  fr: ['le', 'la', 'les', 'et', 'est', 'que', 'de', 'des', 'un', 'une', 'pour', 'avec', 'pas', 'très', 'mais', 'c\'est', 'je', 'vous'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ein', 'eine', 'mit', 'für', 'auf', 'sehr', 'aber', 'ich', 'sie', 'wir'],
+  pt: ['o', 'os', 'as', 'e', 'é', 'que', 'de', 'do', 'da', 'um', 'uma', 'para', 'com', 'muito', 'mas', 'não', 'você'],
+  it: ['il', 'lo', 'gli', 'e', 'è', 'che', 'di', 'del', 'della', 'un', 'una', 'per', 'con', 'molto', 'ma', 'non', 'sono'],
+};
+
+// Fewer stopword hits than this and the text is too short to call
+const MIN_DETECTION_HITS = 3;
+
+/**
+ * Display name for a language code
+ */
+export function getLanguageName(code) {
+  return LANGUAGES[code]?.name || LANGUAGES[DEFAULT_LANGUAGE].name;
+}
+
+/**
+ * Guess the language of a text from stopword frequency
+ * @returns {string|null} Language code, or null when too short or unclear
+ */
+export function detectLanguage(text) {
+  const words = (text || '')
+    .toLowerCase()
+    .replace(/https?:\/\/\S+|[#@]\S+/g, ' ')
+    .match(/[\p{L}']+/gu) || [];
+
+  const scores = Object.fromEntries(Object.keys(STOPWORDS).map(code => [code, 0]));
+  const sets = Object.fromEntries(Object.entries(STOPWORDS).map(([code, list]) => [code, new Set(list)]));
+  words.forEach(word => {
+    Object.keys(sets).forEach(code => {
+      if (sets[code].has(word)) scores[code]++;
+    });
+  });
+
+  const [best, second] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  if (best[1] < MIN_DETECTION_HITS || best[1] === second[1]) return null;
+  return best[0];
+}
+
+/**
+ * The language to generate in
+ * @param {string} selected - Language code or AUTO_LANGUAGE
+ * @param {{ client?: object, content?: string }} context
+ * @returns {{ language: string, detected: boolean }}
+ */
+export function resolveLanguage(selected, { client, content } = {}) {
+  if (selected && selected !== AUTO_LANGUAGE && LANGUAGES[selected]) {
+    return { language: selected, detected: false };
+  }
+
+  const detected = detectLanguage(content);
+  if (detected) return { language: detected, detected: true };
+
+  const clientDefault = client?.default_language;
+  return {
+    language: LANGUAGES[clientDefault] ? clientDefault : DEFAULT_LANGUAGE,
+    detected: false,
+  };
+}
+
+export default {
+  DEFAULT_LANGUAGE,
+  AUTO_LANGUAGE,
+  LANGUAGES,
+  getLanguageName,
+  detectLanguage,
+  resolveLanguage,
+};
@@ -0,0 +1,62 @@
+/**
+ * Token Pricing
+ *
+ * Estimates the cost of a completion from the per-model price table
+ * stored on `ai_providers.model_pricing`:
+ *
+ *   { "gpt-4o-mini": { "input": 0.15, "output": 0.6 } }
+ *
+ * Prices are USD per 1M tokens. A "*" entry applies to any model
+ * without its own price.
+ */
+
+/**
+ * Look up the price entry for a provider's model
+ * @returns {{ input: number, output: number } | null}
+ */
+export function getModelPrice(provider, model = provider?.model_name) {
+  const pricing = provider?.model_pricing || {};
+  const price = pricing[model] || pricing['*'];
+  if (!price) return null;
+
+  return {
+    input: Number(price.input) || 0,
+    output: Number(price.output) || 0,
+  };
+}
+
+/**
+ * Estimate the USD cost of a completion
+ * Free and local providers cost nothing; returns null when no price is known.
+ */
+export function estimateCost(usage, provider, model = provider?.model_name) {
+  const price = getModelPrice(provider, model);
+
+  if (!price) {
+    return provider?.is_free || provider?.is_local ? 0 : null;
+  }
+  if (!usage) return null;
+
+  const promptTokens = usage.prompt_tokens || 0;
+  const completionTokens = usage.completion_tokens || 0;
+  const cost = (promptTokens * price.input + completionTokens * price.output) / 1_000_000;
+
+  // Matches the NUMERIC(12, 6) column
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+/**
+ * Format a USD amount, keeping precision for sub-cent values
+ */
+export function formatCost(amount) {
+  if (amount === null || amount === undefined) return '—';
+  if (amount === 0) return '$0.00';
+  if (amount < 0.01) return `$${amount.toFixed(4)}`;
+  return `$${amount.toFixed(2)}`;
+}
+
+export default {
+  getModelPrice,
+  estimateCost,
+  formatCost,
+};
@@ -0,0 +1,148 @@
+/**
+ * Prompt Budget
+ *
+ * Keeps prompts inside the model's context window. Tokens are estimated from
+ * character counts, context limits come from the provider (or a table of
+ * known models), and optional prompt sections are trimmed lowest priority
+ * first until the prompt fits.
+ */
+
+// Rough average for English text; errs towards overestimating
+const CHARS_PER_TOKEN = 4;
+
+// Used for models we don't recognise (typically small local models)
+export const DEFAULT_CONTEXT_LIMIT = 8192;
+
+// Headroom for chat formatting and tokenizer differences
+export const PROMPT_SAFETY_MARGIN = 256;
+
+// Context windows of common models, first match wins
+const MODEL_CONTEXT_LIMITS = [
+  { pattern: /gemini-(1\.5|2)/i, tokens: 1000000 },
+  { pattern: /claude/i, tokens: 200000 },
+  { pattern: /gpt-4\.1/i, tokens: 1000000 },
+  { pattern: /gpt-4o|gpt-4-turbo|o1|o3|o4/i, tokens: 128000 },
+  { pattern: /gpt-3\.5/i, tokens: 16385 },
+  { pattern: /gpt-4/i, tokens: 8192 },
+  { pattern: /llama-?3\.[1-3]|llama-?4/i, tokens: 128000 },
+  { pattern: /deepseek/i, tokens: 64000 },
+  { pattern: /mixtral|mistral|qwen/i, tokens: 32768 },
+  { pattern: /llama|gemma|phi/i, tokens: 8192 },
+];
+
+const TRUNCATION_MARKER = '\n[... trimmed to fit the model\'s context window]';
+
+/**
+ * Estimate the number of tokens in a text
+ */
+export function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Context window of a provider's model: the provider's own setting, then the
+ * known-model table, then DEFAULT_CONTEXT_LIMIT
+ */
+export function getContextLimit(provider, model = provider?.model_name) {
+  if (provider?.context_window > 0) return provider.context_window;
+  const known = MODEL_CONTEXT_LIMITS.find(entry => entry.pattern.test(model || ''));
+  return known ? known.tokens : DEFAULT_CONTEXT_LIMIT;
+}
+
+/**
+ * Tokens left for the prompt when every provider in the fallback chain must
+ * fit it, after reserving room for the completion
+ */
+export function getPromptTokenBudget(providers, { maxTokens = 0 } = {}) {
+  if (!providers?.length) return null;
+  const limit = Math.min(...providers.map(p => getContextLimit(p)));
+  return Math.max(limit - maxTokens - PROMPT_SAFETY_MARGIN, 0);
+}
+
+/**
+ * Cut a text down to roughly `tokens`, keeping the start
+ */
+function trimText(text, tokens) {
+  const maxChars = Math.max(tokens * CHARS_PER_TOKEN - TRUNCATION_MARKER.length, 0);
+  if (text.length <= maxChars) return text;
+  return text.slice(0, maxChars).trimEnd() + TRUNCATION_MARKER;
+}
+
+/**
+ * Trim optional sections until they fit in `budget` tokens
+ *
+ * Sections with the highest `priority` are cut first. 'text' sections lose
+ * their tail (never below `minTokens`); 'items' sections drop items from the
+ * end, keeping at least `minItems`.
+ *
+ * @param {Array<{ key: string, label: string, priority: number, type?: 'text'|'items', value: string|Array, minTokens?: number, minItems?: number, measure?: Function }>} sections
+ * @param {number} budget - Tokens available to all sections together
+ * @returns {{ values: object, cuts: Array<{ key: string, label: string, removedTokens: number, removed: boolean }>, fits: boolean }}
+ */
+export function fitSections(sections, budget) {
+  const measure = section => (section.type === 'items'
+    ? section.value.reduce((sum, item) => sum + section.measure(item), 0)
+    : estimateTokens(section.value));
+
+  const state = sections.map(section => ({
+    ...section,
+    value: section.type === 'items' ? [...section.value] : section.value || '',
+    measure: section.measure || estimateTokens,
+  }));
+  state.forEach(section => { section.original = measure(section); });
+
+  let over = state.reduce((sum, s) => sum + s.original, 0) - budget;
+
+  [...state]
+    .sort((a, b) => b.priority - a.priority)
+    .forEach(section => {
+      if (over <= 0) return;
+      const before = measure(section);
+
+      if (section.type === 'items') {
+        const minItems = section.minItems || 0;
+        while (over > 0 && section.value.length > minItems) {
+          over -= section.measure(section.value.pop());
+        }
+      } else {
+        const keep = Math.max(before - over, section.minTokens || 0);
+        if (keep < before) {
+          section.value = keep > 0 ? trimText(section.value, keep) : '';
+          over -= before - measure(section);
+        }
+      }
+    });
+
+  return {
+    values: Object.fromEntries(state.map(s => [s.key, s.value])),
+    cuts: state
+      .filter(s => measure(s) < s.original)
+      .map(s => ({
+        key: s.key,
+        label: s.label,
+        removedTokens: s.original - measure(s),
+        removed: s.type === 'items' ? s.value.length === 0 : !s.value,
+      })),
+    fits: over <= 0,
+  };
+}
+
+/**
+ * One-line description of what was cut, for the UI
+ */
+export function describeCuts(cuts) {
+  return cuts
+    .map(cut => `${cut.label} ${cut.removed ? 'removed' : 'shortened'} (~${cut.removedTokens.toLocaleString()} tokens)`)
+    .join(', ');
+}
+
+export default {
+  DEFAULT_CONTEXT_LIMIT,
+  PROMPT_SAFETY_MARGIN,
+  estimateTokens,
+  getContextLimit,
+  getPromptTokenBudget,
+  fitSections,
+  describeCuts,
+};
@@ -0,0 +1,166 @@
+/**
+ * AI Provider Health Tracking
+ *
+ * Keeps a small per-provider health record in localStorage so the
+ * fallback chain can skip providers that keep failing (circuit breaker)
+ * and honour Retry-After on rate limits.
+ */
+
+const STORAGE_KEY = 'ai_provider_health';
+const WINDOW_SIZE = 10; // Recent calls used for the failure rate
+const FAILURE_THRESHOLD = 3; // Consecutive failures before tripping
+const BASE_COOLDOWN = 60 * 1000; // 1 minute, doubled for each further failure
+const MAX_COOLDOWN = 30 * 60 * 1000; // 30 minutes
+const AUTH_COOLDOWN = MAX_COOLDOWN; // Bad keys don't fix themselves
+
+/**
+ * Read all health records
+ */
+function readAll() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Persist all health records
+ */
+function writeAll(records) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(records));
+  } catch (err) {
+    console.warn('Error saving provider health:', err);
+  }
+}
+
+/**
+ * Update one provider's record
+ */
+function updateRecord(providerId, update) {
+  const records = readAll();
+  const current = records[providerId] || {
+    recent: [],
+    consecutiveFailures: 0,
+    cooldownUntil: null,
+  };
+  records[providerId] = update(current);
+  writeAll(records);
+  return records[providerId];
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Get the raw health record for a provider
+ */
+export function getProviderHealth(providerId) {
+  return readAll()[providerId] || null;
+}
+
+/**
+ * Record a successful call (closes the circuit)
+ */
+export function recordProviderSuccess(providerId, now = Date.now()) {
+  return updateRecord(providerId, record => ({
+    ...record,
+    recent: [...record.recent, { ok: true, at: now }].slice(-WINDOW_SIZE),
+    consecutiveFailures: 0,
+    cooldownUntil: null,
+    lastSuccessAt: now,
+  }));
+}
+
+/**
+ * Record a failed call and trip the circuit when needed
+ */
+export function recordProviderFailure(providerId, error, now = Date.now()) {
+  return updateRecord(providerId, record => {
+    const consecutiveFailures = record.consecutiveFailures + 1;
+    let cooldown = 0;
+
+    if (error?.code === 'RATE_LIMIT') {
+      cooldown = error.retryAfterMs ?? BASE_COOLDOWN;
+    } else if (error?.code === 'AUTH_ERROR') {
+      cooldown = AUTH_COOLDOWN;
+    } else if (consecutiveFailures >= FAILURE_THRESHOLD) {
+      cooldown = Math.min(
+        BASE_COOLDOWN * Math.pow(2, consecutiveFailures - FAILURE_THRESHOLD),
+        MAX_COOLDOWN
+      );
+    }
+
+    return {
+      ...record,
+      recent: [...record.recent, { ok: false, at: now }].slice(-WINDOW_SIZE),
+      consecutiveFailures,
+      cooldownUntil: cooldown ? Math.max(record.cooldownUntil || 0, now + cooldown) : record.cooldownUntil,
+      lastErrorCode: error?.code || 'UNKNOWN',
+      lastErrorMessage: error?.message || null,
+      lastFailureAt: now,
+    };
+  });
+}
+
+/**
+ * Whether a provider is cooling down and should be skipped
+ */
+export function isProviderTripped(providerId, now = Date.now()) {
+  const record = getProviderHealth(providerId);
+  return !!record?.cooldownUntil && record.cooldownUntil > now;
+}
+
+/**
+ * Summarise a provider's health for display
+ * @returns {{ status: 'unknown'|'healthy'|'degraded'|'tripped', failureRate: number, cooldownUntil: number|null, lastErrorCode: string|null, lastErrorMessage: string|null }}
+ */
+export function getProviderStatus(providerId, now = Date.now()) {
+  const record = getProviderHealth(providerId);
+
+  if (!record || !record.recent.length) {
+    return { status: 'unknown', failureRate: 0, cooldownUntil: null, lastErrorCode: null, lastErrorMessage: null };
+  }
+
+  const failures = record.recent.filter(r => !r.ok).length;
+  const failureRate = failures / record.recent.length;
+  const tripped = !!record.cooldownUntil && record.cooldownUntil > now;
+
+  return {
+    status: tripped ? 'tripped' : failureRate >= 0.3 ? 'degraded' : 'healthy',
+    failureRate,
+    cooldownUntil: tripped ? record.cooldownUntil : null,
+    lastErrorCode: record.lastErrorCode || null,
+    lastErrorMessage: record.lastErrorMessage || null,
+  };
+}
+
+/**
+ * Forget a provider's history (e.g. after its key is replaced)
+ */
+export function resetProviderHealth(providerId) {
+  const records = readAll();
+  delete records[providerId];
+  writeAll(records);
+}
+
+export default {
+  parseRetryAfter,
+  getProviderHealth,
+  recordProviderSuccess,
+  recordProviderFailure,
+  isProviderTripped,
+  getProviderStatus,
+  resetProviderHealth,
+};
@@ -0,0 +1,77 @@
+/**
+ * AI Provider Quotas
+ *
+ * Compares a provider's usage today (from `ai_provider_usage`) with the
+ * daily limits configured on `ai_providers`, so generation can route away
+ * from free tiers before they run out.
+ */
+
+// Share of a daily budget after which a provider counts as nearly used up
+export const QUOTA_WARNING_THRESHOLD = 0.9;
+
+/**
+ * Work out quota status for a provider
+ * @param {object} provider - Row with daily_request_limit / daily_token_limit
+ * @param {object|null} usage - Today's usage row (request_count, total_tokens)
+ * @returns {{ status: 'unlimited'|'ok'|'low'|'exhausted', fraction: number, requestsUsed: number, requestLimit: number|null, tokensUsed: number, tokenLimit: number|null }}
+ */
+export function getQuotaStatus(provider, usage) {
+  const requestLimit = provider?.daily_request_limit || null;
+  const tokenLimit = provider?.daily_token_limit || null;
+  const requestsUsed = usage?.request_count || 0;
+  const tokensUsed = usage?.total_tokens || 0;
+
+  if (!requestLimit && !tokenLimit) {
+    return { status: 'unlimited', fraction: 0, requestsUsed, requestLimit, tokensUsed, tokenLimit };
+  }
+
+  const fraction = Math.max(
+    requestLimit ? requestsUsed / requestLimit : 0,
+    tokenLimit ? tokensUsed / tokenLimit : 0
+  );
+
+  let status = 'ok';
+  if (fraction >= 1) status = 'exhausted';
+  else if (fraction >= QUOTA_WARNING_THRESHOLD) status = 'low';
+
+  return { status, fraction, requestsUsed, requestLimit, tokensUsed, tokenLimit };
+}
+
+/**
+ * Whether a provider should be tried only after the others
+ */
+export function isQuotaNearlyUsed(quota) {
+  return quota?.status === 'low' || quota?.status === 'exhausted';
+}
+
+/**
+ * Build a map of providerId -> quota status
+ */
+export function getQuotaMap(providers, usageRows = []) {
+  const usageByProvider = new Map(usageRows.map(row => [row.provider_id, row]));
+  return Object.fromEntries(
+    providers.map(p => [p.id, getQuotaStatus(p, usageByProvider.get(p.id))])
+  );
+}
+
+/**
+ * Human-readable summary, e.g. "13,100 of 14,400 requests"
+ */
+export function formatQuota(quota) {
+  const parts = [];
+  if (quota.requestLimit) {
+    parts.push(`${quota.requestsUsed.toLocaleString('en-US')} of ${quota.requestLimit.toLocaleString('en-US')} requests`);
+  }
+  if (quota.tokenLimit) {
+    parts.push(`${quota.tokensUsed.toLocaleString('en-US')} of ${quota.tokenLimit.toLocaleString('en-US')} tokens`);
+  }
+  return parts.join(', ');
+}
+
+export default {
+  QUOTA_WARNING_THRESHOLD,
+  getQuotaStatus,
+  isQuotaNearlyUsed,
+  getQuotaMap,
+  formatQuota,
+};
@@ -44,7 +44,14 @@ CREATE TABLE clients (
   description TEXT,
   voice_prompt TEXT NOT NULL,
   default_cta TEXT,
+  voice_prompt_with_cta TEXT, -- replaces voice_prompt when a CTA is included
   target_audience TEXT,
+  default_language VARCHAR(10) DEFAULT 'auto', -- language code, or 'auto' to follow the post
+  prompt_template TEXT, -- overrides the organization template when set
+  learn_from_history BOOLEAN DEFAULT false, -- add recently used comments as style examples
+  learned_example_limit INTEGER DEFAULT 3 CHECK (learned_example_limit BETWEEN 1 AND 10),
+  banned_words TEXT[] DEFAULT '{}', -- words and phrases flagged in generated comments, on top of the built-in list
+  duplicate_threshold INTEGER DEFAULT 60 CHECK (duplicate_threshold BETWEEN 0 AND 100), -- % similarity to a used comment that flags a repeat; 0 turns the check off
   is_active BOOLEAN DEFAULT true,
   created_at TIMESTAMPTZ DEFAULT NOW(),
   updated_at TIMESTAMPTZ DEFAULT NOW()
@@ -178,7 +185,13 @@ CREATE TABLE ai_providers (
   organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
   provider_name VARCHAR(100) NOT NULL,
   api_base_url TEXT NOT NULL,
-  api_key_encrypted TEXT,
+  api_key_encrypted TEXT, -- Encrypted by the AI proxy; never readable by app users
+  has_api_key BOOLEAN DEFAULT false,
+  is_local BOOLEAN DEFAULT false, -- Self-hosted (Ollama, LM Studio...); called from the browser, no key
+  daily_request_limit INTEGER, -- Free-tier budgets; NULL means unlimited
+  daily_token_limit INTEGER,
+  context_window INTEGER, -- tokens; NULL uses the known limit for the model
+  model_pricing JSONB DEFAULT '{}', -- USD per 1M tokens: {"model": {"input": 0.15, "output": 0.6}}
   model_name VARCHAR(100) NOT NULL,
   is_free BOOLEAN DEFAULT false,
   is_active BOOLEAN DEFAULT true,
@@ -251,7 +264,11 @@ CREATE TABLE generated_comments (
   is_used BOOLEAN DEFAULT false,
   used_at TIMESTAMPTZ,
   ai_provider_used VARCHAR(100),
+  ai_model_used VARCHAR(100),
   generation_time_ms INTEGER,
+  prompt_tokens INTEGER,
+  completion_tokens INTEGER,
+  estimated_cost_usd NUMERIC(12, 6), -- NULL when the model has no price configured
   created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
@@ -261,6 +278,158 @@ CREATE INDEX idx_generated_comments_user ON generated_comments(user_id);
 CREATE INDEX idx_generated_comments_platform ON generated_comments(platform);
 CREATE INDEX idx_generated_comments_created ON generated_comments(created_at);
 CREATE INDEX idx_generated_comments_used ON generated_comments(is_used);
+CREATE INDEX idx_generated_comments_learning ON generated_comments(client_id, platform, used_at DESC) WHERE is_used = true;
+
+-- ============================================
+-- TABLE 15: AI_PROVIDER_USAGE
+-- ============================================
+-- Daily request/token counts per provider, used for free-tier quotas
+CREATE TABLE ai_provider_usage (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  provider_id UUID NOT NULL REFERENCES ai_providers(id) ON DELETE CASCADE,
+  usage_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  request_count INTEGER NOT NULL DEFAULT 0,
+  prompt_tokens INTEGER NOT NULL DEFAULT 0,
+  completion_tokens INTEGER NOT NULL DEFAULT 0,
+  total_tokens INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(provider_id, usage_date)
+);
+
+CREATE INDEX idx_ai_provider_usage_org_date ON ai_provider_usage(organization_id, usage_date);
+
+-- ============================================
+-- TABLE 16: PROMPT_TEMPLATE_VERSIONS
+-- ============================================
+-- Every saved system prompt template and platform prompt, numbered per
+-- (organization, template_type, platform). Written via record_prompt_template_version()
+CREATE TABLE prompt_template_versions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  template_type VARCHAR(20) NOT NULL CHECK (template_type IN ('system', 'platform')),
+  platform VARCHAR(50), -- NULL for the system template
+  version_number INTEGER NOT NULL,
+  content TEXT NOT NULL,
+  max_length INTEGER, -- platform prompts only
+  restored_from INTEGER, -- version number this one was rolled back to
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX idx_prompt_template_versions_number
+  ON prompt_template_versions(organization_id, template_type, COALESCE(platform, ''), version_number);
+
+-- ============================================
+-- TABLE 17: CLIENT_PLATFORM_PROMPTS
+-- ============================================
+-- Per-client platform prompt overrides (take precedence over platform_prompts)
+CREATE TABLE client_platform_prompts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  platform VARCHAR(50) NOT NULL CHECK (platform IN (
+    'instagram', 'facebook', 'linkedin', 'x', 'tiktok', 
+    'reddit', 'forum', 'houzz', 'youtube', 'other'
+  )),
+  style_prompt TEXT NOT NULL,
+  max_length INTEGER, -- NULL keeps the organization/default length
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(client_id, platform)
+);
+
+CREATE INDEX idx_client_platform_prompts_client ON client_platform_prompts(client_id);
+
+-- ============================================
+-- TABLE 18: PROMPT_EXPERIMENTS
+-- ============================================
+-- A/B tests between prompt template variants; one running per organization
+CREATE TABLE prompt_experiments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'running', 'stopped')),
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  started_at TIMESTAMPTZ,
+  stopped_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_prompt_experiments_org ON prompt_experiments(organization_id);
+CREATE UNIQUE INDEX idx_prompt_experiments_running
+  ON prompt_experiments(organization_id) WHERE status = 'running';
+
+-- ============================================
+-- TABLE 19: PROMPT_EXPERIMENT_VARIANTS
+-- ============================================
+CREATE TABLE prompt_experiment_variants (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  experiment_id UUID NOT NULL REFERENCES prompt_experiments(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  template TEXT, -- NULL uses the template that would otherwise apply (control)
+  weight INTEGER NOT NULL DEFAULT 1 CHECK (weight > 0),
+  position INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_prompt_experiment_variants_experiment ON prompt_experiment_variants(experiment_id);
+
+-- ============================================
+-- TABLE 20: CLIENT_CTAS
+-- ============================================
+-- Named calls-to-action in addition to clients.default_cta
+CREATE TABLE client_ctas (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  cta_text TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(client_id, name)
+);
+
+CREATE INDEX idx_client_ctas_client ON client_ctas(client_id);
+
+-- ============================================
+-- TABLE 21: BLOCKLIST_RULES
+-- ============================================
+-- "Do not engage" rules. Rules without a client apply to every client.
+CREATE TABLE blocklist_rules (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  client_id UUID REFERENCES clients(id) ON DELETE CASCADE,
+  rule_type VARCHAR(20) NOT NULL CHECK (rule_type IN ('account', 'community', 'topic')),
+  value TEXT NOT NULL, -- normalized: handle without @, domain/path without scheme, lowercase topic
+  reason TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  -- Organization-wide rules (NULL client_id) must be unique too
+  UNIQUE NULLS NOT DISTINCT (organization_id, client_id, rule_type, value)
+);
+
+CREATE INDEX idx_blocklist_rules_organization ON blocklist_rules(organization_id);
+CREATE INDEX idx_blocklist_rules_client ON blocklist_rules(client_id);
+
+-- Template versions that produced each generation
+ALTER TABLE generated_comments
+  ADD COLUMN template_version_id UUID REFERENCES prompt_template_versions(id) ON DELETE SET NULL,
+  ADD COLUMN platform_prompt_version_id UUID REFERENCES prompt_template_versions(id) ON DELETE SET NULL;
+
+-- Experiment variant each generation was assigned to
+ALTER TABLE generated_comments
+  ADD COLUMN experiment_id UUID REFERENCES prompt_experiments(id) ON DELETE SET NULL,
+  ADD COLUMN experiment_variant_id UUID REFERENCES prompt_experiment_variants(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_generated_comments_experiment ON generated_comments(experiment_id);
+
+-- Named CTA used by each generation (NULL with include_cta means the default CTA)
+ALTER TABLE generated_comments
+  ADD COLUMN cta_id UUID REFERENCES client_ctas(id) ON DELETE SET NULL;
+
+-- Language the comments were written in
+ALTER TABLE generated_comments
+  ADD COLUMN language VARCHAR(10) DEFAULT 'en';
 
 -- ============================================
 -- ROW LEVEL SECURITY POLICIES
@@ -281,6 +450,13 @@ ALTER TABLE ai_providers ENABLE ROW LEVEL SECURITY;
 ALTER TABLE ai_chat_links ENABLE ROW LEVEL SECURITY;
 ALTER TABLE platform_prompts ENABLE ROW LEVEL SECURITY;
 ALTER TABLE generated_comments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE ai_provider_usage ENABLE ROW LEVEL SECURITY;
+ALTER TABLE prompt_template_versions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE client_platform_prompts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE prompt_experiments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE prompt_experiment_variants ENABLE ROW LEVEL SECURITY;
+ALTER TABLE client_ctas ENABLE ROW LEVEL SECURITY;
+ALTER TABLE blocklist_rules ENABLE ROW LEVEL SECURITY;
 
 -- Helper function to get user's organization
 CREATE OR REPLACE FUNCTION get_user_organization_id()
@@ -447,6 +623,24 @@ CREATE POLICY "Users can manage client industry sites"
   ON client_industry_sites FOR ALL
   USING (client_id IN (SELECT id FROM clients WHERE organization_id = get_user_organization_id()));
 
+-- Client Platform Prompts: Access through client
+CREATE POLICY "Users can view client platform prompts"
+  ON client_platform_prompts FOR SELECT
+  USING (client_id IN (SELECT id FROM clients WHERE organization_id = get_user_organization_id()));
+
+CREATE POLICY "Users can manage client platform prompts"
+  ON client_platform_prompts FOR ALL
+  USING (client_id IN (SELECT id FROM clients WHERE organization_id = get_user_organization_id()));
+
+-- Client CTAs: Access through client
+CREATE POLICY "Users can view client ctas"
+  ON client_ctas FOR SELECT
+  USING (client_id IN (SELECT id FROM clients WHERE organization_id = get_user_organization_id()));
+
+CREATE POLICY "Users can manage client ctas"
+  ON client_ctas FOR ALL
+  USING (client_id IN (SELECT id FROM clients WHERE organization_id = get_user_organization_id()));
+
 -- Competitors: Access through client
 CREATE POLICY "Users can view competitors"
   ON competitors FOR SELECT
@@ -491,6 +685,21 @@ CREATE POLICY "Users can manage org AI providers"
   ON ai_providers FOR ALL
   USING (organization_id = get_user_organization_id());
 
+-- AI Providers: API keys are only readable/writable by the AI proxy (service role)
+REVOKE SELECT, INSERT, UPDATE ON ai_providers FROM anon, authenticated;
+GRANT SELECT (id, organization_id, provider_name, api_base_url, model_name, is_free, is_active,
+  is_default, fallback_order, notes, has_api_key, is_local, daily_request_limit, daily_token_limit,
+  model_pricing, context_window, created_at, updated_at)
+  ON ai_providers TO authenticated;
+GRANT INSERT (organization_id, provider_name, api_base_url, model_name, is_free, is_active,
+  is_default, fallback_order, notes, is_local, daily_request_limit, daily_token_limit, model_pricing,
+  context_window)
+  ON ai_providers TO authenticated;
+GRANT UPDATE (provider_name, api_base_url, model_name, is_free, is_active,
+  is_default, fallback_order, notes, is_local, daily_request_limit, daily_token_limit, model_pricing,
+  context_window)
+  ON ai_providers TO authenticated;
+
 -- AI Chat Links: Org-scoped + system links
 CREATE POLICY "Users can view AI chat links"
   ON ai_chat_links FOR SELECT
@@ -522,6 +731,43 @@ CREATE POLICY "Users can update org generated comments"
   ON generated_comments FOR UPDATE
   USING (organization_id = get_user_organization_id());
 
+-- AI Provider Usage: Organization-scoped, written via record_ai_provider_usage()
+CREATE POLICY "Users can view org AI provider usage"
+  ON ai_provider_usage FOR SELECT
+  USING (organization_id = get_user_organization_id());
+
+-- Prompt Template Versions: Organization-scoped, append-only via record_prompt_template_version()
+CREATE POLICY "Users can view org prompt template versions"
+  ON prompt_template_versions FOR SELECT
+  USING (organization_id = get_user_organization_id());
+
+-- Prompt Experiments: Organization-scoped
+CREATE POLICY "Users can view org prompt experiments"
+  ON prompt_experiments FOR SELECT
+  USING (organization_id = get_user_organization_id());
+
+CREATE POLICY "Users can manage org prompt experiments"
+  ON prompt_experiments FOR ALL
+  USING (organization_id = get_user_organization_id());
+
+-- Prompt Experiment Variants: Access through experiment
+CREATE POLICY "Users can view prompt experiment variants"
+  ON prompt_experiment_variants FOR SELECT
+  USING (experiment_id IN (SELECT id FROM prompt_experiments WHERE organization_id = get_user_organization_id()));
+
+CREATE POLICY "Users can manage prompt experiment variants"
+  ON prompt_experiment_variants FOR ALL
+  USING (experiment_id IN (SELECT id FROM prompt_experiments WHERE organization_id = get_user_organization_id()));
+
+-- Blocklist Rules: Organization-scoped
+CREATE POLICY "Users can view org blocklist rules"
+  ON blocklist_rules FOR SELECT
+  USING (organization_id = get_user_organization_id());
+
+CREATE POLICY "Users can manage org blocklist rules"
+  ON blocklist_rules FOR ALL
+  USING (organization_id = get_user_organization_id());
+
 -- ============================================
 -- UPDATED_AT TRIGGER FUNCTION
 -- ============================================
@@ -558,10 +804,41 @@ CREATE TRIGGER update_ai_providers_updated_at
   BEFORE UPDATE ON ai_providers
   FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+-- Keep has_api_key in sync so the app can tell a key exists without reading it.
+-- Changing the base URL drops the stored key so it is never sent to the new host.
+CREATE OR REPLACE FUNCTION sync_ai_provider_has_api_key()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'UPDATE'
+    AND NEW.api_base_url IS DISTINCT FROM OLD.api_base_url
+    AND NEW.api_key_encrypted IS NOT DISTINCT FROM OLD.api_key_encrypted THEN
+    NEW.api_key_encrypted = NULL;
+  END IF;
+  NEW.has_api_key = NEW.api_key_encrypted IS NOT NULL AND NEW.api_key_encrypted <> '';
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER sync_ai_providers_has_api_key
+  BEFORE INSERT OR UPDATE ON ai_providers
+  FOR EACH ROW EXECUTE FUNCTION sync_ai_provider_has_api_key();
+
 CREATE TRIGGER update_platform_prompts_updated_at
   BEFORE UPDATE ON platform_prompts
   FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_client_platform_prompts_updated_at
+  BEFORE UPDATE ON client_platform_prompts
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_prompt_experiments_updated_at
+  BEFORE UPDATE ON prompt_experiments
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_client_ctas_updated_at
+  BEFORE UPDATE ON client_ctas
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 -- ============================================
 -- SEED DATA: SYSTEM DEFAULTS
 -- ============================================
@@ -637,7 +914,6 @@ RETURNS TABLE (
   id UUID,
   provider_name VARCHAR,
   api_base_url TEXT,
-  api_key_encrypted TEXT,
   model_name VARCHAR
 ) AS $$
 BEGIN
@@ -646,7 +922,6 @@ BEGIN
     ap.id,
     ap.provider_name,
     ap.api_base_url,
-    ap.api_key_encrypted,
     ap.model_name
   FROM ai_providers ap
   WHERE ap.organization_id = org_id
@@ -657,6 +932,120 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql SECURITY DEFINER;
 
+-- Function to count a completed AI request against today's provider usage
+CREATE OR REPLACE FUNCTION record_ai_provider_usage(
+  p_provider_id UUID,
+  p_prompt_tokens INTEGER DEFAULT 0,
+  p_completion_tokens INTEGER DEFAULT 0,
+  p_total_tokens INTEGER DEFAULT 0
+)
+RETURNS VOID AS $$
+BEGIN
+  INSERT INTO ai_provider_usage (
+    organization_id, provider_id, usage_date,
+    request_count, prompt_tokens, completion_tokens, total_tokens
+  )
+  SELECT ap.organization_id, ap.id, CURRENT_DATE, 1,
+    COALESCE(p_prompt_tokens, 0), COALESCE(p_completion_tokens, 0), COALESCE(p_total_tokens, 0)
+  FROM ai_providers ap
+  WHERE ap.id = p_provider_id
+    AND ap.organization_id = get_user_organization_id()
+  ON CONFLICT (provider_id, usage_date) DO UPDATE SET
+    request_count = ai_provider_usage.request_count + 1,
+    prompt_tokens = ai_provider_usage.prompt_tokens + EXCLUDED.prompt_tokens,
+    completion_tokens = ai_provider_usage.completion_tokens + EXCLUDED.completion_tokens,
+    total_tokens = ai_provider_usage.total_tokens + EXCLUDED.total_tokens,
+    updated_at = NOW();
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Function to store the next version of a system template or platform prompt
+CREATE OR REPLACE FUNCTION record_prompt_template_version(
+  p_template_type VARCHAR,
+  p_content TEXT,
+  p_platform VARCHAR DEFAULT NULL,
+  p_max_length INTEGER DEFAULT NULL,
+  p_restored_from INTEGER DEFAULT NULL
+)
+RETURNS prompt_template_versions AS $$
+DECLARE
+  org_id UUID := get_user_organization_id();
+  next_number INTEGER;
+  result prompt_template_versions;
+BEGIN
+  -- Serialize numbering for this template
+  PERFORM pg_advisory_xact_lock(hashtext(org_id::text || p_template_type || COALESCE(p_platform, '')));
+
+  SELECT COALESCE(MAX(version_number), 0) + 1 INTO next_number
+  FROM prompt_template_versions
+  WHERE organization_id = org_id
+    AND template_type = p_template_type
+    AND platform IS NOT DISTINCT FROM p_platform;
+
+  INSERT INTO prompt_template_versions (
+    organization_id, template_type, platform, version_number,
+    content, max_length, restored_from, created_by
+  )
+  VALUES (
+    org_id, p_template_type, p_platform, next_number,
+    p_content, p_max_length, p_restored_from, auth.uid()
+  )
+  RETURNING * INTO result;
+
+  RETURN result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Save the organization's system prompt template and record its version in
+-- one transaction, so a template never changes without a history entry
+CREATE OR REPLACE FUNCTION save_system_prompt_template(
+  p_template TEXT,
+  p_restored_from INTEGER DEFAULT NULL
+)
+RETURNS organizations AS $$
+DECLARE
+  result organizations;
+BEGIN
+  UPDATE organizations
+  SET system_prompt_template = p_template
+  WHERE id = get_user_organization_id()
+  RETURNING * INTO result;
+
+  IF result.id IS NULL THEN
+    RAISE EXCEPTION 'Organization not found';
+  END IF;
+
+  PERFORM record_prompt_template_version('system', p_template, NULL, NULL, p_restored_from);
+
+  RETURN result;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Save the organization's platform prompt and record its version in one transaction
+CREATE OR REPLACE FUNCTION save_platform_prompt(
+  p_platform VARCHAR,
+  p_style_prompt TEXT,
+  p_max_length INTEGER DEFAULT NULL,
+  p_restored_from INTEGER DEFAULT NULL
+)
+RETURNS platform_prompts AS $$
+DECLARE
+  result platform_prompts;
+BEGIN
+  INSERT INTO platform_prompts (organization_id, platform, style_prompt, max_length, is_system)
+  VALUES (get_user_organization_id(), p_platform, p_style_prompt, p_max_length, false)
+  ON CONFLICT (organization_id, platform) DO UPDATE
+  SET style_prompt = EXCLUDED.style_prompt,
+      max_length = EXCLUDED.max_length,
+      is_system = false
+  RETURNING * INTO result;
+
+  PERFORM record_prompt_template_version('platform', result.style_prompt, p_platform, result.max_length, p_restored_from);
+
+  RETURN result;
+END;
+$$ LANGUAGE plpgsql;
+
 -- Function to mark comment as used
 CREATE OR REPLACE FUNCTION mark_comment_used(comment_id UUID, option_index INTEGER, option_style VARCHAR)
 RETURNS VOID AS $$
@@ -0,0 +1,124 @@
+/**
+ * Text Similarity
+ *
+ * Lightweight similarity checks for generated comments, used to warn when
+ * comments written for different clients would look copy-pasted if posted
+ * in the same thread, and when a new comment repeats one the client already
+ * posted.
+ */
+
+// Score at or above which two comments are considered too similar
+export const SIMILARITY_THRESHOLD = 0.5;
+
+// Default score at or above which an option repeats a used comment
+export const DUPLICATE_THRESHOLD = 0.6;
+
+/**
+ * Lowercase words without punctuation
+ */
+function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s']/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+/**
+ * Set of word n-grams (unigrams for very short texts)
+ */
+function shingles(words, size) {
+  if (words.length < size) return new Set(words);
+  const result = new Set();
+  for (let i = 0; i <= words.length - size; i++) {
+    result.add(words.slice(i, i + size).join(' '));
+  }
+  return result;
+}
+
+/**
+ * Similarity of two texts from 0 (unrelated) to 1 (identical wording)
+ *
+ * Dice coefficient over word pairs, so shared phrasing counts for more than
+ * a shared vocabulary.
+ */
+export function textSimilarity(a, b) {
+  const wordsA = tokenize(a);
+  const wordsB = tokenize(b);
+  if (wordsA.length === 0 || wordsB.length === 0) return 0;
+
+  const size = Math.min(wordsA.length, wordsB.length) < 4 ? 1 : 2;
+  const setA = shingles(wordsA, size);
+  const setB = shingles(wordsB, size);
+
+  let shared = 0;
+  setA.forEach(item => {
+    if (setB.has(item)) shared++;
+  });
+
+  return (2 * shared) / (setA.size + setB.size);
+}
+
+/**
+ * Find pairs of options from different clients that are too similar
+ * @param {Array<{ clientId: string, clientName: string, options: Array }>} groups
+ * @param {{ threshold?: number }} options
+ * @returns {Array<{ a: object, b: object, score: number }>} Most similar first
+ */
+export function findCrossClientSimilarities(groups, { threshold = SIMILARITY_THRESHOLD } = {}) {
+  const pairs = [];
+
+  groups.forEach((groupA, i) => {
+    groups.slice(i + 1).forEach(groupB => {
+      (groupA.options || []).forEach((optionA, indexA) => {
+        (groupB.options || []).forEach((optionB, indexB) => {
+          const score = textSimilarity(optionA.text, optionB.text);
+          if (score >= threshold) {
+            pairs.push({
+              a: { clientId: groupA.clientId, clientName: groupA.clientName, optionIndex: indexA },
+              b: { clientId: groupB.clientId, clientName: groupB.clientName, optionIndex: indexB },
+              score,
+            });
+          }
+        });
+      });
+    });
+  });
+
+  return pairs.sort((x, y) => y.score - x.score);
+}
+
+/**
+ * Flag options that repeat a comment the client already used
+ * @param {Array} options - Comment options ({ text, ... })
+ * @param {Array<{ generation_id: string, comment_text: string, used_at: string }>} history
+ * @param {{ threshold?: number }} options
+ * @returns {Array} The options, each with `duplicate`: the closest used
+ *   comment at or above the threshold ({ score, generationId, text, usedAt }),
+ *   or null
+ */
+export function flagDuplicates(options, history = [], { threshold = DUPLICATE_THRESHOLD } = {}) {
+  return options.map(option => {
+    let duplicate = null;
+    history.forEach(entry => {
+      const score = textSimilarity(option.text, entry.comment_text);
+      if (score >= threshold && (!duplicate || score > duplicate.score)) {
+        duplicate = {
+          score,
+          generationId: entry.generation_id,
+          text: entry.comment_text,
+          usedAt: entry.used_at,
+        };
+      }
+    });
+    return { ...option, duplicate };
+  });
+}
+
+export default {
+  SIMILARITY_THRESHOLD,
+  DUPLICATE_THRESHOLD,
+  textSimilarity,
+  findCrossClientSimilarities,
+  flagDuplicates,
+};
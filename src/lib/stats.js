@@ -0,0 +1,72 @@
+/**
+ * Statistics
+ *
+ * Small helpers for comparing outcome rates between prompt experiment
+ * variants.
+ */
+
+// p-value below which a difference counts as significant
+export const SIGNIFICANCE_LEVEL = 0.05;
+
+// Generations each group needs before a test result is shown
+export const MIN_SAMPLE_SIZE = 30;
+
+/**
+ * Standard normal cumulative distribution function
+ *
+ * Uses the Abramowitz and Stegun 7.1.26 approximation of erf (error < 1.5e-7).
+ */
+export function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Two-sided two-proportion z-test
+ * @returns {{ z: number, pValue: number }|null} null when a group is empty or
+ *   both groups have the same all-or-nothing outcome
+ */
+export function twoProportionZTest(successesA, totalA, successesB, totalB) {
+  if (!totalA || !totalB) return null;
+
+  const pooled = (successesA + successesB) / (totalA + totalB);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / totalA + 1 / totalB));
+  if (standardError === 0) return null;
+
+  const z = (successesB / totalB - successesA / totalA) / standardError;
+  return { z, pValue: 2 * (1 - normalCdf(Math.abs(z))) };
+}
+
+/**
+ * Compare two success rates
+ * @returns {{ status: 'insufficient'|'significant'|'not-significant', pValue: number|null, difference: number|null }}
+ */
+export function compareRates(successesA, totalA, successesB, totalB) {
+  const difference = totalA && totalB ? successesB / totalB - successesA / totalA : null;
+
+  if (totalA < MIN_SAMPLE_SIZE || totalB < MIN_SAMPLE_SIZE) {
+    return { status: 'insufficient', pValue: null, difference };
+  }
+
+  const test = twoProportionZTest(successesA, totalA, successesB, totalB);
+  if (!test) {
+    return { status: 'not-significant', pValue: 1, difference };
+  }
+
+  return {
+    status: test.pValue < SIGNIFICANCE_LEVEL ? 'significant' : 'not-significant',
+    pValue: test.pValue,
+    difference,
+  };
+}
+
+export default {
+  SIGNIFICANCE_LEVEL,
+  MIN_SAMPLE_SIZE,
+  normalCdf,
+  twoProportionZTest,
+  compareRates,
+};
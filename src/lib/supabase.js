@@ -283,6 +283,7 @@ export async function getClients(activeOnly = false) {
     sample_comments: [],
     industry_sites: [],
     platforms: [],
+    ctas: [],
   }));
 }
 
@@ -298,6 +299,8 @@ export async function getClient(clientId) {
       sample_comments:client_sample_comments(id, platform, comment_text, notes),
       industry_sites:client_industry_sites(id, site_name, site_url, site_type, notes),
       platforms:client_platforms(id, platform, handle, profile_url, notes),
+      platform_prompts:client_platform_prompts(id, platform, style_prompt, max_length),
+      ctas:client_ctas(id, name, cta_text),
       competitors(id, name, website, is_active)
     `)
     .eq('id', clientId)
@@ -445,6 +448,97 @@ export async function removeClientIndustrySite(siteId) {
   if (error) throw error;
 }
 
+/**
+ * Get a client's platform prompt override, if any
+ */
+export async function getClientPlatformPrompt(clientId, platform) {
+  const { data, error } = await supabase
+    .from('client_platform_prompts')
+    .select('*')
+    .eq('client_id', clientId)
+    .eq('platform', platform)
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+  return data;
+}
+
+/**
+ * Create or replace a client's platform prompt override
+ */
+export async function upsertClientPlatformPrompt(clientId, platform, promptData) {
+  const { data, error } = await supabase
+    .from('client_platform_prompts')
+    .upsert({
+      client_id: clientId,
+      platform,
+      ...promptData,
+    }, {
+      onConflict: 'client_id,platform',
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Remove a client's platform prompt override
+ */
+export async function removeClientPlatformPrompt(promptId) {
+  const { error } = await supabase
+    .from('client_platform_prompts')
+    .delete()
+    .eq('id', promptId);
+
+  if (error) throw error;
+}
+
+/**
+ * Add a named call-to-action to a client
+ */
+export async function addClientCta(clientId, cta) {
+  const { data, error } = await supabase
+    .from('client_ctas')
+    .insert({
+      client_id: clientId,
+      ...cta,
+    })
+    .select('id, name, cta_text')
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Update a named call-to-action
+ */
+export async function updateClientCta(ctaId, updates) {
+  const { data, error } = await supabase
+    .from('client_ctas')
+    .update(updates)
+    .eq('id', ctaId)
+    .select('id, name, cta_text')
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Remove a named call-to-action
+ */
+export async function removeClientCta(ctaId) {
+  const { error } = await supabase
+    .from('client_ctas')
+    .delete()
+    .eq('id', ctaId);
+
+  if (error) throw error;
+}
+
 // ============================================
 // COMPETITOR HELPERS
 // ============================================
@@ -589,13 +683,16 @@ export async function getPredefinedSightingNotes() {
 // AI PROVIDER HELPERS
 // ============================================
 
+// API keys are write-only from the browser (see server/ai-proxy.js)
+const AI_PROVIDER_COLUMNS = 'id, organization_id, provider_name, api_base_url, model_name, is_free, is_active, is_default, fallback_order, notes, has_api_key, is_local, daily_request_limit, daily_token_limit, context_window, model_pricing, created_at, updated_at';
+
 /**
  * Get all AI providers for organization
  */
 export async function getAIProviders() {
   const { data, error } = await supabase
     .from('ai_providers')
-    .select('*')
+    .select(AI_PROVIDER_COLUMNS)
     .order('fallback_order');
   
   if (error) throw error;
@@ -608,7 +705,7 @@ export async function getAIProviders() {
 export async function getDefaultAIProvider() {
   const { data, error } = await supabase
     .from('ai_providers')
-    .select('*')
+    .select(AI_PROVIDER_COLUMNS)
     .eq('is_active', true)
     .order('is_default', { ascending: false })
     .order('fallback_order')
@@ -675,7 +772,7 @@ export async function createAIProvider(providerData) {
       ...providerData,
       organization_id: profile.organization_id,
     })
-    .select()
+    .select(AI_PROVIDER_COLUMNS)
     .single();
   
   if (error) throw error;
@@ -690,7 +787,7 @@ export async function updateAIProvider(providerId, updates) {
     .from('ai_providers')
     .update(updates)
     .eq('id', providerId)
-    .select()
+    .select(AI_PROVIDER_COLUMNS)
     .single();
   
   if (error) throw error;
@@ -726,13 +823,42 @@ export async function setDefaultAIProvider(providerId) {
     .from('ai_providers')
     .update({ is_default: true })
     .eq('id', providerId)
-    .select()
+    .select(AI_PROVIDER_COLUMNS)
     .single();
   
   if (error) throw error;
   return data;
 }
 
+/**
+ * Count a completed request (and its token usage) against today's quota
+ */
+export async function recordAIProviderUsage(providerId, usage = {}) {
+  const { error } = await supabase.rpc('record_ai_provider_usage', {
+    p_provider_id: providerId,
+    p_prompt_tokens: usage.prompt_tokens || 0,
+    p_completion_tokens: usage.completion_tokens || 0,
+    p_total_tokens: usage.total_tokens || 0,
+  });
+
+  if (error) throw error;
+}
+
+/**
+ * Get today's usage rows for all providers in the organization
+ */
+export async function getAIProviderUsageToday() {
+  // usage_date is CURRENT_DATE on the database (UTC)
+  const today = new Date().toISOString().slice(0, 10);
+  const { data, error } = await supabase
+    .from('ai_provider_usage')
+    .select('provider_id, usage_date, request_count, prompt_tokens, completion_tokens, total_tokens')
+    .eq('usage_date', today);
+
+  if (error) throw error;
+  return data;
+}
+
 // ============================================
 // AI CHAT LINKS HELPERS
 // ============================================
@@ -785,24 +911,19 @@ export async function getPlatformPrompt(platform) {
 }
 
 /**
- * Update or create a platform prompt
+ * Update or create a platform prompt, recording it as a new version
+ * (both happen in one transaction)
+ * @param {{ style_prompt: string, max_length?: number|null }} promptData
+ * @param {number} [options.restoredFrom] - Version number being rolled back to
  */
-export async function upsertPlatformPrompt(platform, promptData) {
-  const profile = await getUserProfile();
-  
-  const { data, error } = await supabase
-    .from('platform_prompts')
-    .upsert({
-      organization_id: profile.organization_id,
-      platform,
-      ...promptData,
-      is_system: false,
-    }, {
-      onConflict: 'organization_id,platform',
-    })
-    .select()
-    .single();
-  
+export async function upsertPlatformPrompt(platform, promptData, { restoredFrom = null } = {}) {
+  const { data, error } = await supabase.rpc('save_platform_prompt', {
+    p_platform: platform,
+    p_style_prompt: promptData.style_prompt,
+    p_max_length: promptData.max_length ?? null,
+    p_restored_from: restoredFrom,
+  });
+
   if (error) throw error;
   return data;
 }
@@ -846,11 +967,79 @@ export async function markCommentAsUsed(commentId, optionIndex, optionStyle) {
   return data;
 }
 
+/**
+ * Get the options most recently used for a client on a platform
+ * @returns {Promise<Array<{ comment_text: string, style: string, used_at: string }>>}
+ */
+export async function getUsedCommentExamples(clientId, platform, limit = 3) {
+  const { data, error } = await supabase
+    .from('generated_comments')
+    .select('generated_options, selected_option_index, used_at')
+    .eq('client_id', clientId)
+    .eq('platform', platform)
+    .eq('is_used', true)
+    .not('selected_option_index', 'is', null)
+    .order('used_at', { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+
+  return data
+    .map(row => {
+      const option = row.generated_options?.[row.selected_option_index];
+      return option?.text
+        ? { comment_text: option.text, style: option.style || null, used_at: row.used_at }
+        : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Get every comment a client has used, most recent first, for duplicate checks
+ * @returns {Promise<Array<{ generation_id: string, comment_text: string, platform: string, used_at: string }>>}
+ */
+export async function getUsedCommentHistory(clientId, limit = 500) {
+  const { data, error } = await supabase
+    .from('generated_comments')
+    .select('id, platform, generated_options, selected_option_index, used_at')
+    .eq('client_id', clientId)
+    .eq('is_used', true)
+    .not('selected_option_index', 'is', null)
+    .order('used_at', { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+
+  return data
+    .map(row => {
+      const option = row.generated_options?.[row.selected_option_index];
+      return option?.text
+        ? { generation_id: row.id, comment_text: option.text, platform: row.platform, used_at: row.used_at }
+        : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Update a saved generation (e.g. after refining one of its options)
+ */
+export async function updateGeneratedComments(commentId, updates) {
+  const { data, error } = await supabase
+    .from('generated_comments')
+    .update(updates)
+    .eq('id', commentId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
 /**
  * Get generated comments history
  */
 export async function getGeneratedComments(options = {}) {
-  const { clientId, platform, usedOnly, limit = 50, offset = 0 } = options;
+  const { generationId, clientId, platform, usedOnly, limit = 50, offset = 0 } = options;
   
   let query = supabase
     .from('generated_comments')
@@ -861,6 +1050,10 @@ export async function getGeneratedComments(options = {}) {
     .order('created_at', { ascending: false })
     .range(offset, offset + limit - 1);
   
+  if (generationId) {
+    query = query.eq('id', generationId);
+  }
+  
   if (clientId) {
     query = query.eq('client_id', clientId);
   }
@@ -878,6 +1071,30 @@ export async function getGeneratedComments(options = {}) {
   return data;
 }
 
+/**
+ * Get token usage and cost for generations since a date (for billing reports)
+ */
+export async function getGenerationUsage(since) {
+  const { data, error } = await supabase
+    .from('generated_comments')
+    .select(`
+      id,
+      created_at,
+      client_id,
+      ai_provider_used,
+      ai_model_used,
+      prompt_tokens,
+      completion_tokens,
+      estimated_cost_usd,
+      client:clients(id, name)
+    `)
+    .gte('created_at', since.toISOString())
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return data;
+}
+
 /**
  * Get comment generation stats
  */
@@ -918,6 +1135,193 @@ export async function getCommentStats() {
   return stats;
 }
 
+// ============================================
+// PROMPT EXPERIMENT HELPERS
+// ============================================
+
+const EXPERIMENT_SELECT = '*, variants:prompt_experiment_variants(id, experiment_id, name, template, weight, position)';
+
+/**
+ * Sort an experiment's variants into display order (control first)
+ */
+function sortExperimentVariants(experiment) {
+  if (!experiment) return experiment;
+  return {
+    ...experiment,
+    variants: [...(experiment.variants || [])].sort((a, b) => a.position - b.position),
+  };
+}
+
+/**
+ * Get all prompt experiments, newest first
+ */
+export async function getPromptExperiments() {
+  const { data, error } = await supabase
+    .from('prompt_experiments')
+    .select(EXPERIMENT_SELECT)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return data.map(sortExperimentVariants);
+}
+
+/**
+ * Get the organization's running experiment, if any
+ */
+export async function getRunningPromptExperiment() {
+  const { data, error } = await supabase
+    .from('prompt_experiments')
+    .select(EXPERIMENT_SELECT)
+    .eq('status', 'running')
+    .limit(1);
+
+  if (error) throw error;
+  return sortExperimentVariants(data?.[0] || null);
+}
+
+/**
+ * Create a draft experiment with its variants
+ */
+export async function createPromptExperiment({ name, description, variants }) {
+  const profile = await getUserProfile();
+  const user = await getCurrentUser();
+
+  const { data: experiment, error } = await supabase
+    .from('prompt_experiments')
+    .insert({
+      organization_id: profile.organization_id,
+      name,
+      description: description || null,
+      created_by: user.id,
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  const { data: savedVariants, error: variantsError } = await supabase
+    .from('prompt_experiment_variants')
+    .insert(variants.map((variant, position) => ({
+      experiment_id: experiment.id,
+      name: variant.name,
+      template: variant.template?.trim() ? variant.template : null,
+      weight: Number(variant.weight) || 1,
+      position,
+    })))
+    .select();
+
+  if (variantsError) {
+    await supabase.from('prompt_experiments').delete().eq('id', experiment.id);
+    throw variantsError;
+  }
+
+  return sortExperimentVariants({ ...experiment, variants: savedVariants });
+}
+
+/**
+ * Update an experiment (status, name, description)
+ */
+export async function updatePromptExperiment(experimentId, updates) {
+  const { data, error } = await supabase
+    .from('prompt_experiments')
+    .update(updates)
+    .eq('id', experimentId)
+    .select(EXPERIMENT_SELECT)
+    .single();
+
+  if (error) throw error;
+  return sortExperimentVariants(data);
+}
+
+/**
+ * Delete an experiment and its variants
+ */
+export async function deletePromptExperiment(experimentId) {
+  const { error } = await supabase
+    .from('prompt_experiments')
+    .delete()
+    .eq('id', experimentId);
+
+  if (error) throw error;
+}
+
+/**
+ * Get the outcome of every generation assigned to an experiment
+ */
+export async function getPromptExperimentResults(experimentId) {
+  const { data, error } = await supabase
+    .from('generated_comments')
+    .select('experiment_variant_id, is_used, selected_option_index')
+    .eq('experiment_id', experimentId);
+
+  if (error) throw error;
+  return data;
+}
+
+// ============================================
+// BLOCKLIST HELPERS
+// ============================================
+
+const BLOCKLIST_RULE_COLUMNS = 'id, client_id, rule_type, value, reason, created_at';
+
+/**
+ * Get every "do not engage" rule in the organization, organization-wide and
+ * per client
+ */
+export async function getBlocklistRules() {
+  const { data, error } = await supabase
+    .from('blocklist_rules')
+    .select(BLOCKLIST_RULE_COLUMNS)
+    .order('created_at');
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Add a "do not engage" rule (client_id null for organization-wide)
+ */
+export async function createBlocklistRule(rule) {
+  const profile = await getUserProfile();
+
+  const { data, error } = await supabase
+    .from('blocklist_rules')
+    .insert({
+      ...rule,
+      organization_id: profile.organization_id,
+    })
+    .select(BLOCKLIST_RULE_COLUMNS)
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Remove a "do not engage" rule
+ */
+export async function deleteBlocklistRule(ruleId) {
+  const { error } = await supabase
+    .from('blocklist_rules')
+    .delete()
+    .eq('id', ruleId);
+
+  if (error) throw error;
+}
+
+/**
+ * Get the active competitors of every client, for blocking their posts
+ */
+export async function getActiveCompetitors() {
+  const { data, error } = await supabase
+    .from('competitors')
+    .select('id, client_id, name, website')
+    .eq('is_active', true);
+
+  if (error) throw error;
+  return data;
+}
+
 // ============================================
 // CONTENT ANALYSIS HELPER
 // ============================================
@@ -981,15 +1385,16 @@ export async function getSystemPromptTemplate(organizationId) {
 }
 
 /**
- * Save system prompt template for organization
+ * Save system prompt template for organization, recording it as a new version
+ * (both happen in one transaction, for the caller's organization)
+ * @param {number} [options.restoredFrom] - Version number being rolled back to
  */
-export async function saveSystemPromptTemplate(organizationId, template) {
+export async function saveSystemPromptTemplate(organizationId, template, { restoredFrom = null } = {}) {
   try {
-    const { data, error } = await supabase
-      .from('organizations')
-      .update({ system_prompt_template: template })
-      .eq('id', organizationId)
-      .select();
+    const { data, error } = await supabase.rpc('save_system_prompt_template', {
+      p_template: template,
+      p_restored_from: restoredFrom,
+    });
     
     if (error) {
       console.error('Supabase error saving template:', error);
@@ -1003,4 +1408,55 @@ export async function saveSystemPromptTemplate(organizationId, template) {
   }
 }
 
+// ============================================
+// PROMPT TEMPLATE VERSIONS
+// ============================================
+
+/**
+ * Get the versions of a template, newest first, with their authors
+ * @param {string} templateType - 'system' or 'platform'
+ * @param {string|null} platform - Platform key for platform prompts
+ */
+export async function getPromptTemplateVersions(templateType, platform = null) {
+  let query = supabase
+    .from('prompt_template_versions')
+    .select('*, author:users(id, full_name, email)')
+    .eq('template_type', templateType)
+    .order('version_number', { ascending: false });
+
+  query = platform ? query.eq('platform', platform) : query.is('platform', null);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Get the ids of the current system template and platform prompt versions
+ * @returns {Promise<{ templateVersionId: string|null, platformPromptVersionId: string|null }>}
+ */
+export async function getCurrentPromptTemplateVersionIds(platform) {
+  const latest = async (templateType, platformKey) => {
+    let query = supabase
+      .from('prompt_template_versions')
+      .select('id')
+      .eq('template_type', templateType)
+      .order('version_number', { ascending: false })
+      .limit(1);
+
+    query = platformKey ? query.eq('platform', platformKey) : query.is('platform', null);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data?.[0]?.id || null;
+  };
+
+  const [templateVersionId, platformPromptVersionId] = await Promise.all([
+    latest('system', null),
+    latest('platform', platform),
+  ]);
+
+  return { templateVersionId, platformPromptVersionId };
+}
+
 export default supabase;
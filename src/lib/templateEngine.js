@@ -0,0 +1,385 @@
+/**
+ * Prompt Template Engine
+ *
+ * Small Handlebars-style language for the organization's prompt template:
+ *
+ *   {{client.name}}                    variables (dotted paths)
+ *   {{content | truncate 500}}         filters: upper, lower, truncate, default, join
+ *   {{#if cta}}...{{else}}...{{/if}}   conditionals ({{#unless}} too)
+ *   {{#each samples}}{{@number}}. {{comment_text}}{{/each}}
+ *
+ * Values made with wrapped() are filtered as plain text and wrapped on output,
+ * so {{content | truncate 500}} keeps the content's delimiters intact.
+ *
+ * Unknown variables, filters and unbalanced blocks raise a TemplateError
+ * with the line number, so a typo fails loudly instead of leaking "{{x}}"
+ * into the prompt. Block tags on a line of their own leave no blank line.
+ */
+
+import { truncate } from './utils';
+
+export class TemplateError extends Error {
+  constructor(message, line = null) {
+    super(line ? `${message} (line ${line})` : message);
+    this.name = 'TemplateError';
+    this.line = line;
+  }
+}
+
+/**
+ * A value that is filtered as its raw text and passed through `wrap` when printed
+ */
+class WrappedValue {
+  constructor(value, wrap) {
+    this.value = value;
+    this.wrap = wrap;
+  }
+}
+
+/**
+ * Mark a context value to be wrapped (e.g. delimited) after its filters run
+ * @param {*} value - Raw value the filters see
+ * @param {(text: string) => string} wrap
+ */
+export function wrapped(value, wrap) {
+  return new WrappedValue(value, wrap);
+}
+
+const TAG_PATTERN = /\{\{\s*([#/]?)\s*([\s\S]*?)\s*\}\}/g;
+
+const FILTERS = {
+  upper: value => toText(value).toUpperCase(),
+  lower: value => toText(value).toLowerCase(),
+  truncate: (value, length = 100) => truncate(toText(value), Number(length)),
+  default: (value, fallback = '') => (isTruthy(value) ? value : fallback),
+  join: (value, separator = ', ') => (Array.isArray(value) ? value.map(toText).join(separator) : toText(value)),
+};
+
+/**
+ * Convert a value to prompt text
+ */
+function toText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof WrappedValue) return value.wrap(toText(value.value));
+  if (Array.isArray(value)) return value.map(toText).join(', ');
+  return String(value);
+}
+
+/**
+ * Truthiness for {{#if}}: empty strings, arrays and whitespace are false
+ */
+function isTruthy(value) {
+  if (value instanceof WrappedValue) return isTruthy(value.value);
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'string') return value.trim().length > 0;
+  return !!value;
+}
+
+/**
+ * Line number of an offset in the source
+ */
+function lineAt(source, offset) {
+  return source.slice(0, offset).split('\n').length;
+}
+
+/**
+ * Split a template into text and tag tokens
+ */
+function tokenize(source) {
+  const tokens = [];
+  let last = 0;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(source)) !== null) {
+    if (match.index > last) {
+      tokens.push({ type: 'text', value: source.slice(last, match.index) });
+    }
+
+    const [, sigil, body] = match;
+    const line = lineAt(source, match.index);
+    if (sigil === '#') {
+      const [name, ...rest] = body.split(/\s+/);
+      tokens.push({ type: 'open', name, expression: rest.join(' '), line });
+    } else if (sigil === '/') {
+      tokens.push({ type: 'close', name: body, line });
+    } else if (body === 'else') {
+      tokens.push({ type: 'else', line });
+    } else {
+      tokens.push({ type: 'var', expression: body, line });
+    }
+    last = TAG_PATTERN.lastIndex;
+  }
+
+  if (last < source.length) {
+    tokens.push({ type: 'text', value: source.slice(last) });
+  }
+
+  stripStandaloneLines(tokens);
+  return tokens;
+}
+
+/**
+ * Remove the line of a block tag that stands alone on it
+ */
+function stripStandaloneLines(tokens) {
+  const isBlock = token => token.type !== 'text' && token.type !== 'var';
+
+  // Decide first, then strip, so nested blocks on consecutive lines all count
+  const standalone = tokens.map((token, i) => {
+    if (!isBlock(token)) return false;
+
+    const prev = tokens[i - 1];
+    const next = tokens[i + 1];
+    const prevOk = !prev || (prev.type === 'text' && (i === 1 ? /(^|\n)[ \t]*$/ : /\n[ \t]*$/).test(prev.value));
+    const nextOk = !next || (next.type === 'text' && /^[ \t]*(\r?\n|$)/.test(next.value));
+    return prevOk && nextOk;
+  });
+
+  tokens.forEach((token, i) => {
+    if (!standalone[i]) return;
+    const prev = tokens[i - 1];
+    const next = tokens[i + 1];
+    if (prev) prev.value = prev.value.replace(/[ \t]*$/, '');
+    if (next) next.value = next.value.replace(/^[ \t]*(\r?\n)?/, '');
+  });
+}
+
+/**
+ * Split on "|" outside quotes
+ */
+function splitPipes(expression) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+
+  for (const char of expression) {
+    if (quote) {
+      if (char === quote) quote = null;
+      current += char;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      current += char;
+    } else if (char === '|') {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Parse "path | filter arg | filter"
+ */
+function parseExpression(expression, line) {
+  const [path, ...filterParts] = splitPipes(expression);
+  if (!path || !/^(@?[\w]+)(\.[\w]+)*$/.test(path)) {
+    throw new TemplateError(`Invalid expression "{{${expression}}}"`, line);
+  }
+
+  const filters = filterParts.map(part => {
+    const args = part.match(/"[^"]*"|'[^']*'|\S+/g) || [];
+    const name = args.shift();
+    if (!FILTERS[name]) {
+      throw new TemplateError(`Unknown filter "${name}"`, line);
+    }
+    return {
+      name,
+      args: args.map(arg => (/^["']/.test(arg) ? arg.slice(1, -1) : isNaN(Number(arg)) ? arg : Number(arg))),
+    };
+  });
+
+  return { path: path.split('.'), filters };
+}
+
+/**
+ * Build the node tree, checking that blocks are balanced
+ */
+function parse(tokens) {
+  const root = { body: [] };
+  const stack = [{ node: root, target: root.body }];
+
+  tokens.forEach(token => {
+    const current = stack[stack.length - 1];
+
+    if (token.type === 'text') {
+      current.target.push(token);
+    } else if (token.type === 'var') {
+      current.target.push({ type: 'var', line: token.line, ...parseExpression(token.expression, token.line) });
+    } else if (token.type === 'open') {
+      if (!['if', 'unless', 'each'].includes(token.name)) {
+        throw new TemplateError(`Unknown block "{{#${token.name}}}"`, token.line);
+      }
+      const node = {
+        type: token.name,
+        line: token.line,
+        ...parseExpression(token.expression, token.line),
+        body: [],
+        elseBody: [],
+      };
+      current.target.push(node);
+      stack.push({ node, target: node.body });
+    } else if (token.type === 'else') {
+      if (stack.length === 1) {
+        throw new TemplateError('{{else}} outside of a block', token.line);
+      }
+      current.target = current.node.elseBody;
+    } else if (token.type === 'close') {
+      if (stack.length === 1 || current.node.type !== token.name) {
+        throw new TemplateError(`Unexpected {{/${token.name}}}`, token.line);
+      }
+      stack.pop();
+    }
+  });
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1].node;
+    throw new TemplateError(`Missing {{/${open.type}}}`, open.line);
+  }
+
+  return root.body;
+}
+
+/**
+ * Look up a path in the scope chain (innermost first)
+ */
+function resolve(path, scopes, line) {
+  const [head, ...rest] = path;
+  let value;
+
+  if (head === 'this' || head.startsWith('@')) {
+    const scope = scopes.find(s => Object.prototype.hasOwnProperty.call(s, head));
+    if (!scope) {
+      throw new TemplateError(`"${head}" can only be used inside {{#each}}`, line);
+    }
+    value = scope[head];
+  } else {
+    const scope = scopes.find(s => s && typeof s === 'object' && Object.prototype.hasOwnProperty.call(s, head));
+    if (!scope) {
+      throw new TemplateError(`Unknown variable "${path.join('.')}"`, line);
+    }
+    value = scope[head];
+  }
+
+  return rest.reduce((obj, key) => (obj === null || obj === undefined ? undefined : obj[key]), value);
+}
+
+/**
+ * Evaluate a path with its filters
+ */
+function evaluate(node, scopes) {
+  const value = resolve(node.path, scopes, node.line);
+  const applyFilters = raw => node.filters.reduce(
+    (result, filter) => FILTERS[filter.name](result, ...filter.args),
+    raw
+  );
+
+  return value instanceof WrappedValue
+    ? wrapped(applyFilters(value.value), value.wrap)
+    : applyFilters(value);
+}
+
+function renderNodes(nodes, scopes) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+      case 'var':
+        return toText(evaluate(node, scopes));
+      case 'if':
+        return renderNodes(isTruthy(evaluate(node, scopes)) ? node.body : node.elseBody, scopes);
+      case 'unless':
+        return renderNodes(isTruthy(evaluate(node, scopes)) ? node.elseBody : node.body, scopes);
+      case 'each': {
+        const items = evaluate(node, scopes);
+        if (!Array.isArray(items) || items.length === 0) {
+          return renderNodes(node.elseBody, scopes);
+        }
+        return items.map((item, index) => {
+          const itemScope = { this: item, '@index': index, '@number': index + 1 };
+          const itemScopes = item && typeof item === 'object'
+            ? [itemScope, item, ...scopes]
+            : [itemScope, ...scopes];
+          return renderNodes(node.body, itemScopes);
+        }).join('');
+      }
+      default:
+        return '';
+    }
+  }).join('');
+}
+
+/**
+ * Parse a template, throwing TemplateError on syntax errors
+ */
+export function compileTemplate(source) {
+  return parse(tokenize(source || ''));
+}
+
+/**
+ * Render a template against a context object
+ * @throws {TemplateError} For syntax errors and unknown variables or filters
+ */
+export function renderTemplate(source, context = {}) {
+  return renderNodes(compileTemplate(source), [context]);
+}
+
+/**
+ * Render without throwing
+ * @returns {{ output: string|null, error: TemplateError|null }}
+ */
+export function tryRenderTemplate(source, context = {}) {
+  try {
+    return { output: renderTemplate(source, context), error: null };
+  } catch (err) {
+    if (err instanceof TemplateError) return { output: null, error: err };
+    throw err;
+  }
+}
+
+/**
+ * Whether a template still uses the old ${...} placeholder syntax
+ */
+export function isLegacyTemplate(source) {
+  return /\$\{[\w.()]+\}/.test(source || '');
+}
+
+// Old placeholders and their new equivalents
+const LEGACY_PLACEHOLDERS = {
+  'platform.toUpperCase()': 'platform | upper',
+};
+
+// Optional sections the old code cut out with regexes when empty
+const LEGACY_SECTIONS = [
+  { pattern: /(## CALL TO ACTION[^\n]*\n[^\n]*\$\{client\.default_cta\}[^\n]*\n(?:[ \t]*\n)?)/, condition: 'cta' },
+  { pattern: /(## POSTER INFORMATION\s*\n\$\{posterInfo\}[^\n]*\n(?:[ \t]*\n)?)/, condition: 'posterInfo' },
+  { pattern: /(## HASHTAGS USED\s*\n\$\{hashtags\}[^\n]*\n(?:[ \t]*\n)?)/, condition: 'hashtags' },
+  { pattern: /(## EXISTING COMMENTS[^\n]*\n\$\{existingComments\}[^\n]*\n(?:[ \t]*\n)?)/, condition: 'existingComments' },
+];
+
+/**
+ * Convert a ${...} template to the current syntax, wrapping the optional
+ * sections in {{#if}} blocks
+ */
+export function convertLegacyTemplate(source) {
+  let converted = source;
+
+  LEGACY_SECTIONS.forEach(({ pattern, condition }) => {
+    converted = converted.replace(pattern, `{{#if ${condition}}}\n$1{{/if}}\n`);
+  });
+
+  return converted.replace(/\$\{([\w.()]+)\}/g, (_, name) => `{{${LEGACY_PLACEHOLDERS[name] || name}}}`);
+}
+
+export default {
+  TemplateError,
+  wrapped,
+  compileTemplate,
+  renderTemplate,
+  tryRenderTemplate,
+  isLegacyTemplate,
+  convertLegacyTemplate,
+};
@@ -0,0 +1,168 @@
+/**
+ * Text Length
+ *
+ * Counts characters the way each platform does and shortens comments that
+ * are over the platform's max length without cutting words, emojis or
+ * quotes in half.
+ */
+
+// X counts every link as a t.co URL of this length
+const X_URL_LENGTH = 23;
+
+// Code points X counts as one character; everything else (CJK, emoji) counts as two
+const X_LIGHT_RANGES = [[0, 4351], [8192, 8205], [8208, 8223], [8242, 8247]];
+
+const URL_PATTERN = /https?:\/\/\S+|www\.\S+/gi;
+const EMOJI_PATTERN = /\p{Extended_Pictographic}/u;
+
+const ELLIPSIS = '…';
+
+// A sentence break earlier than this share of the limit wastes too much text
+const MIN_SENTENCE_RATIO = 0.5;
+
+const graphemeSegmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+  ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+  : null;
+
+/**
+ * Split text into user-perceived characters (emoji sequences stay whole)
+ */
+function splitGraphemes(text) {
+  if (graphemeSegmenter) {
+    return Array.from(graphemeSegmenter.segment(text), s => s.segment);
+  }
+  return Array.from(text);
+}
+
+function graphemeWeight(grapheme, platform) {
+  if (platform !== 'x') return 1;
+  if (EMOJI_PATTERN.test(grapheme)) return 2;
+  return Array.from(grapheme).reduce((sum, char) => {
+    const code = char.codePointAt(0);
+    return sum + (X_LIGHT_RANGES.some(([low, high]) => code >= low && code <= high) ? 1 : 2);
+  }, 0);
+}
+
+/**
+ * Split text into the units truncation can cut between: graphemes, with
+ * links kept whole
+ * @returns {Array<{ text: string, weight: number }>}
+ */
+function toUnits(text, platform) {
+  const source = platform === 'x' ? text.normalize('NFC') : text;
+  const units = [];
+  let last = 0;
+
+  const pushText = (part) => {
+    splitGraphemes(part).forEach(g => units.push({ text: g, weight: graphemeWeight(g, platform) }));
+  };
+
+  for (const match of source.matchAll(URL_PATTERN)) {
+    pushText(source.slice(last, match.index));
+    units.push({
+      text: match[0],
+      weight: platform === 'x' ? X_URL_LENGTH : splitGraphemes(match[0]).length,
+    });
+    last = match.index + match[0].length;
+  }
+  pushText(source.slice(last));
+
+  return units;
+}
+
+/**
+ * Character count as the platform shows it. X weights links (23), emojis
+ * and CJK characters (2); other platforms count user-perceived characters.
+ */
+export function countCharacters(text, platform = null) {
+  if (!text) return 0;
+  return toUnits(text, platform).reduce((sum, unit) => sum + unit.weight, 0);
+}
+
+/**
+ * Closing quotes for any quote left open in the text
+ */
+function closeQuotes(text) {
+  let closing = '';
+  if (((text.match(/"/g) || []).length) % 2 === 1) closing += '"';
+  if ((text.match(/“/g) || []).length > (text.match(/”/g) || []).length) closing += '”';
+  return closing;
+}
+
+/**
+ * Shorten text to fit `maxLength`, preferring (in order) the last complete
+ * sentence, the last whole word plus an ellipsis, and finally the last whole
+ * character plus an ellipsis.
+ * @returns {{ text: string, truncated: boolean }}
+ */
+export function smartTruncate(text, maxLength, platform = null) {
+  if (!text || !maxLength || countCharacters(text, platform) <= maxLength) {
+    return { text: text || '', truncated: false };
+  }
+
+  const units = toUnits(text.trim(), platform);
+  const offsets = [0];
+  units.forEach(unit => offsets.push(offsets[offsets.length - 1] + unit.weight));
+
+  // Cut points whose prefix fits, longest first
+  const positions = [];
+  for (let i = units.length - 1; i > 0; i--) {
+    if (offsets[i] <= maxLength) positions.push(i);
+  }
+
+  const prefix = i => units.slice(0, i).map(u => u.text).join('').trimEnd();
+  const finish = (body, ellipsis) => {
+    const trimmed = ellipsis ? body.replace(/[\s,;:\-–—(“]+$/u, '') + ELLIPSIS : body;
+    return trimmed + closeQuotes(trimmed);
+  };
+  const fits = candidate => countCharacters(candidate, platform) <= maxLength;
+  const isSpace = i => i < units.length && /^\s+$/.test(units[i].text);
+
+  const sentenceEnds = positions.filter(i =>
+    isSpace(i) && offsets[i] >= maxLength * MIN_SENTENCE_RATIO && /[.!?…]["'”’)\]]*$/u.test(prefix(i))
+  );
+  const wordEnds = positions.filter(isSpace);
+
+  const attempts = [
+    ...sentenceEnds.map(i => () => finish(prefix(i), false)),
+    ...wordEnds.map(i => () => finish(prefix(i), true)),
+    ...positions.map(i => () => finish(prefix(i), true)),
+  ];
+  for (const attempt of attempts) {
+    const candidate = attempt();
+    if (candidate.replace(ELLIPSIS, '').trim() && fits(candidate)) {
+      return { text: candidate, truncated: true };
+    }
+  }
+
+  return { text: '', truncated: true };
+}
+
+/**
+ * Text and character count for a comment option, shortened to the
+ * platform's max length. Shortened options keep the full text in
+ * `originalText` so the model can be asked to rewrite it instead.
+ */
+export function fitCommentText(text, maxLength = null, platform = null) {
+  const result = smartTruncate(text, maxLength, platform);
+  return {
+    text: result.text,
+    charCount: countCharacters(result.text, platform),
+    ...(result.truncated && { truncated: true, originalText: text }),
+  };
+}
+
+/**
+ * Refinement instruction asking the model to shorten a comment properly
+ */
+export function buildShortenInstruction(maxLength, platform = null) {
+  const counting = platform === 'x' ? ' (links count as 23 characters and emojis as 2)' : '';
+  return `This comment is over the ${maxLength}-character limit${counting}. Rewrite it to fit within ${maxLength} characters, ending on a complete sentence and keeping its point and style.`;
+}
+
+export default {
+  countCharacters,
+  smartTruncate,
+  fitCommentText,
+  buildShortenInstruction,
+};
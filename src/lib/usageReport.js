@@ -0,0 +1,92 @@
+/**
+ * Usage Report
+ *
+ * Rolls up token usage and estimated cost from `generated_comments`
+ * rows per month and per client, for billing.
+ */
+
+/**
+ * Month key for a timestamp, e.g. "2024-03" (local time)
+ */
+export function getMonthKey(date) {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Display label for a month key, e.g. "March 2024"
+ */
+export function formatMonthKey(monthKey) {
+  const [year, month] = monthKey.split('-').map(Number);
+  return new Date(year, month - 1, 1).toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+}
+
+function emptyTotals() {
+  return {
+    generations: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    cost: 0,
+    unpricedGenerations: 0,
+  };
+}
+
+function addRow(totals, row) {
+  const promptTokens = row.prompt_tokens || 0;
+  const completionTokens = row.completion_tokens || 0;
+
+  totals.generations += 1;
+  totals.promptTokens += promptTokens;
+  totals.completionTokens += completionTokens;
+  totals.totalTokens += promptTokens + completionTokens;
+
+  if (row.estimated_cost_usd === null || row.estimated_cost_usd === undefined) {
+    totals.unpricedGenerations += 1;
+  } else {
+    totals.cost += Number(row.estimated_cost_usd);
+  }
+}
+
+/**
+ * Roll usage rows up by month, and by client within each month
+ * @param {Array} rows - generated_comments rows with client info
+ * @returns {Array<{ month, totals, clients: Array<{ clientId, clientName, totals }> }>} newest month first
+ */
+export function rollupUsage(rows = []) {
+  const months = new Map();
+
+  rows.forEach(row => {
+    const monthKey = getMonthKey(row.created_at);
+    if (!months.has(monthKey)) {
+      months.set(monthKey, { month: monthKey, totals: emptyTotals(), clients: new Map() });
+    }
+    const month = months.get(monthKey);
+    addRow(month.totals, row);
+
+    const clientId = row.client_id || 'none';
+    if (!month.clients.has(clientId)) {
+      month.clients.set(clientId, {
+        clientId: row.client_id || null,
+        clientName: row.client?.name || 'No client',
+        totals: emptyTotals(),
+      });
+    }
+    addRow(month.clients.get(clientId).totals, row);
+  });
+
+  return [...months.values()]
+    .sort((a, b) => b.month.localeCompare(a.month))
+    .map(month => ({
+      ...month,
+      clients: [...month.clients.values()].sort(
+        (a, b) => b.totals.cost - a.totals.cost || b.totals.totalTokens - a.totals.totalTokens
+      ),
+    }));
+}
+
+export default {
+  getMonthKey,
+  formatMonthKey,
+  rollupUsage,
+};
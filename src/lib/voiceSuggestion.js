@@ -0,0 +1,82 @@
+/**
+ * Voice Suggestions
+ *
+ * Parsing the model's suggested voice prompt, target audience and keywords
+ * for a client, and comparing them with what the client already has so each
+ * field can be accepted on its own.
+ */
+
+import { extractJson } from './commentSchema';
+
+// Most keywords kept from a single suggestion
+export const MAX_SUGGESTED_KEYWORDS = 20;
+
+/**
+ * Parse and validate a voice suggestion response
+ * @param {string} content - Raw model response
+ * @returns {{ voice_prompt: string, target_audience: string, keywords: string[] }}
+ * @throws {Error} When the response has no usable fields
+ */
+export function parseVoiceSuggestion(content) {
+  let data;
+  try {
+    data = extractJson(content);
+  } catch {
+    throw new Error('The AI response was not valid JSON');
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('The AI response was not a JSON object');
+  }
+
+  const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+  const seen = new Set();
+  const keywords = (Array.isArray(data.keywords) ? data.keywords : [])
+    .map(text)
+    .filter(keyword => {
+      const key = keyword.toLowerCase();
+      if (!keyword || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, MAX_SUGGESTED_KEYWORDS);
+
+  const suggestion = {
+    voice_prompt: text(data.voice_prompt),
+    target_audience: text(data.target_audience),
+    keywords,
+  };
+
+  if (!suggestion.voice_prompt && !suggestion.target_audience && keywords.length === 0) {
+    throw new Error('The AI response did not include a voice prompt, audience or keywords');
+  }
+
+  return suggestion;
+}
+
+/**
+ * Compare a suggestion with the client's current values
+ * @returns {{ fields: Array<{ field: string, current: string, suggested: string }>, keywords: string[] }}
+ *   Only fields whose suggestion differs, and only keywords the client lacks
+ */
+export function diffVoiceSuggestion(client, suggestion) {
+  const fields = ['voice_prompt', 'target_audience']
+    .map(field => ({
+      field,
+      current: client[field] || '',
+      suggested: suggestion[field] || '',
+    }))
+    .filter(f => f.suggested && f.suggested !== f.current.trim());
+
+  const existing = new Set((client.keywords || []).map(k => k.keyword.toLowerCase()));
+  const keywords = suggestion.keywords.filter(k => !existing.has(k.toLowerCase()));
+
+  return { fields, keywords };
+}
+
+export default {
+  MAX_SUGGESTED_KEYWORDS,
+  parseVoiceSuggestion,
+  diffVoiceSuggestion,
+};
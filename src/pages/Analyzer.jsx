@@ -4,7 +4,7 @@
  * Analyze content to find matching clients and generate targeted comments.
  */
 
-import { useState } from 'react';
+import { useState, useMemo } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import {
   Search,
@@ -18,10 +18,15 @@ import {
   ChevronDown,
   ChevronUp,
   Download,
+  Users,
+  Ban,
 } from 'lucide-react';
 import { useAnalyzer } from '../hooks/useAnalyzer';
 import { useClients } from '../hooks/useClients';
 import { useAIProviders } from '../hooks/useAIProviders';
+import { describeCuts } from '../lib/promptBudget';
+import { screenPost } from '../lib/contentScreening';
+import ScreeningNotice from '../components/common/ScreeningNotice';
 import {
   Card,
   Button,
@@ -29,6 +34,7 @@ import {
   Input,
   Spinner,
   Badge,
+  Toggle,
   toast,
 } from '../components/ui';
 
@@ -39,6 +45,8 @@ export default function Analyzer() {
     error,
     results,
     analyzedContent,
+    promptCuts,
+    suppressed,
     analyzeLocal,
     analyzeWithAI,
     clear,
@@ -51,15 +59,19 @@ export default function Analyzer() {
   const [content, setContent] = useState('');
   const [contentUrl, setContentUrl] = useState('');
   const [fetchingContent, setFetchingContent] = useState(false);
+  const [redactPii, setRedactPii] = useState(false);
+
+  // Injection attempts and personal info in pasted or fetched content
+  const screening = useMemo(() => screenPost({ content }, { redactPii }), [content, redactPii]);
 
   // Handle analyze with keywords
   const handleAnalyzeKeywords = async () => {
-    await analyzeLocal(content, clients);
+    await analyzeLocal(content, clients, { sourceUrl: contentUrl });
   };
 
   // Handle analyze with AI
   const handleAnalyzeAI = async () => {
-    await analyzeWithAI(content, clients);
+    await analyzeWithAI(content, clients, { sourceUrl: contentUrl, redactPii });
   };
 
   // Fetch content from URL using Jina API
@@ -102,6 +114,18 @@ export default function Analyzer() {
       clientId,
       platform,
       content: analyzedContent,
+      sourceUrl: contentUrl,
+    }));
+    navigate('/generator');
+  };
+
+  // Go to generator with every matched client selected
+  const goToGeneratorForAll = (platform = '') => {
+    sessionStorage.setItem('generator_prefill', JSON.stringify({
+      clientIds: results.map(r => r.client_id).filter(Boolean),
+      platform,
+      content: analyzedContent,
+      sourceUrl: contentUrl,
     }));
     navigate('/generator');
   };
@@ -198,6 +222,16 @@ Example: A LinkedIn post about digital marketing trends, a forum discussion abou
               rows={10}
               required
             />
+            <ScreeningNotice screening={screening} className="mt-2" />
+
+            <div className="mt-4">
+              <Toggle
+                label="Redact Personal Info"
+                description="Replace emails, phone and card numbers with placeholders before AI Analysis"
+                checked={redactPii}
+                onChange={setRedactPii}
+              />
+            </div>
 
             {/* Action buttons */}
             <div className="flex flex-col sm:flex-row gap-3 mt-4">
@@ -258,9 +292,21 @@ Example: A LinkedIn post about digital marketing trends, a forum discussion abou
               )}
             </h2>
             {results.length > 0 && (
-              <Button variant="ghost" size="sm" onClick={clear}>
-                Clear
-              </Button>
+              <div className="flex items-center gap-2">
+                {results.length > 1 && (
+                  <Button
+                    variant="secondary"
+                    size="sm"
+                    onClick={() => goToGeneratorForAll()}
+                    leftIcon={Users}
+                  >
+                    Generate for all
+                  </Button>
+                )}
+                <Button variant="ghost" size="sm" onClick={clear}>
+                  Clear
+                </Button>
+              </div>
             )}
           </div>
 
@@ -288,7 +334,7 @@ Example: A LinkedIn post about digital marketing trends, a forum discussion abou
           )}
 
           {/* Empty state */}
-          {!loading && !error && results.length === 0 && (
+          {!loading && !error && results.length === 0 && suppressed.length === 0 && (
             <Card className="py-12">
               <div className="text-center">
                 <Search className="h-12 w-12 text-gray-300 mx-auto mb-4" />
@@ -300,6 +346,16 @@ Example: A LinkedIn post about digital marketing trends, a forum discussion abou
             </Card>
           )}
 
+          {/* Parts of the content cut to fit the model */}
+          {!loading && promptCuts.length > 0 && (
+            <div className="flex items-start gap-2 text-xs text-warning-700 bg-warning-50 rounded-md px-3 py-2">
+              <AlertCircle className="h-4 w-4 flex-shrink-0" />
+              <span>
+                Trimmed to fit the model's context window: {describeCuts(promptCuts)}
+              </span>
+            </div>
+          )}
+
           {/* Results list */}
           {!loading && results.length > 0 && (
             <div className="space-y-3">
@@ -313,8 +369,30 @@ Example: A LinkedIn post about digital marketing trends, a forum discussion abou
             </div>
           )}
 
+          {/* Clients held back by do-not-engage rules */}
+          {!loading && suppressed.length > 0 && (
+            <Card padding="sm" className="bg-warning-50 border-warning-200">
+              <h3 className="flex items-center gap-2 font-medium text-warning-800">
+                <Ban className="h-4 w-4" />
+                Suppressed by Do-Not-Engage Rules
+              </h3>
+              <ul className="mt-2 space-y-2">
+                {suppressed.map((item) => (
+                  <li key={item.client_id} className="text-sm">
+                    <Link to={`/clients/${item.client_id}`} className="font-medium text-warning-900 hover:underline">
+                      {item.client_name}
+                    </Link>
+                    {item.reasons.map((reason) => (
+                      <p key={reason} className="text-xs text-warning-700">{reason}</p>
+                    ))}
+                  </li>
+                ))}
+              </ul>
+            </Card>
+          )}
+
           {/* No matches message */}
-          {!loading && !error && results.length === 0 && analyzedContent && (
+          {!loading && !error && results.length === 0 && suppressed.length === 0 && analyzedContent && (
             <Card className="bg-gray-50 dark:bg-[var(--bg)]">
               <div className="text-center py-4">
                 <p className="text-gray-600">No matching clients found.</p>
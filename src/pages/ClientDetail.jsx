@@ -20,6 +20,10 @@ import {
   EyeOff,
   Copy,
   ExternalLink,
+  History,
+  Sparkles,
+  Repeat,
+  Ban,
 } from 'lucide-react';
 import { useClient } from '../hooks/useClients';
 import {
@@ -35,8 +39,24 @@ import {
 } from '../components/ui';
 import { toast } from '../components/ui/Toast';
 import ClientForm from '../components/clients/ClientForm';
+import ClientPromptOverrides from '../components/clients/ClientPromptOverrides';
+import ClientCtas from '../components/clients/ClientCtas';
+import BlocklistRules from '../components/settings/BlocklistRules';
+import VoiceSuggestionModal from '../components/clients/VoiceSuggestionModal';
 import { copyToClipboard, getPlatformInfo } from '../lib/utils';
 
+// How close a new option must be to a used comment to be flagged as a repeat
+const DUPLICATE_THRESHOLDS = [
+  { value: 0, label: 'Off' },
+  ...[40, 50, 60, 70, 80, 90].map(n => ({ value: n, label: `${n}% similar or more` })),
+];
+
+// Cap on recently used comments added to each prompt
+const LEARNED_EXAMPLE_LIMITS = [1, 3, 5, 10].map(n => ({
+  value: n,
+  label: `${n} comment${n !== 1 ? 's' : ''}`,
+}));
+
 export default function ClientDetail() {
   const { id } = useParams();
   const navigate = useNavigate();
@@ -52,6 +72,10 @@ export default function ClientDetail() {
     removeSampleComment,
     addIndustrySite,
     removeIndustrySite,
+    savePlatformPrompt,
+    removePlatformPrompt,
+    saveCta,
+    removeCta,
     refetch,
   } = useClient(id);
 
@@ -65,9 +89,11 @@ export default function ClientDetail() {
   const [showVoicePromptModal, setShowVoicePromptModal] = useState(false);
   const [showCtaModal, setShowCtaModal] = useState(false);
   const [showAudienceModal, setShowAudienceModal] = useState(false);
+  const [showVoiceSuggestionModal, setShowVoiceSuggestionModal] = useState(false);
 
   // Form states
   const [newKeywords, setNewKeywords] = useState('');
+  const [newBannedWord, setNewBannedWord] = useState('');
   const [newSample, setNewSample] = useState({ platform: '', comment_text: '', notes: '' });
   const [newSite, setNewSite] = useState({ site_name: '', site_url: '', site_type: 'forum', notes: '' });
   const [editDescription, setEditDescription] = useState('');
@@ -162,6 +188,22 @@ export default function ClientDetail() {
     }
   };
 
+  // Handle adding a banned word or phrase
+  const handleAddBannedWord = async (e) => {
+    e.preventDefault();
+    const word = newBannedWord.trim().toLowerCase();
+    if (!word) return;
+    const current = client.banned_words || [];
+    if (current.includes(word)) {
+      toast.error(`"${word}" is already banned`);
+      return;
+    }
+    const { error } = await update({ banned_words: [...current, word] });
+    if (!error) {
+      setNewBannedWord('');
+    }
+  };
+
   // Handle adding keywords
   const handleAddKeywords = async () => {
     const keywords = newKeywords
@@ -360,6 +402,14 @@ export default function ClientDetail() {
                   >
                     Copy
                   </Button>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    leftIcon={Sparkles}
+                    onClick={() => setShowVoiceSuggestionModal(true)}
+                  >
+                    Suggest
+                  </Button>
                   <Button
                     variant="ghost"
                     size="sm"
@@ -379,26 +429,14 @@ export default function ClientDetail() {
             </div>
           </Card>
 
-          {/* Default CTA */}
-          {client.default_cta && (
-            <Card>
-              <Card.Header
-                actions={
-                  <Button
-                    variant="ghost"
-                    size="sm"
-                    leftIcon={Edit}
-                    onClick={handleOpenCtaModal}
-                  >
-                    Edit
-                  </Button>
-                }
-              >
-                <Card.Title>Default Call-to-Action</Card.Title>
-              </Card.Header>
-              <p className="text-gray-600">{client.default_cta}</p>
-            </Card>
-          )}
+          {/* Calls-to-Action */}
+          <ClientCtas
+            client={client}
+            onUpdate={update}
+            onEditDefault={handleOpenCtaModal}
+            onSaveCta={saveCta}
+            onRemoveCta={removeCta}
+          />
 
           {/* Target Audience */}
           {client.target_audience && (
@@ -420,6 +458,17 @@ export default function ClientDetail() {
               <p className="text-gray-600">{client.target_audience}</p>
             </Card>
           )}
+
+          {/* Prompt Overrides */}
+          <ClientPromptOverrides
+            client={client}
+            onUpdate={update}
+            onSavePlatformPrompt={savePlatformPrompt}
+            onRemovePlatformPrompt={removePlatformPrompt}
+          />
+
+          {/* Do Not Engage */}
+          <BlocklistRules clientId={client.id} />
         </div>
 
         {/* Right column */}
@@ -511,6 +560,92 @@ export default function ClientDetail() {
             )}
           </Card>
 
+          {/* Learning from used comments */}
+          <Card>
+            <Card.Header
+              actions={
+                <Toggle
+                  checked={!!client.learn_from_history}
+                  onChange={(checked) => update({ learn_from_history: checked })}
+                />
+              }
+            >
+              <Card.Title className="flex items-center gap-2">
+                <History className="h-5 w-5" />
+                Learn from Used Comments
+              </Card.Title>
+              <Card.Description>
+                Add the comments you most recently used on the same platform as extra style examples
+              </Card.Description>
+            </Card.Header>
+            {client.learn_from_history && (
+              <Dropdown
+                label="Examples per generation"
+                options={LEARNED_EXAMPLE_LIMITS}
+                value={client.learned_example_limit || 3}
+                onChange={(value) => update({ learned_example_limit: value === '' ? null : value })}
+              />
+            )}
+          </Card>
+
+          {/* Banned words */}
+          <Card>
+            <Card.Header>
+              <Card.Title className="flex items-center gap-2">
+                <Ban className="h-5 w-5" />
+                Banned Words
+              </Card.Title>
+              <Card.Description>
+                Words and phrases flagged in generated comments, on top of the built-in list
+              </Card.Description>
+            </Card.Header>
+            <form onSubmit={handleAddBannedWord} className="flex items-end gap-2">
+              <Input
+                containerClassName="flex-1"
+                placeholder="e.g., cheap"
+                value={newBannedWord}
+                onChange={(e) => setNewBannedWord(e.target.value)}
+                aria-label="Banned word or phrase"
+              />
+              <Button type="submit" variant="secondary" leftIcon={Plus} disabled={!newBannedWord.trim()}>
+                Add
+              </Button>
+            </form>
+            {client.banned_words?.length > 0 && (
+              <div className="flex flex-wrap gap-2 mt-3">
+                {client.banned_words.map((word) => (
+                  <Badge
+                    key={word}
+                    variant="secondary"
+                    removable
+                    onRemove={() => update({ banned_words: client.banned_words.filter(w => w !== word) })}
+                  >
+                    {word}
+                  </Badge>
+                ))}
+              </div>
+            )}
+          </Card>
+
+          {/* Repeated comments */}
+          <Card>
+            <Card.Header>
+              <Card.Title className="flex items-center gap-2">
+                <Repeat className="h-5 w-5" />
+                Repeat Detection
+              </Card.Title>
+              <Card.Description>
+                Flag new options that read like a comment this client already used
+              </Card.Description>
+            </Card.Header>
+            <Dropdown
+              label="Flag options that are"
+              options={DUPLICATE_THRESHOLDS}
+              value={client.duplicate_threshold ?? 60}
+              onChange={(value) => update({ duplicate_threshold: value === '' ? null : value })}
+            />
+          </Card>
+
           {/* Industry Sites */}
           <Card>
             <Card.Header
@@ -818,6 +953,15 @@ export default function ClientDetail() {
         />
       </Modal>
 
+      {/* Voice Suggestion Modal */}
+      <VoiceSuggestionModal
+        isOpen={showVoiceSuggestionModal}
+        onClose={() => setShowVoiceSuggestionModal(false)}
+        client={client}
+        onUpdate={update}
+        onAddKeywords={addKeywords}
+      />
+
       {/* Edit Default CTA Modal */}
       <Modal
         isOpen={showCtaModal}
@@ -5,33 +5,50 @@
  */
 
 import { useState, useEffect } from 'react';
-import { Sparkles, Copy, ExternalLink, AlertCircle } from 'lucide-react';
-import { useGenerator } from '../hooks/useGenerator';
+import { Sparkles, Copy, ExternalLink, AlertCircle, Users, X, Layers, FileText } from 'lucide-react';
+import { useGenerator, useFanOutGenerator, usePromptSettings } from '../hooks/useGenerator';
 import { addClientSampleComment, getClient } from '../lib/supabase';
 import { useClientSelect } from '../hooks/useClients';
-import { useAIProviders, useAIChatLinks } from '../hooks/useAIProviders';
+import { useAIProviders, useAIChatLinks, useProviderQuotas } from '../hooks/useAIProviders';
+import { isQuotaNearlyUsed, formatQuota } from '../lib/providerQuota';
+import { formatCost } from '../lib/pricing';
+import { describeCuts } from '../lib/promptBudget';
+import { formatNumber, safeJsonParse } from '../lib/utils';
+import { PROMPT_SOURCES } from '../lib/prompts';
+import { AUTO_LANGUAGE, getLanguageName } from '../lib/language';
 import { Card, Button, Spinner, Badge, Modal, toast } from '../components/ui';
+import ScreeningNotice from '../components/common/ScreeningNotice';
 import GeneratorForm from '../components/generator/GeneratorForm';
 import CommentOption from '../components/generator/CommentOption';
 import PromptEditorModal from '../components/generator/PromptEditorModal';
+import FanOutResults from '../components/generator/FanOutResults';
+import BatchGenerator from '../components/generator/BatchGenerator';
 
 export default function Generator() {
   const {
     loading,
+    streaming,
     error,
+    blocked,
     options,
     generationMeta,
+    refiningIndex,
     generate,
+    cancel,
+    refineOption,
+    shortenOption,
     markAsUsed,
     copyOption,
     generatePromptForClipboard,
     clear,
     markOptionSaved,
   } = useGenerator();
+  const fanOut = useFanOutGenerator();
 
   const { clients, clientOptions, loading: clientsLoading, getClientById } = useClientSelect();
   const { providers, defaultProvider, hasConfiguredProvider, loading: providersLoading } = useAIProviders();
   const { chatLinks } = useAIChatLinks();
+  const { quotas, refetch: refetchQuotas } = useProviderQuotas(providers);
 
   // Form state
   const [formData, setFormData] = useState({
@@ -40,9 +57,15 @@ export default function Generator() {
     content: '',
     existingComments: '',
     posterInfo: '',
+    sourceUrl: '',
     hashtags: '',
     numOptions: 3,
     includeCta: false,
+    ctaId: '',
+    language: AUTO_LANGUAGE,
+    includeTranslation: false,
+    autoFixGuardrails: false,
+    redactPii: false,
     providerId: '',
   });
 
@@ -50,10 +73,38 @@ export default function Generator() {
   const [fullClient, setFullClient] = useState(null);
   const [clientLoading, setClientLoading] = useState(false);
 
+  // Which template and platform prompt apply to the selected client
+  const { settings: promptSettings } = usePromptSettings(fullClient, formData.platform);
+
   // Edited prompt state for this generation session
   const [editedPrompt, setEditedPrompt] = useState(null);
   const [showPromptEditor, setShowPromptEditor] = useState(false);
 
+  // 'single' post form or 'batch' upload
+  const [mode, setMode] = useState('single');
+
+  // Clients to generate for at once (from the Analyzer's "generate for all")
+  const [fanOutClientIds, setFanOutClientIds] = useState([]);
+
+  // Pick up client, platform and content handed over by the Analyzer
+  useEffect(() => {
+    const prefill = safeJsonParse(sessionStorage.getItem('generator_prefill'));
+    if (!prefill) return;
+    sessionStorage.removeItem('generator_prefill');
+
+    const clientIds = prefill.clientIds || (prefill.clientId ? [prefill.clientId] : []);
+    setFormData(prev => ({
+      ...prev,
+      clientId: clientIds[0] || prev.clientId,
+      platform: prefill.platform || prev.platform,
+      content: prefill.content || prev.content,
+      sourceUrl: prefill.sourceUrl || prev.sourceUrl,
+    }));
+    if (clientIds.length > 1) {
+      setFanOutClientIds(clientIds);
+    }
+  }, []);
+
   // Set default provider when available
   useEffect(() => {
     if (defaultProvider && !formData.providerId) {
@@ -73,6 +124,7 @@ export default function Generator() {
       try {
         const clientData = await getClient(formData.clientId);
         setFullClient(clientData);
+        setFormData(prev => ({ ...prev, language: clientData?.default_language || AUTO_LANGUAGE }));
       } catch (err) {
         console.error('Failed to fetch full client data:', err);
         toast.error('Failed to load client data');
@@ -87,7 +139,12 @@ export default function Generator() {
 
   // Handle form change
   const handleFormChange = (field, value) => {
-    setFormData(prev => ({ ...prev, [field]: value }));
+    setFormData(prev => ({
+      ...prev,
+      [field]: value,
+      // Named CTAs belong to the previous client
+      ...(field === 'clientId' && { ctaId: '' }),
+    }));
   };
 
   // Handle open prompt editor
@@ -118,6 +175,12 @@ export default function Generator() {
       return;
     }
 
+    // The default provider heads the fallback chain anyway; pinning it would
+    // stop generation from falling back or routing around exhausted quotas
+    const providerId = formData.providerId && formData.providerId !== defaultProvider?.id
+      ? formData.providerId
+      : undefined;
+
     // If there's an edited prompt, use it; otherwise generate normally
     if (editedPrompt) {
       // Split edited prompt by '---' and extract system/user parts
@@ -129,14 +192,21 @@ export default function Generator() {
           content: formData.content,
           existingComments: formData.existingComments,
           posterInfo: formData.posterInfo,
+          sourceUrl: formData.sourceUrl,
           hashtags: formData.hashtags,
           numOptions: formData.numOptions,
           includeCta: formData.includeCta,
-          providerId: formData.providerId || undefined,
+          ctaId: formData.ctaId || null,
+          language: formData.language,
+          includeTranslation: formData.includeTranslation,
+          autoFixGuardrails: formData.autoFixGuardrails,
+          redactPii: formData.redactPii,
+          providerId,
           customFullPrompt: editedPrompt,
         });
         // Clear edited prompt after generation
         setEditedPrompt(null);
+        refetchQuotas();
         return;
       }
     }
@@ -147,11 +217,51 @@ export default function Generator() {
       content: formData.content,
       existingComments: formData.existingComments,
       posterInfo: formData.posterInfo,
+      sourceUrl: formData.sourceUrl,
       hashtags: formData.hashtags,
       numOptions: formData.numOptions,
       includeCta: formData.includeCta,
-      providerId: formData.providerId || undefined,
+      ctaId: formData.ctaId || null,
+      language: formData.language,
+      includeTranslation: formData.includeTranslation,
+      autoFixGuardrails: formData.autoFixGuardrails,
+      redactPii: formData.redactPii,
+      providerId,
     });
+    refetchQuotas();
+  };
+
+  // Handle generate for every selected client
+  const handleGenerateAll = async () => {
+    const providerId = formData.providerId && formData.providerId !== defaultProvider?.id
+      ? formData.providerId
+      : undefined;
+
+    await fanOut.generateForClients(
+      fanOutClientIds.map(id => ({ id, name: getClientById(id)?.name })),
+      {
+        platform: formData.platform,
+        content: formData.content,
+        existingComments: formData.existingComments,
+        posterInfo: formData.posterInfo,
+        sourceUrl: formData.sourceUrl,
+        hashtags: formData.hashtags,
+        numOptions: formData.numOptions,
+        includeCta: formData.includeCta,
+        language: formData.language,
+        includeTranslation: formData.includeTranslation,
+        autoFixGuardrails: formData.autoFixGuardrails,
+        redactPii: formData.redactPii,
+        providerId,
+      }
+    );
+    refetchQuotas();
+  };
+
+  // Leave multi-client mode
+  const handleExitFanOut = () => {
+    setFanOutClientIds([]);
+    fanOut.clear();
   };
 
   // Handle "No API" mode
@@ -170,6 +280,10 @@ export default function Generator() {
       hashtags: formData.hashtags,
       numOptions: formData.numOptions,
       includeCta: formData.includeCta,
+      ctaId: formData.ctaId || null,
+      language: formData.language,
+      includeTranslation: formData.includeTranslation,
+      redactPii: formData.redactPii,
     });
 
     if (!prompt) return;
@@ -192,6 +306,12 @@ export default function Generator() {
     await copyOption(option.text);
   };
 
+  // Handle mark as used for one client in multi-client mode
+  const handleFanOutMarkUsed = async (clientId, option, index) => {
+    await fanOut.markAsUsed(clientId, index, option.style);
+    await copyOption(option.text);
+  };
+
   // Save modal state
   const [saveModalOpen, setSaveModalOpen] = useState(false);
   const [saveText, setSaveText] = useState('');
@@ -233,6 +353,12 @@ export default function Generator() {
   };
 
   // Loading state
+  // Warn before the provider that will be used runs out of free quota
+  const selectedProvider = providers.find(p => p.id === formData.providerId) || defaultProvider;
+  const selectedQuota = selectedProvider ? quotas[selectedProvider.id] : null;
+  const isProviderPinned = !!selectedProvider && selectedProvider.id !== defaultProvider?.id;
+  const isFanOut = fanOutClientIds.length > 0;
+
   if (clientsLoading || providersLoading) {
     return (
       <div className="flex items-center justify-center h-64">
@@ -262,11 +388,33 @@ export default function Generator() {
   return (
     <div className="space-y-6">
       {/* Header */}
-      <div>
-        <h1 className="text-2xl font-bold text-gray-900">Comment Generator</h1>
-        <p className="text-gray-600 mt-1">
-          Generate authentic, client-specific comments for social media posts
-        </p>
+      <div className="flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Comment Generator</h1>
+          <p className="text-gray-600 mt-1">
+            Generate authentic, client-specific comments for social media posts
+          </p>
+        </div>
+        {hasConfiguredProvider && (
+          <div className="flex gap-2">
+            <Button
+              variant={mode === 'single' ? 'primary' : 'secondary'}
+              size="sm"
+              onClick={() => setMode('single')}
+              leftIcon={Sparkles}
+            >
+              Single post
+            </Button>
+            <Button
+              variant={mode === 'batch' ? 'primary' : 'secondary'}
+              size="sm"
+              onClick={() => setMode('batch')}
+              leftIcon={Layers}
+            >
+              Batch
+            </Button>
+          </div>
+        )}
       </div>
 
       {/* No API warning */}
@@ -297,6 +445,73 @@ export default function Generator() {
         </Card>
       )}
 
+      {/* Quota warning */}
+      {hasConfiguredProvider && isQuotaNearlyUsed(selectedQuota) && (
+        <Card className="bg-warning-50 border-warning-200">
+          <div className="flex items-start gap-3">
+            <AlertCircle className="h-5 w-5 text-warning-600 mt-0.5" />
+            <div>
+              <h3 className="font-medium text-warning-800">
+                {selectedProvider.provider_name} is {selectedQuota.status === 'exhausted' ? 'out of' : 'nearly out of'} its daily quota
+              </h3>
+              <p className="text-sm text-warning-700 mt-1">
+                Used {formatQuota(selectedQuota)} today.{' '}
+                {isProviderPinned
+                  ? 'Requests may be rejected until the limit resets. Choose another provider to avoid errors.'
+                  : 'Generation will use the next provider in your fallback order.'}
+              </p>
+            </div>
+          </div>
+        </Card>
+      )}
+
+      {mode === 'batch' && hasConfiguredProvider ? (
+        <BatchGenerator
+          clients={clients}
+          providerId={formData.providerId && formData.providerId !== defaultProvider?.id ? formData.providerId : undefined}
+          settings={formData}
+          onSettingsChange={handleFormChange}
+          onFinished={refetchQuotas}
+        />
+      ) : (
+      <>
+      {/* Multi-client mode */}
+      {isFanOut && (
+        <Card className="bg-primary-50 border-primary-100">
+          <div className="flex items-start gap-3">
+            <Users className="h-5 w-5 text-primary-600 mt-0.5" />
+            <div className="flex-1">
+              <h3 className="font-medium text-primary-900">
+                Generating for {fanOutClientIds.length} clients
+              </h3>
+              <p className="text-sm text-primary-700 mt-1">
+                Each client gets its own comments for this post. The client selected below is ignored.
+              </p>
+              <div className="flex flex-wrap gap-2 mt-3">
+                {fanOutClientIds.map(id => (
+                  <Badge key={id} variant="primary" size="sm">
+                    {getClientById(id)?.name || 'Unknown client'}
+                    {fanOutClientIds.length > 1 && !fanOut.loading && (
+                      <button
+                        type="button"
+                        onClick={() => setFanOutClientIds(prev => prev.filter(c => c !== id))}
+                        className="ml-1 hover:text-primary-900"
+                        aria-label={`Remove ${getClientById(id)?.name || 'client'}`}
+                      >
+                        <X className="h-3 w-3" />
+                      </button>
+                    )}
+                  </Badge>
+                ))}
+              </div>
+            </div>
+            <Button variant="ghost" size="sm" onClick={handleExitFanOut} disabled={fanOut.loading}>
+              Single client
+            </Button>
+          </div>
+        </Card>
+      )}
+
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         {/* Left column: Form */}
         <div>
@@ -305,14 +520,35 @@ export default function Generator() {
               <Card.Title>Input</Card.Title>
               <Card.Description>Configure your comment generation</Card.Description>
             </Card.Header>
-            
+
+            {/* Template in effect */}
+            {!isFanOut && promptSettings && (
+              <div className="flex flex-wrap items-center gap-2 text-xs text-gray-500 mb-4">
+                <FileText className="h-3.5 w-3.5" />
+                <span>Template:</span>
+                <Badge variant={promptSettings.templateSource === 'client' ? 'primary' : 'secondary'} size="xs">
+                  {PROMPT_SOURCES[promptSettings.templateSource]}
+                </Badge>
+                <span>Platform prompt:</span>
+                <Badge variant={promptSettings.platformPromptSource === 'client' ? 'primary' : 'secondary'} size="xs">
+                  {PROMPT_SOURCES[promptSettings.platformPromptSource]}
+                </Badge>
+                {promptSettings.learnedExamples.length > 0 && (
+                  <span>
+                    • {promptSettings.learnedExamples.length} recently used comment{promptSettings.learnedExamples.length !== 1 ? 's' : ''} as examples
+                  </span>
+                )}
+              </div>
+            )}
+
             <GeneratorForm
               formData={formData}
               onChange={handleFormChange}
               clientOptions={clientOptions}
+              client={isFanOut ? null : fullClient}
               providers={providers}
-              onGenerate={handleGenerate}
-              loading={loading}
+              onGenerate={isFanOut ? handleGenerateAll : handleGenerate}
+              loading={isFanOut ? fanOut.loading : loading}
               hasProvider={hasConfiguredProvider}
               chatLinks={chatLinks}
               onNoApiGenerate={handleNoApiGenerate}
@@ -322,6 +558,41 @@ export default function Generator() {
         </div>
 
         {/* Right column: Results */}
+        {isFanOut ? (
+          <div className="space-y-4">
+            <div className="flex items-center justify-between">
+              <h2 className="text-lg font-semibold text-gray-900">Generated Comments by Client</h2>
+              {fanOut.loading ? (
+                <Button variant="ghost" size="sm" onClick={fanOut.cancel}>
+                  Cancel
+                </Button>
+              ) : fanOut.results.length > 0 && (
+                <Button variant="ghost" size="sm" onClick={fanOut.clear}>
+                  Clear
+                </Button>
+              )}
+            </div>
+
+            {fanOut.results.length === 0 ? (
+              <Card className="py-12">
+                <div className="text-center">
+                  <Users className="h-12 w-12 text-gray-300 mx-auto mb-4" />
+                  <h3 className="font-medium text-gray-900 mb-2">Ready to Generate</h3>
+                  <p className="text-sm text-gray-500">
+                    Click "Generate" to create comments for every selected client
+                  </p>
+                </div>
+              </Card>
+            ) : (
+              <FanOutResults
+                results={fanOut.results}
+                similarities={fanOut.similarities}
+                onCopy={handleCopy}
+                onMarkUsed={handleFanOutMarkUsed}
+              />
+            )}
+          </div>
+        ) : (
         <div className="space-y-4">
           {/* Results header */}
           <div className="flex items-center justify-between">
@@ -340,24 +611,42 @@ export default function Generator() {
             )}
           </div>
 
-          {/* Loading state */}
-          {loading && (
+          {/* Loading state (until the first option streams in) */}
+          {loading && options.length === 0 && (
             <Card className="py-12">
               <div className="text-center">
                 <Spinner size="lg" />
                 <p className="mt-4 text-gray-600">Generating comments...</p>
                 <p className="text-sm text-gray-500 mt-1">This may take a few seconds</p>
+                <Button variant="ghost" size="sm" onClick={cancel} className="mt-4">
+                  Cancel
+                </Button>
               </div>
             </Card>
           )}
 
+          {/* Streaming progress */}
+          {loading && options.length > 0 && (
+            <div className="flex items-center justify-between text-sm text-gray-600">
+              <div className="flex items-center gap-2">
+                <Spinner size="sm" />
+                <span>{streaming ? 'Receiving more options...' : 'Finishing up...'}</span>
+              </div>
+              <Button variant="ghost" size="sm" onClick={cancel}>
+                Cancel
+              </Button>
+            </div>
+          )}
+
           {/* Error state */}
           {error && !loading && (
             <Card className="bg-error-50 border-error-200">
               <div className="flex items-start gap-3">
                 <AlertCircle className="h-5 w-5 text-error-600 mt-0.5" />
                 <div>
-                  <h3 className="font-medium text-error-800">Generation Failed</h3>
+                  <h3 className="font-medium text-error-800">
+                    {blocked ? 'Blocked by a Do-Not-Engage Rule' : 'Generation Failed'}
+                  </h3>
                   <p className="text-sm text-error-700 mt-1">{error}</p>
                 </div>
               </div>
@@ -378,19 +667,61 @@ export default function Generator() {
           )}
 
           {/* Results */}
-          {!loading && options.length > 0 && (
+          {options.length > 0 && (
             <>
               {/* Generation meta */}
-              {generationMeta && (
+              {!loading && generationMeta && (
                 <div className="flex items-center gap-2 text-xs text-gray-500">
                   <Badge variant="outline" size="xs">
                     {generationMeta.provider}
                   </Badge>
                   <span>•</span>
                   <span>{generationMeta.generationTime}ms</span>
+                  {generationMeta.usage?.total_tokens > 0 && (
+                    <>
+                      <span>•</span>
+                      <span>{formatNumber(generationMeta.usage.total_tokens)} tokens</span>
+                    </>
+                  )}
+                  {generationMeta.estimatedCost !== null && (
+                    <>
+                      <span>•</span>
+                      <span>{formatCost(generationMeta.estimatedCost)}</span>
+                    </>
+                  )}
+                  {generationMeta.language && (
+                    <>
+                      <span>•</span>
+                      <span>
+                        {getLanguageName(generationMeta.language)}
+                        {generationMeta.languageDetected && ' (detected)'}
+                      </span>
+                    </>
+                  )}
+                  {generationMeta.guardrailFixes > 0 && (
+                    <>
+                      <span>•</span>
+                      <span>
+                        {generationMeta.guardrailFixes} option{generationMeta.guardrailFixes !== 1 ? 's' : ''} auto-fixed
+                      </span>
+                    </>
+                  )}
+                </div>
+              )}
+
+              {/* Parts of the prompt cut to fit the model */}
+              {!loading && generationMeta?.promptCuts?.length > 0 && (
+                <div className="flex items-start gap-2 text-xs text-warning-700 bg-warning-50 rounded-md px-3 py-2">
+                  <AlertCircle className="h-4 w-4 flex-shrink-0" />
+                  <span>
+                    Trimmed to fit the model's context window: {describeCuts(generationMeta.promptCuts)}
+                  </span>
                 </div>
               )}
 
+              {/* What the screener found in the post */}
+              {!loading && <ScreeningNotice screening={generationMeta?.screening} />}
+
               {/* Comment options */}
               <div className="space-y-3">
                 {options.map((option, index) => (
@@ -398,9 +729,13 @@ export default function Generator() {
                     key={index}
                     option={option}
                     index={index}
+                    isStreaming={loading}
                     onCopy={() => handleCopy(option)}
                     onMarkUsed={() => handleMarkUsed(option, index)}
                     onSave={() => handleOpenSaveModal(option, index)}
+                    onRefine={(refinement) => refineOption(index, refinement)}
+                    onShorten={() => shortenOption(index)}
+                    isRefining={refiningIndex === index}
                   />
                 ))}
               </div>
@@ -451,7 +786,10 @@ export default function Generator() {
             </>
           )}
         </div>
+        )}
       </div>
+      </>
+      )}
 
       {/* Prompt Editor Modal */}
       {showPromptEditor && fullClient && (
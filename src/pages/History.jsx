@@ -5,7 +5,7 @@
  */
 
 import { useState, useMemo } from 'react';
-import { Link } from 'react-router-dom';
+import { Link, useSearchParams } from 'react-router-dom';
 import {
   Search,
   Filter,
@@ -47,6 +47,10 @@ const PLATFORM_OPTIONS = [
 ];
 
 export default function History() {
+  // A single generation, e.g. linked from a repeated-comment badge
+  const [searchParams, setSearchParams] = useSearchParams();
+  const generationId = searchParams.get('generation');
+
   // Filters
   const [searchQuery, setSearchQuery] = useState('');
   const [selectedClientId, setSelectedClientId] = useState('');
@@ -63,6 +67,7 @@ export default function History() {
     historyByDate,
     refetch,
   } = useHistory({
+    generationId,
     clientId: selectedClientId || null,
     platform: selectedPlatform || null,
     limit: 25,
@@ -170,6 +175,16 @@ export default function History() {
           </div>
         </Card>
 
+        {/* Single generation */}
+        {generationId && (
+          <Card padding="sm" className="flex items-center justify-between bg-primary-50 border-primary-100">
+            <span className="text-sm text-primary-700">Showing one generation</span>
+            <Button variant="ghost" size="sm" onClick={() => setSearchParams({})}>
+              Show all
+            </Button>
+          </Card>
+        )}
+
         {/* Results count */}
         <div className="flex items-center justify-between text-sm text-gray-500 dark:text-gray-300">
           <span>
@@ -226,7 +241,7 @@ export default function History() {
                 {/* Items */}
                 <div className="space-y-4">
                   {items.map((item) => (
-                    <HistoryItem key={item.id} item={item} />
+                    <HistoryItem key={item.id} item={item} defaultExpanded={item.id === generationId} />
                   ))}
                 </div>
               </div>
@@ -254,8 +269,8 @@ export default function History() {
 /**
  * Single history item
  */
-function HistoryItem({ item }) {
-  const [expanded, setExpanded] = useState(false);
+function HistoryItem({ item, defaultExpanded = false }) {
+  const [expanded, setExpanded] = useState(defaultExpanded);
 
   const platformInfo = getPlatformInfo(item.platform);
   const usedCount = item.generated_options?.filter(o => o.isUsed)?.length || 0;
@@ -15,6 +15,10 @@ import {
   Plus,
   RefreshCw,
   ExternalLink,
+  BarChart3,
+  History,
+  FlaskConical,
+  Ban,
 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 import { useAIProviders, useAIChatLinks, usePlatformPrompts } from '../hooks/useAIProviders';
@@ -31,7 +35,13 @@ import {
 } from '../components/ui';
 import AIProviderCard from '../components/settings/AIProviderCard';
 import AIProviderForm from '../components/settings/AIProviderForm';
-import { PLATFORM_PROMPTS } from '../lib/prompts';
+import UsageReport from '../components/settings/UsageReport';
+import PromptExperiments from '../components/settings/PromptExperiments';
+import BlocklistRules from '../components/settings/BlocklistRules';
+import PromptTemplatePreview from '../components/settings/PromptTemplatePreview';
+import TemplateVersionHistory, { TemplateVersionHistoryCard } from '../components/settings/TemplateVersionHistory';
+import { PLATFORM_PROMPTS, DEFAULT_PROMPT_TEMPLATE, buildTemplateContext, renderPromptTemplate } from '../lib/prompts';
+import { isLegacyTemplate, convertLegacyTemplate } from '../lib/templateEngine';
 import { toast } from '../components/ui/Toast';
 
 // Settings tabs
@@ -39,6 +49,9 @@ const TABS = [
   { id: 'ai-providers', label: 'AI Providers', icon: Bot },
   { id: 'platform-prompts', label: 'Platform Prompts', icon: MessageSquare },
   { id: 'system-prompt', label: 'System Prompt', icon: FileText },
+  { id: 'experiments', label: 'Experiments', icon: FlaskConical },
+  { id: 'do-not-engage', label: 'Do Not Engage', icon: Ban },
+  { id: 'usage', label: 'Usage & Costs', icon: BarChart3 },
   { id: 'profile', label: 'Profile', icon: User },
   { id: 'organization', label: 'Organization', icon: Building },
 ];
@@ -89,6 +102,9 @@ export default function Settings() {
       {activeTab === 'ai-providers' && <AIProvidersTab />}
       {activeTab === 'platform-prompts' && <PlatformPromptsTab />}
       {activeTab === 'system-prompt' && <SystemPromptTab />}
+      {activeTab === 'experiments' && <PromptExperiments />}
+      {activeTab === 'do-not-engage' && <BlocklistRules />}
+      {activeTab === 'usage' && <UsageReport />}
       {activeTab === 'profile' && <ProfileTab />}
       {activeTab === 'organization' && <OrganizationTab />}
     </div>
@@ -278,6 +294,8 @@ function PlatformPromptsTab() {
   const { prompts, loading, updatePrompt, getPromptForPlatform } = usePlatformPrompts();
   const [editingPlatform, setEditingPlatform] = useState(null);
   const [editForm, setEditForm] = useState({ style_prompt: '', max_length: '' });
+  const [historyPlatform, setHistoryPlatform] = useState(null);
+  const [historyKey, setHistoryKey] = useState(0);
 
   const platforms = Object.keys(PLATFORM_PROMPTS);
 
@@ -302,6 +320,17 @@ function PlatformPromptsTab() {
     }
   };
 
+  // Roll back to an earlier version
+  const handleRestore = async (version) => {
+    const { error } = await updatePrompt(historyPlatform, {
+      style_prompt: version.content,
+      max_length: version.max_length,
+    }, { restoredFrom: version.version_number });
+    if (!error) {
+      setHistoryKey(k => k + 1);
+    }
+  };
+
   // Reset to default
   const resetToDefault = () => {
     const defaults = PLATFORM_PROMPTS[editingPlatform];
@@ -355,13 +384,23 @@ function PlatformPromptsTab() {
                     </p>
                   )}
                 </div>
-                <Button
-                  variant="ghost"
-                  size="sm"
-                  onClick={() => startEdit(platform)}
-                >
-                  Edit
-                </Button>
+                <div className="flex items-center gap-1">
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    leftIcon={History}
+                    onClick={() => setHistoryPlatform(platform)}
+                  >
+                    History
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => startEdit(platform)}
+                  >
+                    Edit
+                  </Button>
+                </div>
               </div>
             </Card>
           );
@@ -405,6 +444,24 @@ function PlatformPromptsTab() {
           />
         </div>
       </Modal>
+
+      {/* History Modal */}
+      <Modal
+        isOpen={!!historyPlatform}
+        onClose={() => setHistoryPlatform(null)}
+        title={`${historyPlatform === 'x' ? 'X (Twitter)' : historyPlatform} Prompt History`}
+        size="xl"
+      >
+        {historyPlatform && (
+          <TemplateVersionHistory
+            templateType="platform"
+            platform={historyPlatform}
+            currentContent={getPromptForPlatform(historyPlatform)?.style_prompt || PLATFORM_PROMPTS[historyPlatform].style_prompt}
+            refreshKey={historyKey}
+            onRestore={handleRestore}
+          />
+        )}
+      </Modal>
     </div>
   );
 }
@@ -497,89 +554,27 @@ function SystemPromptTab() {
   const [template, setTemplate] = useState('');
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
-
-  // Default template with ALL sections - split by --- between system and user prompts
-  const defaultTemplate = `You are a social media engagement specialist writing comments for \${client.name}.
-
-## CLIENT PROFILE
-- Industry: \${client.industry}
-- Description: \${client.description}
-- Target Audience: \${client.target_audience}
-- Keywords: \${keywords}
-
-## VOICE & STYLE
-\${voicePrompt}
-
-## CALL TO ACTION (use subtly when appropriate)
-\${client.default_cta}
-
-## SAMPLE COMMENTS (match this style)
-\${sampleComments}
-
-## PLATFORM-SPECIFIC GUIDELINES (\${platform.toUpperCase()})
-\${platformPrompt.style_prompt}
-Maximum length: \${platformPrompt.max_length} characters
-
-## RULES
-1. Sound human and authentic - never robotic or generic
-2. Match the platform's typical tone and length
-3. Add value to the conversation
-4. Avoid hashtags unless specifically requested
-5. Never repeat phrases from existing comments
-6. Each option should have a distinctly different approach
-7. Keep comments concise and impactful
-
----
-
-## CONTENT TO RESPOND TO
-\${content}
-
-## POSTER INFORMATION
-\${posterInfo}
-
-## HASHTAGS USED
-\${hashtags}
-
-## EXISTING COMMENTS (avoid similar phrasing)
-\${existingComments}
-
-## YOUR TASK
-Generate exactly \${numOptions} unique comment options. Each should take a different approach:
-
-1. **Conversational** - Friendly and casual, like chatting with a friend
-2. **Professional** - Polished and knowledgeable, establishes expertise  
-3. **Question-Based** - Asks an engaging question to spark discussion
-4. **Value-Add** - Provides a helpful tip, insight, or resource
-5. **Brief** - Short and punchy, gets straight to the point
-
-\${ctaOption}
-
-## RESPONSE FORMAT
-Respond with a JSON array. Each object should have:
-- "style": The approach name (conversational, professional, question, value-add, or brief)
-- "text": The comment text
-
-Example:
-[
-  {"style": "conversational", "text": "This is so relatable! I've been..."},
-  {"style": "professional", "text": "Great insights on..."},
-  {"style": "question", "text": "Have you considered..."}
-]
-
-Generate \${numOptions} options now:`;
+  const [converted, setConverted] = useState(false);
+  const [historyKey, setHistoryKey] = useState(0);
 
   const loadTemplate = async () => {
     if (!organization?.id) {
-      setTemplate(defaultTemplate);
+      setTemplate(DEFAULT_PROMPT_TEMPLATE);
       setLoading(false);
       return;
     }
     try {
       const customTemplate = await getSystemPromptTemplate(organization.id);
-      setTemplate(customTemplate || defaultTemplate);
+      if (customTemplate && isLegacyTemplate(customTemplate)) {
+        // Old ${...} templates are shown in the current syntax; saving stores it
+        setTemplate(convertLegacyTemplate(customTemplate));
+        setConverted(true);
+      } else {
+        setTemplate(customTemplate || DEFAULT_PROMPT_TEMPLATE);
+      }
     } catch (err) {
       console.error('Error loading template:', err);
-      setTemplate(defaultTemplate);
+      setTemplate(DEFAULT_PROMPT_TEMPLATE);
     } finally {
       setLoading(false);
     }
@@ -600,9 +595,19 @@ Generate \${numOptions} options now:`;
       return;
     }
 
+    // Refuse templates that would fail at generation time
+    try {
+      renderPromptTemplate(template, buildTemplateContext({ client: { name: 'Client' }, platform: 'other' }));
+    } catch (err) {
+      toast.error(`Template error: ${err.message}`);
+      return;
+    }
+
     setSaving(true);
     try {
-      const result = await saveSystemPromptTemplate(organization.id, template);
+      await saveSystemPromptTemplate(organization.id, template);
+      setConverted(false);
+      setHistoryKey(k => k + 1);
       toast.success('✅ System prompt template saved successfully');
     } catch (err) {
       console.error('Error saving template:', err);
@@ -612,9 +617,23 @@ Generate \${numOptions} options now:`;
     }
   };
 
+  // Roll back to an earlier version
+  const handleRestore = async (version) => {
+    try {
+      await saveSystemPromptTemplate(organization.id, version.content, { restoredFrom: version.version_number });
+      setTemplate(version.content);
+      setConverted(false);
+      setHistoryKey(k => k + 1);
+      toast.success(`Restored version ${version.version_number}`);
+    } catch (err) {
+      console.error('Error restoring template:', err);
+      toast.error(`Failed to restore: ${err.message || 'Unknown error'}`);
+    }
+  };
+
   const handleReset = () => {
     if (confirm('Reset to default template?')) {
-      setTemplate(defaultTemplate);
+      setTemplate(DEFAULT_PROMPT_TEMPLATE);
     }
   };
 
@@ -631,10 +650,18 @@ Generate \${numOptions} options now:`;
       <div>
         <h2 className="text-lg font-semibold text-gray-900 dark:text-white">System Prompt Template</h2>
         <p className="text-sm text-gray-600 dark:text-gray-300 mt-1">
-          Edit the COMPLETE master prompt template used for AI comment generation. Use placeholders that auto-fill during generation. Split template with "---" between system instructions (top) and user task (bottom). Keep all placeholders intact!
+          Edit the COMPLETE master prompt template used for AI comment generation. Use placeholders that auto-fill during generation. Split template with "---" between system instructions (top) and user task (bottom).
         </p>
       </div>
 
+      {converted && (
+        <Card className="bg-warning-50 border-warning-200">
+          <p className="text-sm text-warning-800">
+            Your saved template used the old <code>{'${...}'}</code> placeholders and has been converted to the new syntax. Review it and save to keep the new version.
+          </p>
+        </Card>
+      )}
+
       <Card>
         <div className="space-y-4">
           <div>
@@ -648,10 +675,17 @@ Generate \${numOptions} options now:`;
               placeholder="Edit your complete system + user prompt template..."
               className="font-mono text-sm"
             />
-            <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
-              System Placeholders (before ---): \${'${client.name}'}, \${'${client.industry}'}, \${'${client.description}'}, \${'${client.target_audience}'}, \${'${keywords}'}, \${'${voicePrompt}'}, \${'${client.default_cta}'}, \${'${sampleComments}'}, \${'${platform.toUpperCase()}'}, \${'${platformPrompt.style_prompt}'}, \${'${platformPrompt.max_length}'}<br/>
-              User Placeholders (after ---): \${'${content}'}, \${'${posterInfo}'}, \${'${hashtags}'}, \${'${existingComments}'}, \${'${numOptions}'}, \${'${ctaOption}'}
-            </p>
+            <div className="text-xs text-gray-500 dark:text-gray-400 mt-2 space-y-1">
+              <p>
+                Variables: <code>{'{{client.name}}'}</code>, <code>{'{{client.industry}}'}</code>, <code>{'{{client.description}}'}</code>, <code>{'{{client.target_audience}}'}</code>, <code>{'{{keywords}}'}</code>, <code>{'{{voicePrompt}}'}</code>, <code>{'{{sampleComments}}'}</code>, <code>{'{{learnedComments}}'}</code>, <code>{'{{platform}}'}</code>, <code>{'{{platformPrompt.style_prompt}}'}</code>, <code>{'{{platformPrompt.max_length}}'}</code>, <code>{'{{content}}'}</code>, <code>{'{{posterInfo}}'}</code>, <code>{'{{hashtags}}'}</code>, <code>{'{{existingComments}}'}</code>, <code>{'{{numOptions}}'}</code>, <code>{'{{ctaOption}}'}</code>, <code>{'{{ctaText}}'}</code>, <code>{'{{ctaName}}'}</code>, <code>{'{{languageName}}'}</code>, <code>{'{{languageInstruction}}'}</code>, <code>{'{{translationField}}'}</code> (with <code>includeTranslation</code>)
+              </p>
+              <p>
+                Blocks: <code>{'{{#if cta}}...{{else}}...{{/if}}'}</code>, <code>{'{{#unless hashtags}}...{{/unless}}'}</code>, <code>{'{{#each samples}}{{@number}}. {{comment_text}}{{/each}}'}</code> (also <code>keywordList</code>, <code>learnedExamples</code>)
+              </p>
+              <p>
+                Filters: <code>{'{{platform | upper}}'}</code>, <code>lower</code>, <code>{'{{content | truncate 500}}'}</code>, <code>{'default "text"'}</code>, <code>{'join ", "'}</code>
+              </p>
+            </div>
           </div>
 
           <div className="flex items-center justify-between pt-4 border-t border-gray-200 dark:border-gray-700">
@@ -671,6 +705,17 @@ Generate \${numOptions} options now:`;
           </div>
         </div>
       </Card>
+
+      <PromptTemplatePreview template={template} />
+
+      {organization?.id && (
+        <TemplateVersionHistoryCard
+          templateType="system"
+          currentContent={template}
+          refreshKey={historyKey}
+          onRestore={handleRestore}
+        />
+      )}
     </div>
   );
 }
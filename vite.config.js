@@ -22,10 +22,19 @@ export default defineConfig({
   server: {
     port: 3000,
     open: true,
+    // AI requests go through the local key-holding proxy (npm run ai-proxy)
+    proxy: {
+      '/api/ai': 'http://localhost:8787',
+    },
   },
   build: {
     // Make sure production build writes to the project-level `dist` folder
     outDir: path.resolve(__dirname, 'dist'),
     sourcemap: true,
   },
+  test: {
+    // Unit tests live next to the app (src) and the AI proxy (server)
+    dir: path.resolve(__dirname),
+    include: ['src/**/*.test.{js,jsx}', 'server/**/*.test.js'],
+  },
 })